@@ -1,9 +1,16 @@
 "use strict";
 
 const fs = require("fs");
+const os = require("os");
 
 const binlib = require("./lib/binlib.js");
 const iofs = require("./lib/iofs.js");
+const gpumetrics = require("./lib/gpumetrics.js");
+const hwmon = require("./lib/hwmon.js");
+const overdrive = require("./lib/overdrive.js");
+const dpm = require("./lib/dpm.js");
+const powerprofile = require("./lib/powerprofile.js");
+const backup = require("./lib/backup.js");
 const vbios = require("./lib/vbios.js");
 
 const hasOwn = Object.prototype.hasOwnProperty;
@@ -16,13 +23,31 @@ const AMDGPU_DRIVER_NAME = "amdgpu";
 
 class Utils {
   static pathOfCard(id) {
-    return `/sys/class/drm/card${id}`;
+    return iofs.sysfsPath(`class/drm/card${id}`);
+  }
+
+  // Returns PCI slot name of a card (like "0000:01:00.0"), which doesn't change
+  // when cards are enumerated in a different order.
+  static pciSlotOfCard(id) {
+    const props = iofs.readProperties(Utils.pathOfCard(id) + "/device/uevent");
+    return (props && props.PCI_SLOT_NAME) || `card${id}`;
+  }
+
+  static defaultStateDir() {
+    const base = process.env.XDG_STATE_HOME || `${os.homedir()}/.local/state`;
+    return `${base}/amdtweak`;
   }
 
   static readBIOS(id) {
-    var buf = null;
     const romPath = `${Utils.pathOfCard(id)}/device/rom`;
 
+    // ROM must be enabled before it can be read, however, try to read it first
+    // as it could be already enabled or it's a regular file in a fake sysfs tree.
+    var buf = iofs.readFile(romPath);
+    if (buf && buf.length)
+      return buf;
+
+    buf = null;
     if (iofs.writeString(romPath, "1")) {
       buf = iofs.readFile(romPath);
       iofs.writeString(romPath, "0");
@@ -30,6 +55,94 @@ class Utils {
 
     return buf;
   }
+
+  static hwmonPathOfCard(id) {
+    return hwmon.findHwmonPath(`${Utils.pathOfCard(id)}/device`);
+  }
+
+  static readSensors(id) {
+    const hwmonPath = Utils.hwmonPathOfCard(id);
+    return hwmonPath ? hwmon.readSensors(hwmonPath) : null;
+  }
+
+  // Formats `rows` (array of arrays of strings) as a table with left-aligned columns.
+  static formatTable(rows) {
+    const widths = [];
+    rows.forEach(function(row) {
+      row.forEach(function(cell, i) { widths[i] = Math.max(widths[i] || 0, cell.length); });
+    });
+
+    return rows.map(function(row) {
+      return row.map(function(cell, i) { return cell.padEnd(widths[i]); }).join("  ").trimEnd();
+    }).join("\n");
+  }
+
+  static formatHex(value, size) {
+    if (value === undefined)
+      return "(none)";
+
+    if (typeof value === "string")
+      return "0x" + value.toUpperCase();
+
+    const bits = size * 8;
+    const unsigned = bits >= 32 ? value >>> 0 : value & ((1 << bits) - 1);
+    return "0x" + unsigned.toString(16).toUpperCase().padStart(size * 2, "0");
+  }
+
+  static formatRange(start, end) {
+    return end - start === 1 ? `0x${start.toString(16).toUpperCase()}`
+                             : `0x${start.toString(16).toUpperCase()}-0x${(end - 1).toString(16).toUpperCase()}`;
+  }
+
+  // Returns changed byte ranges between `oldBuf` and `newBuf` as lines.
+  static diffBinary(oldBuf, newBuf) {
+    return binlib.utils.diffBytes(oldBuf, newBuf).map(function(range) {
+      return `${range.end - range.start} byte(s) @ ${Utils.formatRange(range.start, range.end)}`;
+    });
+  }
+
+  // Returns changed fields between PowerPlay tables `oldBuf` and `newBuf` as
+  // lines like "PowerTuneTable.TDP: 0x0096 -> 0x005A @ 0x1A2". Changed bytes
+  // not described by any field are reported as ranges.
+  static diffPP(oldBuf, newBuf, versions) {
+    var oldObj, newObj;
+    try {
+      oldObj = vbios.$readObject({ buffer: oldBuf, type: vbios.PowerPlayTable, versions: versions });
+      newObj = vbios.$readObject({ buffer: newBuf, type: vbios.PowerPlayTable, versions: versions });
+    }
+    catch (ex) {
+      return Utils.diffBinary(oldBuf, newBuf);
+    }
+
+    const lines = binlib.utils.diffFields(oldObj, oldBuf, newObj, newBuf).map(function(d) {
+      return `${d.path}: ${Utils.formatHex(d.oldValue, d.size)} -> ${Utils.formatHex(d.newValue, d.size)} @ 0x${d.offset.toString(16).toUpperCase()}`;
+    });
+
+    // Offsets of unmapped data can only be compared if the table wasn't resized.
+    if (oldBuf.length === newBuf.length) {
+      const mapped = new Uint8Array(newBuf.length);
+      binlib.utils.mapFields(newObj).forEach(function(field) {
+        mapped.fill(1, field.offset, Math.min(field.offset + field.size, mapped.length));
+      });
+
+      binlib.utils.diffBytes(oldBuf, newBuf).forEach(function(range) {
+        for (var i = range.start; i < range.end; i++) {
+          if (mapped[i]) continue;
+
+          const start = i;
+          while (i < range.end && !mapped[i])
+            i++;
+          lines.push(`(unmapped) @ ${Utils.formatRange(start, i)}`);
+        }
+      });
+    }
+
+    return lines;
+  }
+
+  static readGPUMetrics(id) {
+    return iofs.readFileBinary(`${Utils.pathOfCard(id)}/device/gpu_metrics`);
+  }
 }
 
 // ============================================================================
@@ -44,6 +157,9 @@ class Commander {
 
     this.cards = [];         // IDs of all cards selected.
     this.data = [];          // Data related to each card in `cards` array.
+    this.versions = {};      // Versions of union types (like ClockInfo).
+    this.dryRun = argv.indexOf("--dry-run", 2) !== -1; // Report what would be written instead of writing files.
+    this.stateDir = process.env.AMDTWEAK_STATE_DIR || Utils.defaultStateDir(); // Where PP table backups are stored.
   }
 
   // --------------------------------------------------------------------------
@@ -81,6 +197,66 @@ class Commander {
     return fileName;
   }
 
+  // Reads PowerPlay table from `ppBuf`. Legacy tables have ClockInfo entries
+  // that depend on ASIC family, which cannot be detected from the table itself.
+  readPP(id, ppBuf, log) {
+    const ppObj = vbios.$readObject({ buffer: ppBuf, type: vbios.PowerPlayTable, versions: this.versions, log: log });
+
+    if (!binlib.utils.isVersionResolved(ppObj))
+      this.warning(`Card ${id}: Unknown layout of PP table '${ppObj.$meta.type.$fullName}', only its header was decoded`);
+
+    if (ppObj.ClockInfoSize && !this.versions.ClockInfo)
+      this.warning(`Card ${id}: Legacy PP table has ClockInfo entries, but no '--clock-info' family was selected, they won't be decoded`);
+
+    return ppObj;
+  }
+
+  // Reads VRAM timing straps of `biosBuf`, which can be modified by `--set` as
+  // `VRAMTimings.Entries[N]...`. Returns null if the VBIOS doesn't have them.
+  readVRAMTimings(id, biosBuf, log) {
+    const start = vbios.findVRAMTimings(biosBuf, 0);
+    if (start === -1)
+      return null;
+
+    return vbios.$readObject({ buffer: biosBuf, start: start, type: vbios.VRAMTimings, versions: this.versions, log: log });
+  }
+
+  // Writes VRAM timing straps modified by `--set` back to VBIOS of card `data`.
+  updateVRAMTimings(data, log) {
+    if (!data.timingsDirty)
+      return;
+
+    vbios.$updateObject({ buffer: data.bios, start: vbios.findVRAMTimings(data.bios, 0), object: data.timings, versions: this.versions, log: log });
+    data.timingsDirty = false;
+  }
+
+  // Writes `buf` to `fileName`. In dry-run mode nothing is written, instead it
+  // reports how the file would change, PowerPlay tables (`isPP`) per field.
+  // The `id` of a card is null if the file doesn't belong to any.
+  writeOutput(id, fileName, buf, isPP) {
+    if (!this.dryRun)
+      return iofs.writeFileBinary(fileName, buf);
+
+    const prefix = id === null ? `[dry-run]` : `Card ${id}: [dry-run]`;
+    const current = iofs.readFile(fileName);
+
+    if (!current) {
+      this.message(`${prefix} Would write '${fileName}' (${buf.length} bytes, new file)`);
+      return true;
+    }
+
+    const lines = isPP ? Utils.diffPP(current, buf, this.versions) : Utils.diffBinary(current, buf);
+    if (!lines.length) {
+      this.message(`${prefix} Would write '${fileName}' (unchanged)`);
+      return true;
+    }
+
+    this.message(`${prefix} Would write '${fileName}' (${current.length} -> ${buf.length} bytes):`);
+    for (var i = 0; i < lines.length; i++)
+      this.message(`${prefix}   ${lines[i]}`);
+    return true;
+  }
+
   // --------------------------------------------------------------------------
   // [Run]
   // --------------------------------------------------------------------------
@@ -127,6 +303,50 @@ class Commander {
     this.verboseFlag = true;
   }
 
+  // Dry-run mode is set by the constructor, so it applies to all commands even
+  // when `--dry-run` is not the first one.
+  __dry_run(args) {
+    if (args.length)
+      this.error("--dry-run parameter doesn't have any arguments");
+  }
+
+  __sysfs_root(args) {
+    if (args.length !== 1)
+      this.error(`'--sysfs-root' command accepts exactly one argument`);
+
+    if (this.cards.length)
+      this.error(`'--sysfs-root' command must be used before cards are selected`);
+
+    const root = args[0];
+    if (!iofs.readDir(root))
+      this.error(`'--sysfs-root' directory '${root}' doesn't exist`);
+
+    iofs.setSysfsRoot(root);
+    this.verbose(`Using sysfs root '${iofs.getSysfsRoot()}'`);
+  }
+
+  __clock_info(args) {
+    if (args.length !== 1)
+      this.error(`'--clock-info' command accepts exactly one argument`);
+
+    const family = args[0];
+    if (!vbios.$getStruct(`ClockInfo$${family}`))
+      this.error(`'--clock-info' command doesn't support '${family}' family`);
+
+    this.versions.ClockInfo = family;
+  }
+
+  __vram_timing(args) {
+    if (args.length !== 1)
+      this.error(`'--vram-timing' command accepts exactly one argument`);
+
+    const format = args[0];
+    if (!vbios.$getStruct(`VRAMTimingEntry$${format}`))
+      this.error(`'--vram-timing' command doesn't support '${format}' format`);
+
+    this.versions.VRAMTimingEntry = format;
+  }
+
   // --------------------------------------------------------------------------
   // [Card Management]
   // --------------------------------------------------------------------------
@@ -204,7 +424,10 @@ class Commander {
     this.data.push({
       pp: null,          // PP table (must be loaded afterwards).
       buf: null,         // RAW data (Buffer).
-      dirty: false       // Dirty flag, each --set commands makes the cart dirty.
+      bios: null,        // VBIOS image (Buffer), only if PP table was loaded from VBIOS.
+      timings: null,     // VRAM timing straps of `bios`, if it has them.
+      dirty: false,      // Dirty flag, each --set commands makes the cart dirty.
+      timingsDirty: false // Dirty flag of VRAM timing straps.
     });
   }
 
@@ -258,10 +481,13 @@ class Commander {
         this.error(`Card ${id}: Couldn't extract PowerPlay from VBIOS, please report this!`);
       }
 
-      const ppObj = vbios.$readObject({ buffer: ppBuf, type: vbios.PowerPlayTable, log: log });
+      const ppObj = this.readPP(id, ppBuf, log);
       data[i].pp = ppObj;
-      data[i].buf = ppBuf;
+      data[i].buf = Buffer.from(ppBuf);
+      data[i].bios = biosBuf;
+      data[i].timings = this.readVRAMTimings(id, biosBuf, log);
       data[i].dirty = false;
+      data[i].timingsDirty = false;
       this.verbose(`Card ${id}: PP data loaded from card's VBIOS`);
     }
   }
@@ -291,7 +517,7 @@ class Commander {
         this.error(`Card ${id}: Couldn't read PowerPlay table`);
       }
       else {
-        const ppObj = vbios.$readObject({ buffer: ppBuf, type: vbios.PowerPlayTable, log: log });
+        const ppObj = this.readPP(id, ppBuf, log);
         data[i].pp = ppObj;
         data[i].buf = ppBuf;
         data[i].dirty = false;
@@ -318,9 +544,8 @@ class Commander {
         continue;
       }
 
-      const fileName = `${Utils.pathOfCard(id)}/device/pp_table`;
       const ppObj = data[i].pp;
-      const ppBuf = data[i].buf;
+      var ppBuf = data[i].buf;
 
       if (!ppBuf || !ppObj) {
         this.warning(`Card ${id}: PP table not loaded so it cannot be written`);
@@ -328,17 +553,122 @@ class Commander {
       }
 
       if (data[i].dirty) {
-        vbios.$updateObject({ buffer: ppBuf, object: ppObj, log: log });
+        ppBuf = vbios.$updateObject({ buffer: Buffer.from(ppBuf), object: ppObj, versions: this.versions, log: log, resize: true });
+        data[i].buf = ppBuf;
         data[i].dirty = false;
       }
 
-      if (iofs.writeFileBinary(fileName, ppBuf)) {
-        this.verbose(`Card ${id}: PP data written to '${fileName}'`);
+      this.writeCardPP(id, ppBuf);
+    }
+  }
+
+  backupDirOfCard(id) {
+    return `${this.stateDir}/pp_table/${Utils.pciSlotOfCard(id)}`;
+  }
+
+  // Writes `ppBuf` to card's `pp_table`, the current table is backed up first
+  // unless `noBackup` is true (restoring a backup must not create a new one,
+  // otherwise restoring 'latest' twice would restore the table being replaced).
+  writeCardPP(id, ppBuf, noBackup) {
+    const fileName = `${Utils.pathOfCard(id)}/device/pp_table`;
+    if (this.dryRun)
+      return this.writeOutput(id, fileName, ppBuf, true);
+
+    if (!noBackup) {
+      const current = iofs.readFile(fileName);
+      if (current) {
+        const dir = this.backupDirOfCard(id);
+        const timestamp = backup.save(dir, current);
+
+        if (!timestamp)
+          this.error(`Card ${id}: Couldn't back up PP table to '${dir}', refusing to write`);
+
+        this.verbose(`Card ${id}: PP table backed up as '${timestamp}'`);
       }
       else {
-        this.warning(`Card ${id}: Couldn't write PP table, are you root?`);
+        this.warning(`Card ${id}: Couldn't read PP table, writing it without a backup`);
       }
     }
+
+    if (iofs.writeFileBinary(fileName, ppBuf)) {
+      this.verbose(`Card ${id}: PP data written to '${fileName}'`);
+      return true;
+    }
+    else {
+      this.warning(`Card ${id}: Couldn't write PP table, are you root?`);
+      return false;
+    }
+  }
+
+  __list_card_pp_backups(args) {
+    if (args.length !== 0)
+      this.error(`'--list-card-pp-backups' command accepts no arguments`);
+
+    this.forEachDevice(function(id, devicePath) {
+      const dir = this.backupDirOfCard(id);
+      const timestamps = backup.list(dir);
+
+      if (!timestamps.length)
+        this.message(`Card ${id}: No PP table backups in '${dir}'`);
+      else
+        this.message(`Card ${id}: PP table backups in '${dir}': ${timestamps.join(", ")}`);
+    });
+  }
+
+  __restore_card_pp(args) {
+    if (args.length > 1)
+      this.error(`'--restore-card-pp' command accepts at most one argument`);
+
+    const source = args.length ? args[0] : "latest";
+    if (source !== "latest" && source !== "bios" && !backup.isTimestamp(source))
+      this.error(`'--restore-card-pp' command must be used with 'latest', 'bios' or 'TIMESTAMP' argument`);
+
+    const data = this.data;
+    const cards = this.cards;
+
+    var i;
+    function log(msg) { console.log(`Card ${cards[i]}: ${msg}`); }
+
+    for (i = 0; i < cards.length; i++) {
+      const id = cards[i];
+
+      if (id < 0) {
+        this.verbose(`Card ${id}: Ignored as it's not a system card`);
+        continue;
+      }
+
+      var ppBuf = null;
+      if (source === "bios") {
+        const biosBuf = Utils.readBIOS(id);
+        if (!biosBuf)
+          this.error(`Card ${id}: Couldn't read VBIOS (are you root?)`);
+
+        ppBuf = vbios.extractPowerPlayFromVBIOS(biosBuf, 0);
+        if (!ppBuf)
+          this.error(`Card ${id}: Couldn't extract PowerPlay from VBIOS, please report this!`);
+        ppBuf = Buffer.from(ppBuf);
+      }
+      else {
+        const dir = this.backupDirOfCard(id);
+        const timestamp = source === "latest" ? backup.list(dir).pop() : source;
+
+        if (!timestamp)
+          this.error(`Card ${id}: There are no PP table backups in '${dir}'`);
+
+        ppBuf = backup.load(dir, timestamp);
+        if (!ppBuf)
+          this.error(`Card ${id}: Couldn't read PP table backup '${timestamp}' from '${dir}'`);
+      }
+
+      // In dry-run mode the card keeps its table, so do later commands.
+      if (!this.writeCardPP(id, ppBuf, true) || this.dryRun)
+        continue;
+
+      data[i].pp = this.readPP(id, ppBuf, log);
+      data[i].buf = ppBuf;
+      data[i].dirty = false;
+      this.verbose(`Card ${id}: PP table restored from ${source === "bios" ? "VBIOS" : "backup"}`);
+    }
   }
 
   __read_file_pp(args) {
@@ -365,7 +695,7 @@ class Commander {
         this.error(`Card ${id}: Couldn't read '${fileName}' file`);
       }
       else {
-        const ppObj = vbios.$readObject({ buffer: ppBuf, type: vbios.PowerPlayTable, log: log });
+        const ppObj = this.readPP(id, ppBuf, log);
         data[i].pp = ppObj;
         data[i].buf = ppBuf;
         this.verbose(`Card ${id}: PP data loaded from '${fileName}'`);
@@ -392,7 +722,7 @@ class Commander {
       const fileName = fileNameTemplate.replace("@", String(id));
 
       const ppObj = data[i].pp;
-      const ppBuf = data[i].buf;
+      var ppBuf = data[i].buf;
 
       if (!ppBuf || !ppObj) {
         this.warning(`Card ${id}: PP table not loaded so it cannot be written`);
@@ -400,12 +730,14 @@ class Commander {
       }
 
       if (data[i].dirty) {
-        vbios.$updateObject({ buffer: ppBuf, object: ppObj, log: log });
+        ppBuf = vbios.$updateObject({ buffer: Buffer.from(ppBuf), object: ppObj, versions: this.versions, log: log, resize: true });
+        data[i].buf = ppBuf;
         data[i].dirty = false;
       }
 
-      if (iofs.writeFileBinary(fileName, ppBuf)) {
-        this.verbose(`Card ${id}: PP data written to '${fileName}'`);
+      if (this.writeOutput(id, fileName, ppBuf, true)) {
+        if (!this.dryRun)
+          this.verbose(`Card ${id}: PP data written to '${fileName}'`);
       }
       else {
         this.warning(`Card ${id}: Couldn't write PP table to file '${fileName}', do you have write access?`);
@@ -413,6 +745,102 @@ class Commander {
     }
   }
 
+  __read_file_bios(args) {
+    if (args.length !== 1)
+      this.error(`'--read-file-bios' command accepts exactly one argument`);
+
+    const data = this.data;
+    const cards = this.cards;
+    const fileNameTemplate = this.checkFileName(args[0]);
+
+    if (!cards.length) {
+      this.addCardInternal(-1, "[implicit as --read-file-bios had no cards to associate with]");
+    }
+
+    var i;
+    function log(msg) { console.log(`Card ${cards[i]}: ${msg}`); }
+
+    for (i = 0; i < cards.length; i++) {
+      const id = cards[i];
+      const fileName = fileNameTemplate.replace("@", String(id));
+
+      const biosBuf = iofs.readFile(fileName);
+      if (!biosBuf) {
+        this.error(`Card ${id}: Couldn't read '${fileName}' file`);
+      }
+
+      if (!vbios.verifyChecksum(biosBuf, 0))
+        this.warning(`Card ${id}: VBIOS checksum of '${fileName}' doesn't match`);
+
+      const ppBuf = vbios.extractPowerPlayFromVBIOS(biosBuf, 0);
+      if (!ppBuf) {
+        this.error(`Card ${id}: Couldn't extract PowerPlay from '${fileName}'`);
+      }
+
+      const ppObj = this.readPP(id, ppBuf, log);
+      data[i].pp = ppObj;
+      data[i].buf = Buffer.from(ppBuf);
+      data[i].bios = biosBuf;
+      data[i].timings = this.readVRAMTimings(id, biosBuf, log);
+      data[i].dirty = false;
+      data[i].timingsDirty = false;
+      this.verbose(`Card ${id}: PP data loaded from VBIOS '${fileName}'`);
+    }
+  }
+
+  __write_file_bios(args) {
+    if (args.length !== 1)
+      this.error(`'--write-file-bios' command accepts exactly one argument`);
+
+    const data = this.data;
+    const cards = this.cards;
+    const fileNameTemplate = this.checkFileName(args[0]);
+
+    if (!cards.length)
+      this.verbose("'--write-file-bios' does nothing if no cards were selected");
+
+    var i;
+    function log(msg) { console.log(`Card ${cards[i]}: ${msg}`); }
+
+    for (i = 0; i < cards.length; i++) {
+      const id = cards[i];
+      const fileName = fileNameTemplate.replace("@", String(id));
+
+      const ppObj = data[i].pp;
+      const biosBuf = data[i].bios;
+      var ppBuf = data[i].buf;
+
+      if (!ppBuf || !ppObj || !biosBuf) {
+        this.warning(`Card ${id}: PP table not loaded from VBIOS so it cannot be written`);
+        continue;
+      }
+
+      if (data[i].dirty) {
+        ppBuf = vbios.$updateObject({ buffer: Buffer.from(ppBuf), object: ppObj, versions: this.versions, log: log, resize: true });
+        data[i].buf = ppBuf;
+        data[i].dirty = false;
+      }
+
+      // The checksum is updated by `injectPowerPlayIntoVBIOS()`.
+      this.updateVRAMTimings(data[i], log);
+
+      try {
+        vbios.injectPowerPlayIntoVBIOS(biosBuf, ppBuf, 0);
+      }
+      catch (ex) {
+        this.error(`Card ${id}: ${ex.message}`);
+      }
+
+      if (this.writeOutput(id, fileName, biosBuf, false)) {
+        if (!this.dryRun)
+          this.verbose(`Card ${id}: VBIOS written to '${fileName}'`);
+      }
+      else {
+        this.warning(`Card ${id}: Couldn't write VBIOS to file '${fileName}', do you have write access?`);
+      }
+    }
+  }
+
   // --------------------------------------------------------------------------
   // [Set]
   // --------------------------------------------------------------------------
@@ -437,9 +865,22 @@ class Commander {
       const id = cards[i];
       const pp = data[i].pp;
 
+      // VRAM timing straps are stored in VBIOS, outside of the PP table.
+      if (key.startsWith("VRAMTimings.")) {
+        if (!data[i].timings)
+          this.error(`Card ${id}: '--set ${key}' requires VBIOS with VRAM timing straps to be loaded`);
+
+        binlib.utils.setKey({ VRAMTimings: data[i].timings }, key, value);
+        data[i].timingsDirty = true;
+        continue;
+      }
+
       if (!pp)
         this.error(`Card ${id}: '--set' command requires PP table(s) to be loaded`);
 
+      if (!binlib.utils.isVersionResolved(pp))
+        this.error(`Card ${id}: Unknown layout of PP table '${pp.$meta.type.$fullName}', refusing to modify it`);
+
       binlib.utils.setKey(pp, key, value);
       data[i].dirty = true;
     }
@@ -486,7 +927,10 @@ class Commander {
         this.warning(`Card ${id}: Couldn't extract VBIOS, are you root?`);
       }
       else {
-        if (!iofs.writeFileBinary(fileName, buf))
+        if (!vbios.verifyChecksum(buf, 0))
+          this.warning(`Card ${id}: VBIOS checksum doesn't match, the image is corrupted`);
+
+        if (!this.writeOutput(id, fileName, buf, false))
           this.warning(`Couldn't write to '${fileName}'`);
       }
     }
@@ -518,7 +962,7 @@ class Commander {
           this.warning(`Card ${id}: Couldn't extract PowerPlay from VBIOS, please report this!`);
         }
         else {
-          if (!iofs.writeFileBinary(fileName, pp))
+          if (!this.writeOutput(id, fileName, Buffer.from(pp), true))
             this.warning(`Card ${id}: Couldn't write to '${fileName}'`);
         }
       }
@@ -526,6 +970,621 @@ class Commander {
 
     return;
   }
+
+  // --------------------------------------------------------------------------
+  // [VRAM Straps]
+  // --------------------------------------------------------------------------
+
+  __list_straps(args) {
+    if (args.length !== 0)
+      this.error(`'--list-straps' command accepts no arguments`);
+
+    const data = this.data;
+    const cards = this.cards;
+
+    for (var i = 0; i < cards.length; i++) {
+      const id = cards[i];
+      const biosBuf = data[i].bios;
+
+      if (!biosBuf)
+        this.error(`Card ${id}: '--list-straps' command requires VBIOS to be loaded`);
+
+      const modules = vbios.listVRAMModules(biosBuf, 0);
+      if (!modules) {
+        this.warning(`Card ${id}: VBIOS doesn't contain VRAM timing straps`);
+        continue;
+      }
+
+      for (var j = 0; j < modules.length; j++) {
+        const module = modules[j];
+        this.message(`Card ${id}: Module ${module.index} - ${module.vendorName} ${module.partNumber}: ${module.straps.join(", ")} MHz`);
+      }
+    }
+  }
+
+  __copy_strap(args) {
+    if (args.length !== 3)
+      this.error(`'--copy-strap' command accepts exactly three arguments`);
+
+    if (!/^\d+$/.test(args[0]) || !/^\d+$/.test(args[1]) || !/^\d+(,\d+)*$/.test(args[2]))
+      this.error(`'--copy-strap' command must be used with 'MODULE FROM_MHZ TO_MHZ[,...]' arguments`);
+
+    const module = parseInt(args[0], 10);
+    const fromMHz = parseInt(args[1], 10);
+    const toMHz = args[2].split(",").map(function(s) { return parseInt(s, 10); });
+
+    const data = this.data;
+    const cards = this.cards;
+
+    var i;
+    function log(msg) { console.log(`Card ${cards[i]}: ${msg}`); }
+
+    for (i = 0; i < cards.length; i++) {
+      const id = cards[i];
+      const biosBuf = data[i].bios;
+
+      if (!biosBuf)
+        this.error(`Card ${id}: '--copy-strap' command requires VBIOS to be loaded`);
+
+      const modules = vbios.listVRAMModules(biosBuf, 0) || [];
+      const desc = module < modules.length ? ` (${modules[module].vendorName} ${modules[module].partNumber})` : "";
+
+      // Straps modified by `--set` must be written first, they are read again
+      // after the copy.
+      this.updateVRAMTimings(data[i], log);
+
+      try {
+        vbios.copyVRAMStrap(biosBuf, module, fromMHz, toMHz, 0);
+      }
+      catch (ex) {
+        this.error(`Card ${id}: ${ex.message}`);
+      }
+
+      data[i].timings = this.readVRAMTimings(id, biosBuf, log);
+
+      this.verbose(`Card ${id}: Module ${module}${desc}: ${fromMHz} MHz strap copied to ${toMHz.join(", ")} MHz`);
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // [Disassemble]
+  // --------------------------------------------------------------------------
+
+  __disasm(args) {
+    if (args.length !== 1)
+      this.error(`'--disasm' command accepts exactly one argument`);
+
+    const name = args[0];
+    if (vbios.getCommandTableNames().indexOf(name) === -1)
+      this.error(`'--disasm' command doesn't know '${name}' command table`);
+
+    const data = this.data;
+    const cards = this.cards;
+
+    for (var i = 0; i < cards.length; i++) {
+      const id = cards[i];
+      const biosBuf = data[i].bios;
+
+      if (!biosBuf)
+        this.error(`Card ${id}: '--disasm' command requires VBIOS to be loaded`);
+
+      var listing;
+      try {
+        listing = vbios.disassembleCommandTable(biosBuf, name, 0);
+      }
+      catch (ex) {
+        this.error(`Card ${id}: ${ex.message}`);
+      }
+
+      this.message(`Card ${id}: ${name}\n${listing}`);
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // [GPU Metrics]
+  // --------------------------------------------------------------------------
+
+  __metrics(args) {
+    if (args.length !== 0)
+      this.error(`'--metrics' command accepts no arguments`);
+
+    const cards = this.cards;
+
+    function join(values, unit) {
+      const keys = Object.keys(values);
+      return keys.length ? keys.map(function(k) { return `${k} ${values[k]} ${unit}`; }).join(", ") : "N/A";
+    }
+
+    for (var i = 0; i < cards.length; i++) {
+      const id = cards[i];
+
+      if (id < 0) {
+        this.verbose(`Card ${id}: Ignored as it's not a system card`);
+        continue;
+      }
+
+      const buf = Utils.readGPUMetrics(id);
+      if (!buf) {
+        this.warning(`Card ${id}: Couldn't read GPU metrics (not provided by the driver?)`);
+        continue;
+      }
+
+      var summary;
+      try {
+        summary = gpumetrics.summarizeMetrics(gpumetrics.readMetrics(buf));
+      }
+      catch (ex) {
+        this.error(`Card ${id}: ${ex.message}`);
+      }
+
+      const throttleStatus = "0x" + (summary.throttleStatus >>> 0).toString(16).toUpperCase().padStart(8, "0");
+      const throttlers = summary.throttlers ? ` (${summary.throttlers.join(", ") || "None"})` : "";
+
+      this.message(`Card ${id}: GPU metrics v${summary.version}`);
+      this.message(`Card ${id}: Temperature: ${join(summary.temperatures, "C")}`);
+      this.message(`Card ${id}: Clock: ${join(summary.clocks, "MHz")}`);
+      this.message(`Card ${id}: Power: ${join(summary.power, "W")}`);
+      if (summary.fanSpeed !== undefined)
+        this.message(`Card ${id}: Fan: ${summary.fanSpeed} RPM`);
+      this.message(`Card ${id}: Throttle Status: ${throttleStatus}${throttlers}`);
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // [Sensors]
+  // --------------------------------------------------------------------------
+
+  __sensors(args) {
+    if (args.length > 1)
+      this.error(`'--sensors' command accepts at most one argument`);
+
+    const format = args.length ? args[0] : "table";
+    if (format !== "table" && format !== "json")
+      this.error(`'--sensors' command must be used with 'table' or 'json' argument`);
+
+    const cards = this.cards;
+    const ids = [];
+    const list = [];
+
+    for (var i = 0; i < cards.length; i++) {
+      const id = cards[i];
+
+      if (id < 0) {
+        this.verbose(`Card ${id}: Ignored as it's not a system card`);
+        continue;
+      }
+
+      const sensors = Utils.readSensors(id);
+      if (!sensors) {
+        this.warning(`Card ${id}: Couldn't find hwmon sensors`);
+        continue;
+      }
+
+      ids.push(id);
+      list.push(sensors);
+    }
+
+    if (format === "json") {
+      const out = {};
+      for (var j = 0; j < ids.length; j++)
+        out[`card${ids[j]}`] = list[j];
+      this.message(JSON.stringify(out, null, 2));
+      return;
+    }
+
+    if (!list.length)
+      return;
+
+    // Each row is a sensor and each column a card, sensors are collected from
+    // all cards as they don't have to provide the same ones.
+    const SensorGroups = [
+      { key: "temperatures", title: "Temperature", unit: "C"   , digits: 1 },
+      { key: "clocks"      , title: "Clock"      , unit: "MHz" , digits: 0 },
+      { key: "voltages"    , title: "Voltage"    , unit: "mV"  , digits: 0 },
+      { key: "power"       , title: "Power"      , unit: "W"   , digits: 1 },
+      { key: "fan"         , title: "Fan"        , unit: ""    , digits: 0 }
+    ];
+
+    const rows = [["Sensor"].concat(ids.map(function(id) { return `Card ${id}`; }))];
+    SensorGroups.forEach(function(group) {
+      const names = [];
+      list.forEach(function(sensors) {
+        Object.keys(sensors[group.key]).forEach(function(name) {
+          if (names.indexOf(name) === -1)
+            names.push(name);
+        });
+      });
+
+      names.forEach(function(name) {
+        const unit = group.key === "fan" ? (name === "rpm" ? "RPM" : "") : group.unit;
+        rows.push([`${group.title} ${name}`].concat(list.map(function(sensors) {
+          const value = sensors[group.key][name];
+          return value === undefined ? "-" : `${value.toFixed(group.digits)}${unit ? " " + unit : ""}`;
+        })));
+      });
+    });
+
+    this.message(Utils.formatTable(rows));
+  }
+
+  // --------------------------------------------------------------------------
+  // [Power / Fan Control]
+  // --------------------------------------------------------------------------
+
+  // Calls `fn(id, hwmonPath)` for each selected system card, fails if a card
+  // doesn't provide hwmon directory.
+  forEachHwmon(command, fn) {
+    const cards = this.cards;
+
+    for (var i = 0; i < cards.length; i++) {
+      const id = cards[i];
+
+      if (id < 0) {
+        this.verbose(`Card ${id}: Ignored as it's not a system card`);
+        continue;
+      }
+
+      const hwmonPath = Utils.hwmonPathOfCard(id);
+      if (!hwmonPath)
+        this.error(`Card ${id}: '${command}' command requires hwmon, which the card doesn't provide`);
+
+      fn.call(this, id, hwmonPath);
+    }
+  }
+
+  __power_cap(args) {
+    if (args.length !== 1)
+      this.error(`'--power-cap' command accepts exactly one argument`);
+
+    if (!/^\d+(\.\d+)?$/.test(args[0]))
+      this.error(`'--power-cap' command must be used with 'WATTS' argument`);
+
+    const watts = parseFloat(args[0]);
+
+    this.forEachHwmon("--power-cap", function(id, hwmonPath) {
+      const range = hwmon.readPowerCapRange(hwmonPath);
+      if (!range)
+        this.error(`Card ${id}: Power capping is not supported`);
+
+      if (watts < range.min || watts > range.max)
+        this.error(`Card ${id}: Power cap ${watts} W is out of range [${range.min}, ${range.max}] W`);
+
+      if (!hwmon.writePowerCap(hwmonPath, watts))
+        this.error(`Card ${id}: Couldn't write power cap (are you root?)`);
+
+      this.verbose(`Card ${id}: Power cap set to ${watts} W`);
+    });
+  }
+
+  __fan_mode(args) {
+    if (args.length !== 1)
+      this.error(`'--fan-mode' command accepts exactly one argument`);
+
+    const name = args[0];
+    if (name !== "manual" && name !== "auto")
+      this.error(`'--fan-mode' command must be used with 'manual' or 'auto' argument`);
+
+    const mode = name === "manual" ? hwmon.PWM_MODE_MANUAL : hwmon.PWM_MODE_AUTO;
+
+    this.forEachHwmon("--fan-mode", function(id, hwmonPath) {
+      if (!hwmon.writeFanMode(hwmonPath, mode))
+        this.error(`Card ${id}: Couldn't write fan mode (are you root?)`);
+
+      this.verbose(`Card ${id}: Fan mode set to ${name}`);
+    });
+  }
+
+  __fan_pwm(args) {
+    if (args.length !== 1)
+      this.error(`'--fan-pwm' command accepts exactly one argument`);
+
+    if (!/^\d+$/.test(args[0]) || parseInt(args[0], 10) > 100)
+      this.error(`'--fan-pwm' command must be used with 'PERCENT' argument (0-100)`);
+
+    const percent = parseInt(args[0], 10);
+
+    this.forEachHwmon("--fan-pwm", function(id, hwmonPath) {
+      if (!hwmon.writeFanPWM(hwmonPath, percent))
+        this.error(`Card ${id}: Couldn't write fan PWM (is fan mode manual? are you root?)`);
+
+      this.verbose(`Card ${id}: Fan PWM set to ${percent}%`);
+    });
+  }
+
+  // --------------------------------------------------------------------------
+  // [OverDrive]
+  // --------------------------------------------------------------------------
+
+  // Calls `fn(id, devicePath, od)` for each selected system card, fails if a
+  // card doesn't provide OverDrive.
+  forEachOverDrive(command, fn) {
+    const cards = this.cards;
+
+    for (var i = 0; i < cards.length; i++) {
+      const id = cards[i];
+
+      if (id < 0) {
+        this.verbose(`Card ${id}: Ignored as it's not a system card`);
+        continue;
+      }
+
+      const devicePath = `${Utils.pathOfCard(id)}/device`;
+      const od = overdrive.read(devicePath);
+
+      if (!od)
+        this.error(`Card ${id}: '${command}' command requires OverDrive, which is not enabled or supported`);
+
+      fn.call(this, id, devicePath, od);
+    }
+  }
+
+  __print_od(args) {
+    if (args.length !== 0)
+      this.error(`'--print-od' command accepts no arguments`);
+
+    this.forEachOverDrive("--print-od", function(id, devicePath, od) {
+      this.message(`Card ${id}: ` + JSON.stringify(od, null, 2));
+    });
+  }
+
+  setODEntry(command, section, args, voltageRequired) {
+    const minArgs = voltageRequired ? 3 : 2;
+    if (args.length < minArgs || args.length > 3 || !args.every(function(arg) { return /^\d+$/.test(arg); }))
+      this.error(`'${command}' command must be used with 'INDEX MHZ${voltageRequired ? " MV" : " [MV]"}' arguments`);
+
+    const index = parseInt(args[0], 10);
+    const clock = parseInt(args[1], 10);
+    const voltage = args.length > 2 ? parseInt(args[2], 10) : undefined;
+
+    this.forEachOverDrive(command, function(id, devicePath, od) {
+      var cmd;
+      try {
+        cmd = overdrive.makeCommand(od, section, index, clock, voltage);
+      }
+      catch (ex) {
+        this.error(`Card ${id}: ${ex.message}`);
+      }
+
+      if (!overdrive.write(devicePath, cmd))
+        this.error(`Card ${id}: Couldn't write '${cmd}' to OverDrive (are you root?)`);
+
+      this.verbose(`Card ${id}: OverDrive ${section} entry ${index} set to ${clock} MHz` + (voltage !== undefined ? ` ${voltage} mV` : ""));
+    });
+  }
+
+  __od_sclk(args) {
+    this.setODEntry("--od-sclk", "OD_SCLK", args, false);
+  }
+
+  __od_mclk(args) {
+    this.setODEntry("--od-mclk", "OD_MCLK", args, false);
+  }
+
+  __od_vddc_curve(args) {
+    this.setODEntry("--od-vddc-curve", "OD_VDDC_CURVE", args, true);
+  }
+
+  __od_commit(args) {
+    if (args.length !== 0)
+      this.error(`'--od-commit' command accepts no arguments`);
+
+    this.forEachOverDrive("--od-commit", function(id, devicePath, od) {
+      if (!overdrive.write(devicePath, overdrive.COMMIT))
+        this.error(`Card ${id}: Couldn't commit OverDrive (rejected by the driver?)`);
+
+      this.verbose(`Card ${id}: OverDrive committed`);
+    });
+  }
+
+  __od_reset(args) {
+    if (args.length !== 0)
+      this.error(`'--od-reset' command accepts no arguments`);
+
+    this.forEachOverDrive("--od-reset", function(id, devicePath, od) {
+      if (!overdrive.write(devicePath, overdrive.RESET))
+        this.error(`Card ${id}: Couldn't reset OverDrive (are you root?)`);
+
+      this.verbose(`Card ${id}: OverDrive reset to defaults`);
+    });
+  }
+
+  // --------------------------------------------------------------------------
+  // [DPM]
+  // --------------------------------------------------------------------------
+
+  // Calls `fn(id, devicePath)` for each selected system card.
+  forEachDevice(fn) {
+    const cards = this.cards;
+
+    for (var i = 0; i < cards.length; i++) {
+      const id = cards[i];
+
+      if (id < 0) {
+        this.verbose(`Card ${id}: Ignored as it's not a system card`);
+        continue;
+      }
+
+      fn.call(this, id, `${Utils.pathOfCard(id)}/device`);
+    }
+  }
+
+  __dpm(args) {
+    if (args.length !== 0)
+      this.error(`'--dpm' command accepts no arguments`);
+
+    this.forEachDevice(function(id, devicePath) {
+      const all = dpm.readAllStates(devicePath);
+      const names = Object.keys(all);
+
+      if (!names.length) {
+        this.warning(`Card ${id}: Couldn't read DPM states`);
+        return;
+      }
+
+      this.message(`Card ${id}: Performance level: ${dpm.readPerformanceLevel(devicePath) || "unknown"}`);
+      for (var i = 0; i < names.length; i++) {
+        const states = all[names[i]].map(function(state) {
+          return `${state.index}: ${state.value}${state.active ? " *" : ""}`;
+        });
+        this.message(`Card ${id}: ${names[i]}: ${states.join(", ")}`);
+      }
+    });
+  }
+
+  __force_dpm(args) {
+    if (args.length < 1)
+      this.error(`'--force-dpm' command accepts at least one argument`);
+
+    const masks = [];
+    for (var i = 0; i < args.length; i++) {
+      const m = args[i].match(/^(\w+)=(\d+(?:,\d+)*)$/);
+      if (!m)
+        this.error(`'--force-dpm' command must be used with 'CLOCK=INDEX[,...]' arguments`);
+
+      if (dpm.CLOCKS.indexOf(m[1]) === -1)
+        this.error(`'--force-dpm' command doesn't know '${m[1]}' clock, use one of ${dpm.CLOCKS.join(", ")}`);
+
+      masks.push({ name: m[1], indexes: m[2].split(",").map(function(s) { return parseInt(s, 10); }) });
+    }
+
+    this.forEachDevice(function(id, devicePath) {
+      // Validate all masks before the performance level is changed.
+      for (var i = 0; i < masks.length; i++) {
+        const mask = masks[i];
+        const states = dpm.readStates(devicePath, mask.name);
+
+        if (!states)
+          this.error(`Card ${id}: Couldn't read DPM states of '${mask.name}'`);
+
+        for (var j = 0; j < mask.indexes.length; j++)
+          if (mask.indexes[j] >= states.length)
+            this.error(`Card ${id}: DPM state ${mask.indexes[j]} of '${mask.name}' doesn't exist (${states.length} states)`);
+      }
+
+      if (!dpm.writePerformanceLevel(devicePath, dpm.LEVEL_MANUAL))
+        this.error(`Card ${id}: Couldn't set performance level to '${dpm.LEVEL_MANUAL}' (are you root?)`);
+
+      for (i = 0; i < masks.length; i++) {
+        const mask = masks[i];
+        if (!dpm.writeMask(devicePath, mask.name, mask.indexes))
+          this.error(`Card ${id}: Couldn't write DPM mask of '${mask.name}'`);
+
+        this.verbose(`Card ${id}: DPM states of '${mask.name}' forced to ${mask.indexes.join(",")}`);
+      }
+    });
+  }
+
+  __dpm_auto(args) {
+    if (args.length !== 0)
+      this.error(`'--dpm-auto' command accepts no arguments`);
+
+    this.forEachDevice(function(id, devicePath) {
+      if (!dpm.writePerformanceLevel(devicePath, dpm.LEVEL_AUTO))
+        this.error(`Card ${id}: Couldn't set performance level to '${dpm.LEVEL_AUTO}' (are you root?)`);
+
+      this.verbose(`Card ${id}: Performance level set to '${dpm.LEVEL_AUTO}'`);
+    });
+  }
+
+  // --------------------------------------------------------------------------
+  // [Power Profile]
+  // --------------------------------------------------------------------------
+
+  readPowerProfile(id, devicePath, command) {
+    var table = null;
+    try {
+      table = powerprofile.read(devicePath);
+    }
+    catch (ex) {
+      this.error(`Card ${id}: ${ex.message}`);
+    }
+
+    if (!table)
+      this.error(`Card ${id}: '${command}' command requires pp_power_profile_mode, which the card doesn't provide`);
+
+    return table;
+  }
+
+  __profile_mode(args) {
+    if (args.length !== 1)
+      this.error(`'--profile-mode' command accepts exactly one argument`);
+
+    const name = args[0];
+
+    this.forEachDevice(function(id, devicePath) {
+      const table = this.readPowerProfile(id, devicePath, "--profile-mode");
+      const mode = powerprofile.findMode(table, name);
+
+      if (!mode)
+        this.error(`Card ${id}: Power profile mode '${name}' doesn't exist, use one of ${table.modes.map(function(mode) { return mode.name; }).join(", ")}`);
+
+      if (!powerprofile.write(devicePath, String(mode.index)))
+        this.error(`Card ${id}: Couldn't set power profile mode (are you root? is performance level auto or manual?)`);
+
+      this.verbose(`Card ${id}: Power profile mode set to ${mode.name}`);
+    });
+  }
+
+  __profile_custom(args) {
+    if (args.length < 1)
+      this.error(`'--profile-custom' command accepts at least one argument`);
+
+    const settings = {};
+    for (var i = 0; i < args.length; i++) {
+      const m = args[i].match(/^([\w.]+)=(-?\d+)$/);
+      if (!m)
+        this.error(`'--profile-custom' command must be used with 'KEY=VALUE' arguments`);
+      settings[m[1]] = parseInt(m[2], 10);
+    }
+
+    this.forEachDevice(function(id, devicePath) {
+      const table = this.readPowerProfile(id, devicePath, "--profile-custom");
+
+      var commands;
+      try {
+        commands = powerprofile.makeCustomCommands(table, settings);
+      }
+      catch (ex) {
+        this.error(`Card ${id}: ${ex.message}`);
+      }
+
+      for (var i = 0; i < commands.length; i++) {
+        if (!powerprofile.write(devicePath, commands[i]))
+          this.error(`Card ${id}: Couldn't write '${commands[i]}' to pp_power_profile_mode (are you root?)`);
+
+        this.verbose(`Card ${id}: Power profile CUSTOM updated by '${commands[i]}'`);
+      }
+    });
+  }
+
+  // --------------------------------------------------------------------------
+  // [VBIOS Checksum]
+  // --------------------------------------------------------------------------
+
+  __fix_bios_checksum(args) {
+    if (args.length !== 1)
+      this.error(`'--fix-bios-checksum' accepts exactly one argument`);
+
+    const fileName = args[0];
+    const buf = iofs.readFile(fileName);
+
+    if (!buf)
+      this.error(`Couldn't read '${fileName}'`);
+
+    if (vbios.verifyChecksum(buf, 0)) {
+      this.verbose(`VBIOS checksum of '${fileName}' is valid`);
+      return;
+    }
+
+    if (!vbios.updateChecksum(buf, 0))
+      this.error(`File '${fileName}' is not a VBIOS or its image is truncated`);
+
+    if (!this.writeOutput(null, fileName, buf, false))
+      this.error(`Couldn't write to '${fileName}'`);
+
+    if (!this.dryRun)
+      this.verbose(`VBIOS checksum of '${fileName}' fixed`);
+  }
 }
 
 // ============================================================================
@@ -547,16 +1606,74 @@ function printUsage() {
     --read-bios-pp         - Read a PowerPlay table from each selected card's BIOS (root)
     --read-card-pp         - Read a PowerPlay table from each selected card
     --write-card-pp        - Write a PowerPlay table to each selected card
+    --restore-card-pp [SOURCE]
+                           - Restore a PowerPlay table of each selected card from the
+                             'latest' [default] or 'TIMESTAMP' backup, or from 'bios'
+    --list-card-pp-backups - List PowerPlay table backups of each selected card
 
     --read-file-pp FILE    - Read a PowerPlay table from file
     --write-file-pp FILE   - Write a PowerPlay table to file
 
+    --read-file-bios FILE  - Read a PowerPlay table from VBIOS file
+    --write-file-bios FILE - Write VBIOS with a modified PowerPlay table to file
+
     --extract-bios FILE    - Extract BIOS of each selected card and store to FILE (root)
     --extract-bios-pp FILE - Extract PP from BIOS of each selected card and store to FILE (root)
 
+    --fix-bios-checksum FILE
+                           - Recompute the checksum of a VBIOS image stored in FILE
+
+    --list-straps          - List VRAM modules and their timing straps of each loaded VBIOS
+    --copy-strap MODULE FROM_MHZ TO_MHZ[,...]
+                           - Copy VRAM timing strap of MODULE used at FROM_MHZ to
+                             straps used at TO_MHZ of each loaded VBIOS
+    --vram-timing FORMAT   - Decode VRAM timing straps of VBIOS loaded afterwards as
+                             FORMAT (GDDR5), modify them by '--set VRAMTimings...'
+
+    --disasm NAME          - Disassemble AtomBIOS command table NAME (like SetVoltage) of
+                             each loaded VBIOS
+
+    --sensors [FORMAT]     - Print hwmon sensors of each selected card as a 'table'
+                             [default] or 'json'
+    --metrics              - Print temperatures, clocks, power and throttle status of
+                             each selected card (from gpu_metrics)
+
+    --power-cap WATTS      - Set power cap of each selected card (hwmon)
+    --fan-mode MODE        - Set fan control mode of each selected card to 'manual' or 'auto'
+    --fan-pwm PERCENT      - Set fan speed of each selected card to PERCENT (manual mode)
+
+    --print-od             - Print OverDrive (pp_od_clk_voltage) of each selected card as JSON
+    --od-sclk INDEX MHZ [MV]
+                           - Set OverDrive OD_SCLK entry INDEX of each selected card
+    --od-mclk INDEX MHZ [MV]
+                           - Set OverDrive OD_MCLK entry INDEX of each selected card
+    --od-vddc-curve INDEX MHZ MV
+                           - Set OverDrive OD_VDDC_CURVE point INDEX of each selected card
+    --od-commit            - Commit OverDrive changes of each selected card
+    --od-reset             - Reset OverDrive of each selected card to defaults
+
+    --dpm                  - List DPM states of each selected card, the active one marked by *
+    --force-dpm CLOCK=INDEX[,...] ...
+                           - Force DPM states of each selected card (like sclk=2,3 mclk=1)
+    --dpm-auto             - Restore automatic DPM of each selected card
+
+    --profile-mode NAME    - Set power profile mode of each selected card (like COMPUTE)
+    --profile-custom KEY=VALUE ...
+                           - Update CUSTOM power profile of each selected card, KEY is
+                             a column of pp_power_profile_mode (CLOCK.COLUMN on Navi)
+
     --set PROPERTY=VALUE   - Set a PROPERTY of each loaded PowerPlay table to VALUE
+                             (VRAMTimings.* PROPERTY sets VRAM timing straps of VBIOS)
     --print                - Print each PowerPlay table as JSON
 
+    --clock-info FAMILY    - Select ClockInfo layout of legacy PP tables (R600, RS780,
+                             Evergreen, SI, CI, Sumo, KV, CZ)
+
+    --sysfs-root DIR       - Use DIR instead of /sys, must precede --card (also
+                             AMDTWEAK_SYSFS_ROOT environment variable)
+    --dry-run              - Don't write PP tables and VBIOS files, print changes
+                             that would be written instead
+
     --quiet                - Turn verbose messages off
     --verbose              - Turn verbose messages on [default]
 
@@ -572,6 +1689,9 @@ function printUsage() {
 // ============================================================================
 
 function main(argv) {
+  if (process.env.AMDTWEAK_SYSFS_ROOT)
+    iofs.setSysfsRoot(process.env.AMDTWEAK_SYSFS_ROOT);
+
   if (argv.length <= 2) {
     printUsage();
     return 0;
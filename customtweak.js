@@ -20,7 +20,7 @@ function modifyPPTable(cardId, pp) {
 // ============================================================================
 
 function pathOfCard(cardId) {
-  return `/sys/class/drm/card${cardId}`;
+  return iofs.sysfsPath(`class/drm/card${cardId}`);
 }
 
 function log(message) {
@@ -51,10 +51,10 @@ function main() {
       const pp = vbios.$readObject({ buffer: buf, type: vbios.PowerPlayTable, log: log });
 
       modifyPPTable(cardId, pp);
-      vbios.$updateObject({ buffer: buf, object: pp, log: log });
+      const out = vbios.$updateObject({ buffer: buf, object: pp, log: log, resize: true });
 
       if (OVERWRITE)
-        iofs.writeFile(ppFileName, buf);
+        iofs.writeFile(ppFileName, out);
     }
     catch (ex) {
       console.log(ex.toString());
@@ -0,0 +1,970 @@
+// ============================================================================
+// [atombios.js]
+// AtomBIOS command table bytecode decoder and interpreter.
+//
+// This is free and unencumbered software released into the public domain.
+//
+// Anyone is free to copy, modify, publish, use, compile, sell, or
+// distribute this software, either in source code form or as a compiled
+// binary, for any purpose, commercial or non-commercial, and by any
+// means.
+//
+// In jurisdictions that recognize copyright laws, the author or authors
+// of this software dedicate any and all copyright interest in the
+// software to the public domain. We make this dedication for the benefit
+// of the public at large and to the detriment of our heirs and
+// successors. We intend this dedication to be an overt act of
+// relinquishment in perpetuity of all present and future rights to this
+// software under copyright law.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+// IN NO EVENT SHALL THE AUTHORS BE LIABLE FOR ANY CLAIM, DAMAGES OR
+// OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+//
+// For more information, please refer to <https://unlicense.org/>
+// ============================================================================
+
+// ============================================================================
+// NOTES:
+//
+//   * Command tables start with ATOM_COMMON_ROM_COMMAND_TABLE_HEADER (6 bytes)
+//     followed by bytecode, which ends at `StructureSize`. All offsets used by
+//     the bytecode (jumps, switch cases) are relative to the table start.
+//
+//   * The encoding follows the AtomBIOS interpreter used by the Linux kernel
+//     (drivers/gpu/drm/amd/amdgpu/atom.c).
+// ============================================================================
+
+(function($export, $as) {
+"use strict";
+
+const atombios = Object.create(null);
+
+function fail(msg) { throw new Error(msg); }
+
+function hex(value, width) {
+  return "0x" + value.toString(16).toUpperCase().padStart(width, "0");
+}
+
+// ============================================================================
+// [Constants]
+// ============================================================================
+
+// Size of ATOM_COMMON_ROM_COMMAND_TABLE_HEADER, bytecode starts after it.
+atombios.COMMAND_TABLE_HEADER_SIZE = 6;
+
+// Operand kinds (ATOM_ARG_...).
+atombios.ARG_REG = 0;
+atombios.ARG_PS  = 1;
+atombios.ARG_WS  = 2;
+atombios.ARG_FB  = 3;
+atombios.ARG_ID  = 4;
+atombios.ARG_IMM = 5;
+atombios.ARG_PLL = 6;
+atombios.ARG_MC  = 7;
+
+// Operand alignments (ATOM_SRC_...).
+atombios.SRC_DWORD  = 0;
+atombios.SRC_WORD0  = 1;
+atombios.SRC_WORD8  = 2;
+atombios.SRC_WORD16 = 3;
+atombios.SRC_BYTE0  = 4;
+atombios.SRC_BYTE8  = 5;
+atombios.SRC_BYTE16 = 6;
+atombios.SRC_BYTE24 = 7;
+
+// Jump conditions (ATOM_COND_...).
+atombios.COND_ALWAYS       = 0;
+atombios.COND_EQUAL        = 1;
+atombios.COND_BELOW        = 2;
+atombios.COND_ABOVE        = 3;
+atombios.COND_BELOWOREQUAL = 4;
+atombios.COND_ABOVEOREQUAL = 5;
+atombios.COND_NOTEQUAL     = 6;
+
+// Ports used by SET_PORT (ATOM_PORT_...).
+atombios.PORT_ATI   = 0;
+atombios.PORT_PCI   = 1;
+atombios.PORT_SYSIO = 2;
+
+atombios.CASE_MAGIC = 0x63;
+atombios.CASE_END   = 0x5A5A;
+
+const ArgNames = ["REG", "PS", "WS", "FB", "ID", "IMM", "PLL", "MC"];
+const AlignNames = ["", "[15:0]", "[23:8]", "[31:16]", "[7:0]", "[15:8]", "[23:16]", "[31:24]"];
+const AlignSizes = [4, 2, 2, 2, 1, 1, 1, 1];
+const CondNames = ["", "_EQUAL", "_BELOW", "_ABOVE", "_BELOW_OR_EQUAL", "_ABOVE_OR_EQUAL", "_NOT_EQUAL"];
+const PortNames = ["ATI", "PCI", "SYSIO"];
+
+// Special workspace indexes (ATOM_WS_...).
+const WSNames = {
+  0x40: "WS_QUOTIENT",
+  0x41: "WS_REMAINDER",
+  0x42: "WS_DATAPTR",
+  0x43: "WS_SHIFT",
+  0x44: "WS_OR_MASK",
+  0x45: "WS_AND_MASK",
+  0x46: "WS_FB_WINDOW",
+  0x47: "WS_ATTRIBUTES",
+  0x48: "WS_REGPTR"
+};
+
+// Translates a destination alignment field to the source alignment encoding.
+const DstToSrc = [
+  [0, 0, 0, 0],
+  [1, 2, 3, 0],
+  [1, 2, 3, 0],
+  [1, 2, 3, 0],
+  [4, 5, 6, 7],
+  [4, 5, 6, 7],
+  [4, 5, 6, 7],
+  [4, 5, 6, 7]
+];
+
+// Default destination alignment used by CLEAR and SHIFT_LEFT/SHIFT_RIGHT.
+const DefDst = [0, 0, 1, 2, 0, 1, 2, 3];
+
+// ============================================================================
+// [Opcodes]
+// ============================================================================
+
+// Opcode table indexed by the opcode byte, each entry is `{ name, kind, arg }`,
+// where `kind` describes the encoding of operands and `arg` is either an
+// operand kind (ARG_...), a jump condition, or a port.
+const Opcodes = [];
+atombios.Opcodes = Opcodes;
+
+function addOpcode(name, kind, arg) {
+  Opcodes.push({ opcode: Opcodes.length, name: name, kind: kind, arg: arg });
+}
+
+function addOpcodeGroup(name, kind) {
+  const args = [atombios.ARG_REG, atombios.ARG_PS, atombios.ARG_WS, atombios.ARG_FB, atombios.ARG_PLL, atombios.ARG_MC];
+  for (var i = 0; i < args.length; i++)
+    addOpcode(name, kind, args[i]);
+}
+
+addOpcode("INVALID", "invalid", 0);               // 0x00
+addOpcodeGroup("MOVE", "move");                   // 0x01
+addOpcodeGroup("AND", "binary");                  // 0x07
+addOpcodeGroup("OR", "binary");                   // 0x0D
+addOpcodeGroup("SHIFT_LEFT", "shift");            // 0x13
+addOpcodeGroup("SHIFT_RIGHT", "shift");           // 0x19
+addOpcodeGroup("MUL", "binary");                  // 0x1F
+addOpcodeGroup("DIV", "binary");                  // 0x25
+addOpcodeGroup("ADD", "binary");                  // 0x2B
+addOpcodeGroup("SUB", "binary");                  // 0x31
+addOpcode("SET_PORT", "port", atombios.PORT_ATI); // 0x37
+addOpcode("SET_PORT", "port", atombios.PORT_PCI);
+addOpcode("SET_PORT", "port", atombios.PORT_SYSIO);
+addOpcode("SET_REG_BLOCK", "u16", 0);             // 0x3A
+addOpcode("SET_FB_BASE", "src", 0);               // 0x3B
+addOpcodeGroup("COMPARE", "binary");              // 0x3C
+addOpcode("SWITCH", "switch", 0);                 // 0x42
+for (var cond = atombios.COND_ALWAYS; cond <= atombios.COND_NOTEQUAL; cond++)
+  addOpcode("JUMP" + CondNames[cond], "jump", cond);  // 0x43
+addOpcodeGroup("TEST", "binary");                 // 0x4A
+addOpcode("DELAY_MS", "u8", 0);                   // 0x50
+addOpcode("DELAY_US", "u8", 0);                   // 0x51
+addOpcode("CALL_TABLE", "call", 0);               // 0x52
+addOpcode("REPEAT", "none", 0);                   // 0x53
+addOpcodeGroup("CLEAR", "clear");                 // 0x54
+addOpcode("NOP", "none", 0);                      // 0x5A
+addOpcode("EOT", "none", 0);                      // 0x5B
+addOpcodeGroup("MASK", "mask");                   // 0x5C
+addOpcode("POST_CARD", "u8", 0);                  // 0x62
+addOpcode("BEEP", "none", 0);                     // 0x63
+addOpcode("SAVE_REG", "none", 0);                 // 0x64
+addOpcode("RESTORE_REG", "none", 0);              // 0x65
+addOpcode("SET_DATA_BLOCK", "u8", 0);             // 0x66
+addOpcodeGroup("XOR", "binary");                  // 0x67
+addOpcodeGroup("SHL", "binary");                  // 0x6D
+addOpcodeGroup("SHR", "binary");                  // 0x73
+addOpcode("DEBUG", "u8", 0);                      // 0x79
+addOpcode("PROCESS_DS", "ds", 0);                 // 0x7A
+addOpcodeGroup("MUL32", "binary");                // 0x7B
+addOpcodeGroup("DIV32", "binary");                // 0x81
+
+atombios.OP_EOT = 0x5B;
+
+// ============================================================================
+// [Decoder]
+// ============================================================================
+
+// Sequential reader of bytecode, throws if it reads past `end`.
+class CodeReader {
+  constructor(buf, pos, end) {
+    this.buf = buf;
+    this.pos = pos;
+    this.end = end;
+  }
+
+  check(size) {
+    if (this.pos + size > this.end)
+      fail(`Truncated instruction at ${hex(this.pos, 4)}`);
+  }
+
+  u8() {
+    this.check(1);
+    return this.buf[this.pos++];
+  }
+
+  u16() {
+    this.check(2);
+    const value = this.buf.readUInt16LE(this.pos);
+    this.pos += 2;
+    return value;
+  }
+
+  u32() {
+    this.check(4);
+    const value = this.buf.readUInt32LE(this.pos);
+    this.pos += 4;
+    return value;
+  }
+
+  direct(align) {
+    const size = AlignSizes[align];
+    return size === 4 ? this.u32() : size === 2 ? this.u16() : this.u8();
+  }
+}
+
+// Reads an operand of the given `arg` kind and `align`ment.
+function readOperand(r, arg, align) {
+  var index;
+
+  switch (arg) {
+    case atombios.ARG_REG:
+    case atombios.ARG_ID:
+      index = r.u16();
+      break;
+
+    case atombios.ARG_IMM:
+      return { arg: arg, align: align, value: r.direct(align) };
+
+    default:
+      index = r.u8();
+      break;
+  }
+
+  return { arg: arg, align: align, index: index };
+}
+
+function readSrc(r, attr) {
+  return readOperand(r, attr & 7, (attr >> 3) & 7);
+}
+
+function readDst(r, arg, attr) {
+  return readOperand(r, arg, DstToSrc[(attr >> 3) & 7][(attr >> 6) & 3]);
+}
+
+// Formats an operand as it would be written in an atomdis listing.
+function formatOperand(op) {
+  if (op.arg === atombios.ARG_IMM)
+    return hex(op.value, AlignSizes[op.align] * 2);
+
+  var name;
+  if (op.arg === atombios.ARG_WS && WSNames[op.index])
+    name = WSNames[op.index];
+  else
+    name = `${ArgNames[op.arg]}[${hex(op.index, op.arg === atombios.ARG_REG || op.arg === atombios.ARG_ID ? 4 : 2)}]`;
+
+  return name + AlignNames[op.align];
+}
+atombios.formatOperand = formatOperand;
+
+// Decodes a single instruction at `offset` (relative to `base`, which is the
+// start of the command table). The `end` is a relative offset where the code
+// ends. Returns an object describing the instruction:
+//
+//   - `offset`   - Offset of the instruction relative to the table start.
+//   - `size`     - Size of the instruction in bytes.
+//   - `opcode`   - Opcode byte.
+//   - `name`     - Instruction name (like "MOVE", "JUMP_EQUAL", ...).
+//   - `operands` - Decoded operands, their content depends on the opcode.
+//   - `target`   - Jump target (relative to the table start), jumps only.
+//   - `cases`    - Array of `{ value, target }` objects, SWITCH only.
+//   - `table`    - Index of the called command table, CALL_TABLE only.
+//
+// Throws if the instruction is invalid or truncated.
+function decodeInstruction(buf, base, offset, end) {
+  const r = new CodeReader(buf, base + offset, base + end);
+  const opcode = r.u8();
+  const info = Opcodes[opcode];
+
+  if (!info || info.kind === "invalid")
+    fail(`Invalid opcode ${hex(opcode, 2)} at ${hex(offset, 4)}`);
+
+  const inst = {
+    offset  : offset,
+    size    : 0,
+    opcode  : opcode,
+    name    : info.name,
+    operands: []
+  };
+
+  var attr;
+  switch (info.kind) {
+    case "move":
+    case "binary":
+      attr = r.u8();
+      inst.operands.push(readDst(r, info.arg, attr));
+      inst.operands.push(readSrc(r, attr));
+      break;
+
+    case "shift":
+      attr = r.u8();
+      attr = (attr & 0x38) | (DefDst[(attr >> 3) & 7] << 6);
+      inst.operands.push(readDst(r, info.arg, attr));
+      inst.operands.push(readOperand(r, atombios.ARG_IMM, atombios.SRC_BYTE0));
+      break;
+
+    case "clear":
+      attr = r.u8();
+      attr = (attr & 0x38) | (DefDst[(attr >> 3) & 7] << 6);
+      inst.operands.push(readDst(r, info.arg, attr));
+      break;
+
+    case "mask":
+      attr = r.u8();
+      inst.operands.push(readDst(r, info.arg, attr));
+      inst.operands.push(readOperand(r, atombios.ARG_IMM, (attr >> 3) & 7));
+      inst.operands.push(readSrc(r, attr));
+      break;
+
+    case "src":
+      inst.operands.push(readSrc(r, r.u8()));
+      break;
+
+    case "port":
+      inst.port = info.arg;
+      inst.value = info.arg === atombios.PORT_ATI ? r.u16() : r.u8();
+      break;
+
+    case "u8":
+      inst.value = r.u8();
+      break;
+
+    case "u16":
+      inst.value = r.u16();
+      break;
+
+    case "call":
+      inst.table = r.u8();
+      break;
+
+    case "jump":
+      inst.target = r.u16();
+      break;
+
+    case "switch":
+      attr = r.u8();
+      inst.operands.push(readSrc(r, attr));
+      inst.cases = [];
+
+      for (;;) {
+        r.check(2);
+        if (buf.readUInt16LE(r.pos) === atombios.CASE_END) {
+          r.pos += 2;
+          break;
+        }
+
+        if (r.u8() !== atombios.CASE_MAGIC)
+          fail(`Invalid SWITCH case at ${hex(r.pos - 1 - base, 4)}`);
+
+        const value = r.direct((attr >> 3) & 7);
+        const target = r.u16();
+        inst.cases.push({ value: value, target: target });
+      }
+      break;
+
+    case "ds":
+      inst.value = r.u16();
+      r.check(inst.value);
+      r.pos += inst.value;
+      break;
+  }
+
+  inst.size = r.pos - base - offset;
+  return inst;
+}
+atombios.decodeInstruction = decodeInstruction;
+
+// Formats a decoded instruction `inst` without its offset and bytes. The
+// optional `tableNames` array is used to name tables called by CALL_TABLE.
+function formatInstruction(inst, tableNames) {
+  const args = inst.operands.map(formatOperand);
+
+  switch (Opcodes[inst.opcode].kind) {
+    case "port":
+      args.push(PortNames[inst.port]);
+      if (inst.port === atombios.PORT_ATI)
+        args.push(hex(inst.value, 4));
+      break;
+
+    case "u8":
+      args.push(hex(inst.value, 2));
+      break;
+
+    case "u16":
+    case "ds":
+      args.push(hex(inst.value, 4));
+      break;
+
+    case "call":
+      args.push(hex(inst.table, 2) + (tableNames && tableNames[inst.table] ? ` (${tableNames[inst.table]})` : ""));
+      break;
+
+    case "jump":
+      args.push(hex(inst.target, 4));
+      break;
+
+    case "switch": {
+      const size = AlignSizes[inst.operands[0].align] * 2;
+      for (var i = 0; i < inst.cases.length; i++)
+        args.push(`${hex(inst.cases[i].value, size)}:${hex(inst.cases[i].target, 4)}`);
+      break;
+    }
+  }
+
+  return args.length ? `${inst.name.padEnd(14)} ${args.join(", ")}` : inst.name;
+}
+atombios.formatInstruction = formatInstruction;
+
+// Disassembles a command table that starts at `offset` in `buf`. Returns an
+// object that contains the table header and the decoded `instructions`. If
+// the decoder encounters invalid bytecode the remaining bytes are stored in
+// `data` and `error` contains the reason.
+function disassemble(buf, offset) {
+  offset = offset || 0;
+
+  if (offset + atombios.COMMAND_TABLE_HEADER_SIZE > buf.length)
+    fail(`atombios.disassemble(): Command table at ${hex(offset, 4)} is out of bounds`);
+
+  const size = buf.readUInt16LE(offset);
+  const attr = buf.readUInt16LE(offset + 4);
+
+  if (size < atombios.COMMAND_TABLE_HEADER_SIZE || offset + size > buf.length)
+    fail(`atombios.disassemble(): Command table at ${hex(offset, 4)} has invalid size ${size}`);
+
+  const table = {
+    offset         : offset,
+    size           : size,
+    formatRevision : buf[offset + 2],
+    contentRevision: buf[offset + 3],
+    wsSize         : attr & 0xFF,
+    psSize         : (attr >> 8) & 0x7F,
+    instructions   : [],
+    data           : null,
+    error          : null
+  };
+
+  var pos = atombios.COMMAND_TABLE_HEADER_SIZE;
+  while (pos < size) {
+    var inst;
+    try {
+      inst = decodeInstruction(buf, offset, pos, size);
+    }
+    catch (ex) {
+      table.data = buf.slice(offset + pos, offset + size);
+      table.error = ex.message;
+      break;
+    }
+
+    table.instructions.push(inst);
+    pos += inst.size;
+  }
+
+  return table;
+}
+atombios.disassemble = disassemble;
+
+// Formats the result of `disassemble()` as a text listing.
+function formatListing(table, tableNames) {
+  const lines = [];
+  const addr = function(offset) { return hex(offset, 4).substr(2); };
+
+  lines.push(`; Offset=${hex(table.offset, 4)} Size=${table.size} Revision=${table.formatRevision}.${table.contentRevision} WS=${table.wsSize} PS=${table.psSize}`);
+
+  for (var i = 0; i < table.instructions.length; i++) {
+    const inst = table.instructions[i];
+    lines.push(`${addr(inst.offset)}: ${formatInstruction(inst, tableNames)}`);
+  }
+
+  if (table.data) {
+    const pos = table.size - table.data.length;
+    lines.push(`${addr(pos)}: ; ${table.error}`);
+    lines.push(`${addr(pos)}: DB ${Array.from(table.data, function(b) { return hex(b, 2); }).join(", ")}`);
+  }
+
+  return lines.join("\n");
+}
+atombios.formatListing = formatListing;
+
+// ============================================================================
+// [RegisterFile]
+// ============================================================================
+
+// A mock register space used by `Interpreter`. Registers are grouped by space
+// ("REG" for MMIO, "PLL", "MC", and "PCI", "SYSIO" or "IIO" for registers
+// accessed through SET_PORT). Registers that were never written read as zero.
+//
+// All reads and writes done by the interpreter are recorded in `log` as
+// `{ type, space, index, value }` objects, where `type` is "read" or "write".
+class RegisterFile {
+  constructor() {
+    this.spaces = Object.create(null);
+    this.log = [];
+  }
+
+  // Get a register value without recording the access.
+  peek(space, index) {
+    const regs = this.spaces[space];
+    return regs && regs[index] !== undefined ? regs[index] : 0;
+  }
+
+  // Set a register value without recording the access.
+  poke(space, index, value) {
+    const regs = this.spaces[space] || (this.spaces[space] = Object.create(null));
+    regs[index] = value >>> 0;
+  }
+
+  read(space, index) {
+    const value = this.peek(space, index);
+    this.log.push({ type: "read", space: space, index: index, value: value });
+    return value;
+  }
+
+  write(space, index, value) {
+    this.poke(space, index, value);
+    this.log.push({ type: "write", space: space, index: index, value: value >>> 0 });
+  }
+
+  // Get all writes recorded in `log`.
+  writes() {
+    return this.log.filter(function(entry) { return entry.type === "write"; });
+  }
+}
+atombios.RegisterFile = RegisterFile;
+
+// ============================================================================
+// [Interpreter]
+// ============================================================================
+
+// IO modes selected by SET_PORT (ATOM_IO_...).
+const IO_MM    = 0;
+const IO_PCI   = 1;
+const IO_SYSIO = 2;
+const IO_IIO   = 0x80;
+
+const ArgMask = [0xFFFFFFFF, 0x0000FFFF, 0x00FFFF00, 0xFFFF0000, 0x000000FF, 0x0000FF00, 0x00FF0000, 0xFF000000];
+const ArgShift = [0, 0, 8, 16, 0, 8, 16, 24];
+
+// Executes AtomBIOS command tables against a mock register file. The options
+// are:
+//
+//   - `buffer`       - VBIOS data (buffer).
+//   - `base`         - Offset of the VBIOS in `buffer` [default 0].
+//   - `commandTable` - Offset of MasterCommandTable (relative to `base`).
+//   - `dataTable`    - Offset of MasterDataTable (relative to `base`).
+//   - `tableNames`   - Names of command tables, makes it possible to execute
+//                      a table by name.
+//   - `registers`    - RegisterFile instance [default new RegisterFile()].
+//   - `maxSteps`     - Maximum number of executed instructions per `execute()`
+//                      call, protects from endless loops [default 1000000].
+//
+// Delays, POST cards, beeps and debug instructions are ignored and indirect IO
+// programs (IIO) are not executed, such accesses go directly to "IIO" space.
+class Interpreter {
+  constructor(opt) {
+    if (!opt || !opt.buffer)
+      fail(`atombios.Interpreter(): Invalid argument 'opt.buffer'`);
+
+    this.buffer       = opt.buffer;
+    this.base         = opt.base || 0;
+    this.commandTable = opt.commandTable || 0;
+    this.dataTable    = opt.dataTable || 0;
+    this.tableNames   = opt.tableNames || [];
+    this.registers    = opt.registers || new RegisterFile();
+    this.maxSteps     = opt.maxSteps || 1000000;
+    this.maxDepth     = 64;
+
+    this.ps        = [];     // Parameter space, shared by all called tables.
+    this.scratch   = [];     // FB scratch.
+    this.divmul    = [0, 0]; // Quotient/remainder (or low/high part of MUL32).
+    this.dataBlock = 0;
+    this.regBlock  = 0;
+    this.fbBase    = 0;
+    this.ioMode    = IO_MM;
+    this.ioAttr    = 0;
+    this.shift     = 0;
+    this.steps     = 0;
+  }
+
+  // Get an offset of a command table (relative to `base`) by its index or name.
+  tableOffset(table) {
+    var index = table;
+
+    if (typeof table === "string") {
+      index = this.tableNames.indexOf(table);
+      if (index === -1)
+        fail(`atombios.Interpreter(): Unknown command table '${table}'`);
+    }
+
+    return this.readU16(this.commandTable + 4 + index * 2);
+  }
+
+  readU16(offset) {
+    const pos = this.base + offset;
+    if (pos < 0 || pos + 2 > this.buffer.length)
+      fail(`atombios.Interpreter(): Offset ${hex(offset, 4)} is out of bounds`);
+    return this.buffer.readUInt16LE(pos);
+  }
+
+  readU32(offset) {
+    const pos = this.base + offset;
+    if (pos < 0 || pos + 4 > this.buffer.length)
+      fail(`atombios.Interpreter(): Offset ${hex(offset, 4)} is out of bounds`);
+    return this.buffer.readUInt32LE(pos);
+  }
+
+  // Execute a command table (index or name) with parameters `params` (array of
+  // DWORDs that forms the parameter space). Returns the parameter space after
+  // the execution, which contains output values of the table (if any).
+  execute(table, params) {
+    const offset = this.tableOffset(table);
+    if (!offset)
+      fail(`atombios.Interpreter(): Command table '${table}' doesn't exist`);
+
+    this.ps        = params ? params.map(function(value) { return value >>> 0; }) : [];
+    this.divmul    = [0, 0];
+    this.dataBlock = 0;
+    this.regBlock  = 0;
+    this.fbBase    = 0;
+    this.ioMode    = IO_MM;
+    this.steps     = 0;
+
+    this.executeTable(offset, 0, 0);
+    return this.ps;
+  }
+
+  executeTable(start, psBase, depth) {
+    if (depth >= this.maxDepth)
+      fail(`atombios.Interpreter(): Maximum call depth exceeded`);
+
+    const size = this.readU16(start);
+    const attr = this.readU16(start + 4);
+
+    const frame = {
+      start : start,
+      psBase: psBase,
+      psSize: ((attr >> 8) & 0x7F) >> 2,
+      ws    : new Array(attr & 0xFF).fill(0),
+      equal : false,
+      above : false
+    };
+
+    var pc = atombios.COMMAND_TABLE_HEADER_SIZE;
+    for (;;) {
+      if (++this.steps > this.maxSteps)
+        fail(`atombios.Interpreter(): Maximum number of steps exceeded (endless loop?)`);
+
+      const inst = decodeInstruction(this.buffer, this.base + start, pc, size);
+      const next = this.step(frame, inst, depth);
+
+      if (next === -1)
+        return;
+
+      pc = next;
+      if (pc >= size)
+        fail(`atombios.Interpreter(): Execution reached the end of table at ${hex(start, 4)}`);
+    }
+  }
+
+  // Executes a single instruction and returns the offset of the next one or -1
+  // if the table has ended.
+  step(frame, inst, depth) {
+    const ops = inst.operands;
+    const next = inst.offset + inst.size;
+    const info = Opcodes[inst.opcode];
+
+    var dst, src, saved;
+    switch (info.name) {
+      case "MOVE":
+        saved = ops[0].align !== atombios.SRC_DWORD ? this.getValue(frame, ops[0]).saved : 0;
+        this.putValue(frame, ops[0], this.getValue(frame, ops[1]).value, saved);
+        break;
+
+      case "AND":
+      case "OR":
+      case "XOR":
+      case "ADD":
+      case "SUB":
+      case "MASK":
+      case "SHIFT_LEFT":
+      case "SHIFT_RIGHT": {
+        dst = this.getValue(frame, ops[0]);
+        src = this.getValue(frame, ops[ops.length - 1]).value;
+
+        var value = dst.value;
+        switch (info.name) {
+          case "AND"        : value &= src; break;
+          case "OR"         : value |= src; break;
+          case "XOR"        : value ^= src; break;
+          case "ADD"        : value += src; break;
+          case "SUB"        : value -= src; break;
+          case "MASK"       : value = (value & ops[1].value) | src; break;
+          case "SHIFT_LEFT" : value <<= src; break;
+          case "SHIFT_RIGHT": value >>>= src; break;
+        }
+
+        this.putValue(frame, ops[0], value, dst.saved);
+        break;
+      }
+
+      case "SHL":
+      case "SHR": {
+        // These operate on the full destination value.
+        const align = ops[0].align;
+        dst = this.getValue(frame, ops[0]);
+        src = this.getValue(frame, ops[1]).value;
+
+        var full = info.name === "SHL" ? dst.saved << src : dst.saved >>> src;
+        full = ((full & ArgMask[align]) >>> 0) >>> ArgShift[align];
+        this.putValue(frame, ops[0], full, dst.saved);
+        break;
+      }
+
+      case "MUL":
+        dst = this.getValue(frame, ops[0]).value;
+        src = this.getValue(frame, ops[1]).value;
+        this.divmul[0] = Number((BigInt(dst) * BigInt(src)) & 0xFFFFFFFFn);
+        break;
+
+      case "MUL32": {
+        dst = this.getValue(frame, ops[0]).value;
+        src = this.getValue(frame, ops[1]).value;
+        const product = BigInt(dst) * BigInt(src);
+        this.divmul[0] = Number(product & 0xFFFFFFFFn);
+        this.divmul[1] = Number(product >> 32n);
+        break;
+      }
+
+      case "DIV":
+        dst = this.getValue(frame, ops[0]).value;
+        src = this.getValue(frame, ops[1]).value;
+        this.divmul[0] = src ? Math.floor(dst / src) : 0;
+        this.divmul[1] = src ? dst % src : 0;
+        break;
+
+      case "DIV32": {
+        dst = this.getValue(frame, ops[0]).value;
+        src = this.getValue(frame, ops[1]).value;
+        const quotient = src ? ((BigInt(this.divmul[1]) << 32n) | BigInt(dst)) / BigInt(src) : 0n;
+        this.divmul[0] = Number(quotient & 0xFFFFFFFFn);
+        this.divmul[1] = Number(quotient >> 32n);
+        break;
+      }
+
+      case "COMPARE":
+        dst = this.getValue(frame, ops[0]).value;
+        src = this.getValue(frame, ops[1]).value;
+        frame.equal = dst === src;
+        frame.above = dst > src;
+        break;
+
+      case "TEST":
+        dst = this.getValue(frame, ops[0]).value;
+        src = this.getValue(frame, ops[1]).value;
+        frame.equal = (dst & src) === 0;
+        break;
+
+      case "CLEAR":
+        dst = this.getValue(frame, ops[0]);
+        this.putValue(frame, ops[0], 0, dst.saved);
+        break;
+
+      case "SWITCH":
+        src = this.getValue(frame, ops[0]).value;
+        for (var i = 0; i < inst.cases.length; i++)
+          if (inst.cases[i].value === src)
+            return inst.cases[i].target;
+        break;
+
+      case "SET_PORT":
+        if (inst.port === atombios.PORT_ATI)
+          this.ioMode = inst.value ? IO_IIO | inst.value : IO_MM;
+        else
+          this.ioMode = inst.port === atombios.PORT_PCI ? IO_PCI : IO_SYSIO;
+        break;
+
+      case "SET_REG_BLOCK":
+        this.regBlock = inst.value;
+        break;
+
+      case "SET_FB_BASE":
+        this.fbBase = this.getValue(frame, ops[0]).value;
+        break;
+
+      case "SET_DATA_BLOCK":
+        if (inst.value === 0)
+          this.dataBlock = 0;
+        else if (inst.value === 255)
+          this.dataBlock = frame.start;
+        else
+          this.dataBlock = this.readU16(this.dataTable + 4 + inst.value * 2);
+        break;
+
+      case "CALL_TABLE": {
+        const offset = this.tableOffset(inst.table);
+        if (offset)
+          this.executeTable(offset, frame.psBase + frame.psSize, depth + 1);
+        break;
+      }
+
+      case "EOT":
+        return -1;
+
+      default:
+        if (info.kind === "jump") {
+          if (this.checkCondition(frame, info.arg))
+            return inst.target;
+        }
+        // Other instructions (delays, NOP, POST_CARD, DEBUG, ...) have no effect.
+        break;
+    }
+
+    return next;
+  }
+
+  checkCondition(frame, cond) {
+    switch (cond) {
+      case atombios.COND_ALWAYS      : return true;
+      case atombios.COND_EQUAL       : return frame.equal;
+      case atombios.COND_BELOW       : return !(frame.above || frame.equal);
+      case atombios.COND_ABOVE       : return frame.above;
+      case atombios.COND_BELOWOREQUAL: return !frame.above;
+      case atombios.COND_ABOVEOREQUAL: return frame.above || frame.equal;
+      case atombios.COND_NOTEQUAL    : return !frame.equal;
+    }
+    return false;
+  }
+
+  regSpace() {
+    switch (this.ioMode) {
+      case IO_MM   : return "REG";
+      case IO_PCI  : return "PCI";
+      case IO_SYSIO: return "SYSIO";
+      default      : return "IIO";
+    }
+  }
+
+  // Reads an operand, returns `{ value, saved }`, where `value` is the aligned
+  // value and `saved` the whole DWORD it was extracted from.
+  getValue(frame, op) {
+    var saved;
+
+    switch (op.arg) {
+      case atombios.ARG_IMM:
+        return { value: op.value, saved: op.value };
+
+      case atombios.ARG_REG:
+        saved = this.registers.read(this.regSpace(), op.index + this.regBlock);
+        break;
+
+      case atombios.ARG_PS:
+        saved = this.ps[frame.psBase + op.index] || 0;
+        break;
+
+      case atombios.ARG_WS:
+        switch (op.index) {
+          case 0x40: saved = this.divmul[0]; break;
+          case 0x41: saved = this.divmul[1]; break;
+          case 0x42: saved = this.dataBlock; break;
+          case 0x43: saved = this.shift; break;
+          case 0x44: saved = (1 << this.shift) >>> 0; break;
+          case 0x45: saved = ~(1 << this.shift) >>> 0; break;
+          case 0x46: saved = this.fbBase; break;
+          case 0x47: saved = this.ioAttr; break;
+          case 0x48: saved = this.regBlock; break;
+          default  : saved = frame.ws[op.index] || 0; break;
+        }
+        break;
+
+      case atombios.ARG_ID:
+        saved = this.readU32(this.dataBlock + op.index);
+        break;
+
+      case atombios.ARG_FB:
+        saved = this.scratch[(this.fbBase >>> 2) + op.index] || 0;
+        break;
+
+      case atombios.ARG_PLL:
+        saved = this.registers.read("PLL", op.index);
+        break;
+
+      case atombios.ARG_MC:
+        saved = this.registers.read("MC", op.index);
+        break;
+    }
+
+    saved >>>= 0;
+    return { value: ((saved & ArgMask[op.align]) >>> 0) >>> ArgShift[op.align], saved: saved };
+  }
+
+  // Writes an aligned `value` to an operand, merging it with `saved` DWORD.
+  putValue(frame, op, value, saved) {
+    const mask = ArgMask[op.align];
+    value = (((value << ArgShift[op.align]) & mask) | (saved & ~mask)) >>> 0;
+
+    switch (op.arg) {
+      case atombios.ARG_REG:
+        this.registers.write(this.regSpace(), op.index + this.regBlock, value);
+        break;
+
+      case atombios.ARG_PS:
+        this.ps[frame.psBase + op.index] = value;
+        break;
+
+      case atombios.ARG_WS:
+        switch (op.index) {
+          case 0x40: this.divmul[0] = value; break;
+          case 0x41: this.divmul[1] = value; break;
+          case 0x42: this.dataBlock = value; break;
+          case 0x43: this.shift = value; break;
+          case 0x44:
+          case 0x45: break;
+          case 0x46: this.fbBase = value; break;
+          case 0x47: this.ioAttr = value; break;
+          case 0x48: this.regBlock = value; break;
+          default  : frame.ws[op.index] = value; break;
+        }
+        break;
+
+      case atombios.ARG_FB:
+        this.scratch[(this.fbBase >>> 2) + op.index] = value;
+        break;
+
+      case atombios.ARG_PLL:
+        this.registers.write("PLL", op.index, value);
+        break;
+
+      case atombios.ARG_MC:
+        this.registers.write("MC", op.index, value);
+        break;
+
+      default:
+        fail(`atombios.Interpreter(): Cannot write to ${ArgNames[op.arg]} operand`);
+    }
+  }
+}
+atombios.Interpreter = Interpreter;
+
+$export[$as] = atombios;
+
+}).apply(this, typeof module === "object" && module && module.exports
+  ? [module, "exports"] : [this, "atombios"]);
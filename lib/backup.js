@@ -0,0 +1,82 @@
+// ============================================================================
+// [backup.js]
+// Timestamped backups of binary files (like pp_table) stored in a directory.
+//
+// This is free and unencumbered software released into the public domain.
+//
+// Anyone is free to copy, modify, publish, use, compile, sell, or
+// distribute this software, either in source code form or as a compiled
+// binary, for any purpose, commercial or non-commercial, and by any
+// means.
+//
+// In jurisdictions that recognize copyright laws, the author or authors
+// of this software dedicate any and all copyright interest in the
+// software to the public domain. We make this dedication for the benefit
+// of the public at large and to the detriment of our heirs and
+// successors. We intend this dedication to be an overt act of
+// relinquishment in perpetuity of all present and future rights to this
+// software under copyright law.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+// IN NO EVENT SHALL THE AUTHORS BE LIABLE FOR ANY CLAIM, DAMAGES OR
+// OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+//
+// For more information, please refer to <https://unlicense.org/>
+// ============================================================================
+
+
+module.exports = (function() {
+"use strict";
+
+const iofs = require("./iofs.js");
+
+const backup = Object.create(null);
+
+const BackupRE = /^(\d{8}T\d{6}\.\d{3}Z)\.bin$/;
+const TimestampRE = /^\d{8}T\d{6}\.\d{3}Z$/;
+
+// Returns a timestamp of `date` like "20180131T235959.999Z", which is used as
+// a backup name. Timestamps sort the same way as dates they represent.
+function makeTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, "");
+}
+backup.makeTimestamp = makeTimestamp;
+
+function isTimestamp(s) {
+  return TimestampRE.test(s);
+}
+backup.isTimestamp = isTimestamp;
+
+// Saves `buf` to directory `dir` (created if it doesn't exist). Returns the
+// timestamp of the backup or null on failure.
+function save(dir, buf, date) {
+  if (!iofs.makeDir(dir))
+    return null;
+
+  const timestamp = makeTimestamp(date || new Date());
+  return iofs.writeFileBinary(`${dir}/${timestamp}.bin`, buf) ? timestamp : null;
+}
+backup.save = save;
+
+// Returns timestamps of all backups in `dir`, oldest first.
+function list(dir) {
+  const files = iofs.readDir(dir, BackupRE) || [];
+  return files.map(function(fileName) { return fileName.match(BackupRE)[1]; }).sort();
+}
+backup.list = list;
+
+// Loads a backup of `timestamp` from `dir`, returns null if it doesn't exist.
+function load(dir, timestamp) {
+  if (!isTimestamp(timestamp))
+    return null;
+  return iofs.readFileBinary(`${dir}/${timestamp}.bin`);
+}
+backup.load = load;
+
+return backup;
+
+})();
@@ -36,6 +36,8 @@
 //   * Allow to define links between structs (absolute vs relative offsets).
 //   * Allow to read a struct into a JS object (including substructs).
 //   * Allow to update data back from JS object to the original Buffer/DataView.
+//   * Allow to resize arrays during update (relocates everything that follows).
+//   * Allow to write a JS object into a new Buffer (subtables are laid out automatically).
 //
 // The following built-in types are provided:
 //
@@ -92,7 +94,8 @@ const FLAGS = freeze({
 
   ISOLATE        : 0x00010000, // Used by `Struct` to isolate all offsets within it (starts a new absolute positioning from here).
   ABSOLUTE_OFFSET: 0x00040000, // This is an absolute offset that points to a struct (must be used with `$ref`).
-  RELATIVE_OFFSET: 0x00080000  // This is a relative offset that points to a struct (must be used with `$ref`).
+  RELATIVE_OFFSET: 0x00080000, // This is a relative offset that points to a struct (must be used with `$ref`).
+  STRUCT_SIZE    : 0x00100000  // Size of data [in bytes] that starts at the beginning of the struct (recalculated when resizing).
 });
 binlib.FLAGS = FLAGS;
 
@@ -138,7 +141,10 @@ function bitMaskOf(x) { return x >= 32 ? 0xFFFFFFFF : (1 << x) - 1; }
 function hasVersion(name) { return name.indexOf('$') !== -1; }
 function fullNameOf(name, version) { return (!version || !version.length) ? name : name + "$" + version.join("."); }
 
-function fullNameFromPartialObject(object, type) {
+// Returns a full name of `type` versioned by `object`, which can be partial.
+// Entries of `$verInfo` are member names or functions that are called with
+// `object`, and with `buffer` and `offset` of the object when it's being read.
+function fullNameFromPartialObject(object, type, buffer, offset) {
   var fullName = type.$name;
   var verInfo = type.$verInfo;
 
@@ -146,14 +152,28 @@ function fullNameFromPartialObject(object, type) {
     return fullName;
 
   for (var i = 0; i < verInfo.length; i++) {
+    const info = verInfo[i];
     fullName += i === 0 ? "$" : ".";
-    fullName += String(object[verInfo[i]]);
+    fullName += String(typeof info === "function" ? info(object, buffer, offset) : object[info]);
   }
   return fullName;
 }
 
+// Returns true if `type` selects its version by content. This is either a type
+// that is not versioned yet, or a versioned type that provides `$verInfo` that
+// is longer than its `$version`, which selects a sub-version of it (used when
+// different layouts share the same version, like `Name$15` and `Name$15.1`).
+function isVersionedByContent(type) {
+  const verInfo = type.$verInfo;
+  if (!verInfo || !verInfo.length)
+    return false;
+
+  const version = type.$version;
+  return !version || version.length < verInfo.length;
+}
+
 function hexToAscii(x) {
-  return x + (x <= 9 ? 48 : 65);
+  return x + (x <= 9 ? 48 : 55);
 }
 
 function asciiToHex(x) {
@@ -220,6 +240,176 @@ function newObject(meta) {
   return object;
 }
 
+// Returns all bytes of the given DataView `view` as Uint8Array.
+function bytesOf(view) {
+  return new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+}
+
+// Allocates a zero initialized buffer of the given `size`. Node's `Buffer`
+// is preferred, `Uint8Array` is used in environments that don't provide it.
+function newBuffer(size) {
+  return typeof Buffer === "function" ? Buffer.alloc(size) : new Uint8Array(size);
+}
+
+// ============================================================================
+// binlib.Expression]
+// ============================================================================
+
+// Evaluates a `path` like ["NumEntries"] or ["$parent", "Header", "Size"]
+// against `object` and its `parents` (the nearest parent is the last one).
+// The `$offset` is the offset of `member` (that uses the expression) within
+// its struct.
+function evaluatePath(object, parents, member, path, expr) {
+  if (path.length === 1 && path[0] === "$offset") {
+    if (!member)
+      fail(`Expression '${expr}': '$offset' can only be used by members`);
+    return member.$offset;
+  }
+
+  var value = object;
+  var index = parents.length;
+  var i = 0;
+
+  for (; i < path.length; i++) {
+    const key = path[i];
+    if (key === "$parent") {
+      if (--index < 0)
+        fail(`Expression '${expr}': Object has no parent`);
+      value = parents[index];
+    }
+    else if (key === "$root") {
+      index = 0;
+      value = parents.length ? parents[0] : object;
+    }
+    else {
+      break;
+    }
+  }
+
+  for (; i < path.length; i++) {
+    const key = path[i];
+    if (!isObject(value) || !hasOwn.call(value, key))
+      fail(`Expression '${expr}': Member '${path.join(".")}' doesn't exist`);
+    value = value[key];
+  }
+
+  if (typeof value !== "number")
+    fail(`Expression '${expr}': Member '${path.join(".")}' is not a number`);
+  return value;
+}
+
+function binaryOperation(op, a, b) {
+  switch (op) {
+    case "+": return function(object, parents, member) { return a(object, parents, member) + b(object, parents, member); };
+    case "-": return function(object, parents, member) { return a(object, parents, member) - b(object, parents, member); };
+    case "*": return function(object, parents, member) { return a(object, parents, member) * b(object, parents, member); };
+    case "/": return function(object, parents, member) { return Math.floor(a(object, parents, member) / b(object, parents, member)); };
+    case "%": return function(object, parents, member) { return a(object, parents, member) % b(object, parents, member); };
+  }
+  fail(`Invalid operator '${op}'`);
+}
+
+// Compiles an expression like "NumEntries * BytesPerEntry" into a function
+// that accepts `(object, parents, member)` and returns the result. Supported
+// are integers, member names, paths starting with `$parent` or `$root`, the
+// `$offset` of the member, parens, and `+`, `-`, `*`, `/` (integer division),
+// and `%` operators.
+function compileExpression(expr) {
+  const re = /\s*(?:(0[xX][0-9A-Fa-f]+|\d+)|([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)|([-+*\/%()]))\s*/y;
+  const tokens = [];
+
+  while (re.lastIndex < expr.length) {
+    const index = re.lastIndex;
+    const m = re.exec(expr);
+
+    if (!m)
+      fail(`Expression '${expr}': Unexpected character at [${index}]`);
+
+    if (m[1])
+      tokens.push({ num: Number(m[1]) });
+    else if (m[2])
+      tokens.push({ path: m[2].split(".") });
+    else
+      tokens.push({ op: m[3] });
+  }
+
+  var i = 0;
+  function isOp(ops) { return i < tokens.length && ops.indexOf(tokens[i].op) !== -1; }
+
+  function parseSum() {
+    var node = parseProduct();
+    while (isOp("+-"))
+      node = binaryOperation(tokens[i++].op, node, parseProduct());
+    return node;
+  }
+
+  function parseProduct() {
+    var node = parseUnary();
+    while (isOp("*/%"))
+      node = binaryOperation(tokens[i++].op, node, parseUnary());
+    return node;
+  }
+
+  function parseUnary() {
+    if (i >= tokens.length)
+      fail(`Expression '${expr}': Unexpected end`);
+
+    const token = tokens[i++];
+    if (token.num !== undefined) {
+      const num = token.num;
+      return function() { return num; };
+    }
+
+    if (token.path) {
+      const path = token.path;
+      return function(object, parents, member) { return evaluatePath(object, parents, member, path, expr); };
+    }
+
+    if (token.op === "-") {
+      const node = parseUnary();
+      return function(object, parents, member) { return -node(object, parents, member); };
+    }
+
+    if (token.op === "(") {
+      const node = parseSum();
+      if (!isOp(")"))
+        fail(`Expression '${expr}': Missing ')'`);
+      i++;
+      return node;
+    }
+
+    fail(`Expression '${expr}': Unexpected '${token.op}'`);
+  }
+
+  const node = parseSum();
+  if (i < tokens.length)
+    fail(`Expression '${expr}': Unexpected '${tokens[i].op || tokens[i].num || tokens[i].path.join(".")}'`);
+  return node;
+}
+binlib.compileExpression = compileExpression;
+
+// Compiles `$length` attribute `value` of `member`. Numbers, member names,
+// and functions are kept as is, expressions are compiled into functions.
+function compileLength(value, member) {
+  if (typeof value === "string" && !/^[A-Za-z_$][\w$]*$/.test(value)) {
+    const expression = compileExpression(value);
+    return function(object, parents) { return expression(object, parents, member); };
+  }
+  return value;
+}
+
+// Returns a member (or a primitive type) of array entries of type `ref` that
+// holds a terminator.
+function terminatorOf(ref) {
+  return (ref.$flags & FLAGS.STRUCT) ? ref.$members[0] : ref;
+}
+
+// Returns true if `member` is an array or string of a fixed length.
+function isFixedLength(member) {
+  return typeof member.$length === "number" && member.$length >= 0 && member.$terminator === null &&
+         (member.$stride === null || typeof member.$stride === "number");
+}
+
 // ============================================================================
 // binlib.utils]
 // ============================================================================
@@ -275,8 +465,7 @@ function getKeyInternal(obj, path, key) {
         return getKeyInternal(thisObj[i], prefix + thisKey + `[${i}]`, subKey.substring(1));
       }
       else {
-        // TODO:
-        throw new Error("NOT IMPLEMENTED");
+        return thisObj[i];
       }
     }
   }
@@ -341,8 +530,8 @@ function setKeyInternal(obj, path, key, value) {
         return setKeyInternal(thisObj[i], prefix + thisKey + `[${i}]`, subKey.substring(1), value);
       }
       else {
-        // TODO:
-        throw new Error("NOT IMPLEMENTED");
+        // Array element access.
+        return setValueInternal(thisObj, i, prefix + thisKey + `[${i}]`, value);
       }
     }
   }
@@ -350,34 +539,38 @@ function setKeyInternal(obj, path, key, value) {
     if (!hasOwn.call(obj, key))
       throw TypeError(`Key '${prefix + key}' doesn't exist`);
 
-    const prev = obj[key];
-    if (prev == null || typeof prev === "object")
-      throw TypeError(`Key '${prefix + key}' is an object, it cannot be set to '${value}'`);
+    return setValueInternal(obj, key, prefix + key, value);
+  }
+}
 
-    if (typeof prev === "number") {
-      if (typeof value === "string") {
-        if (!/^-?\d+$/.test(value))
-          throw TypeError(`Key '${prefix + key}' cannot be set to '${value}'`);
-        value = parseInt(value);
-      }
-      else if (typeof value === "boolean") {
-        value = Number(value);
-      }
-      else if (typeof value !== "number") {
-        throw TypeError(`Key '${prefix + key}' cannot be set to '${value}'`);
-      }
+function setValueInternal(obj, key, path, value) {
+  const prev = obj[key];
+  if (prev == null || typeof prev === "object")
+    throw TypeError(`Key '${path}' is an object, it cannot be set to '${value}'`);
 
-      obj[key] = value;
-      return;
+  if (typeof prev === "number") {
+    if (typeof value === "string") {
+      if (!/^-?\d+$/.test(value))
+        throw TypeError(`Key '${path}' cannot be set to '${value}'`);
+      value = parseInt(value);
     }
-
-    if (typeof prev === "string") {
-      obj[key] = value;
-      return;
+    else if (typeof value === "boolean") {
+      value = Number(value);
     }
+    else if (typeof value !== "number") {
+      throw TypeError(`Key '${path}' cannot be set to '${value}'`);
+    }
+
+    obj[key] = value;
+    return;
+  }
 
-    throw TypeError(`Key '${prefix + key}' exists, but couldn't find a right setter`);
+  if (typeof prev === "string") {
+    obj[key] = value;
+    return;
   }
+
+  throw TypeError(`Key '${path}' exists, but couldn't find a right setter`);
 }
 
 function setKey(root, key, value) {
@@ -385,6 +578,164 @@ function setKey(root, key, value) {
 }
 binlib.utils.setKey = setKey;
 
+function mapFieldsInternal(object, path, out) {
+  const meta = object.$meta;
+  if (!meta || !meta.type || meta.absOffset < 0)
+    return;
+
+  const type = meta.type;
+  const members = type.$members;
+  const prefix = path ? path + "." : "";
+
+  for (var i = 0; i < members.length; i++) {
+    const member = members[i];
+    const name = member.$name;
+    const value = object[name];
+
+    if (value === undefined)
+      continue;
+
+    const flags = member.$flags;
+    const offset = meta.absOffset + member.$offset;
+
+    if (flags & FLAGS.PRIMITIVE) {
+      out.push({ path: prefix + name, offset: offset, size: member.$size, member: member });
+
+      // Structure referenced by offset.
+      if (member.$ref && isObject(value))
+        mapFieldsInternal(value, prefix + name, out);
+    }
+    else if (flags & FLAGS.STRING) {
+      const size = member.$size || ((flags & FLAGS.HEX) ? value.length >>> 1 : value.length);
+      out.push({ path: prefix + name, offset: offset, size: size, member: member });
+    }
+    else if (flags & FLAGS.ARRAY) {
+      const ref = member.$ref;
+      const stride = typeof member.$stride === "number" ? member.$stride :
+                     typeof member.$stride === "string" ? object[member.$stride] :
+                     member.$stride === null && ref ? ref.$size : 0;
+
+      for (var j = 0; j < value.length; j++) {
+        const entry = value[j];
+        const entryPath = `${prefix}${name}[${j}]`;
+
+        if (isObject(entry))
+          mapFieldsInternal(entry, entryPath, out);
+        else if (ref && stride)
+          out.push({ path: entryPath, offset: offset + j * stride, size: ref.$size, member: ref });
+      }
+    }
+    else if (flags & FLAGS.STRUCT) {
+      mapFieldsInternal(value, prefix + name, out);
+    }
+  }
+}
+
+// Returns all fields of `object` returned by `$readObject()` as an array of
+// `{ path, offset, size, member }` objects, where `offset` is an absolute offset
+// of the field in the buffer the object was read from and `member` is either
+// a struct member or a primitive type of an array entry. Bit-fields share the
+// same `offset` and `size`.
+function mapFields(object) {
+  const out = [];
+  mapFieldsInternal(object, "", out);
+  return out;
+}
+binlib.utils.mapFields = mapFields;
+
+// Returns true if the version of `object` was fully resolved when it was read.
+// Objects of types versioned by content, whose version couldn't be found, only
+// have members of the common part decoded.
+function isVersionResolved(object) {
+  const meta = object.$meta;
+  return !meta || !meta.type || !isVersionedByContent(meta.type);
+}
+binlib.utils.isVersionResolved = isVersionResolved;
+
+// Returns a value of field `field` (see `mapFields()`) stored in `buffer`,
+// strings are returned as hex. Returns undefined if it's outside of `buffer`.
+function readFieldValue(buffer, field) {
+  const view = dataViewOf(buffer);
+  if (field.offset + field.size > view.byteLength)
+    return undefined;
+
+  const member = field.member;
+  if (member.$flags & FLAGS.PRIMITIVE) {
+    return member.$bitMask !== undefined ? readMemberValue(view, field.offset, member)
+                                         : readPrimitiveValue(view, field.offset, field.size, member.$flags);
+  }
+
+  return readStringValue(view, field.offset, field.size, FLAGS.STRING | FLAGS.HEX);
+}
+binlib.utils.readFieldValue = readFieldValue;
+
+// Compares fields of `oldObject` read from `oldBuffer` with fields of
+// `newObject` read from `newBuffer` by their paths, which works even if
+// the new buffer was resized. Returns an array of `{ path, offset, size,
+// oldValue, newValue }` objects, where `offset` and `size` are related to
+// the new buffer (or the old one if the field was removed) and `oldValue`
+// or `newValue` is undefined if the field was added or removed.
+function diffFields(oldObject, oldBuffer, newObject, newBuffer) {
+  const out = [];
+  const oldFields = Object.create(null);
+
+  mapFields(oldObject).forEach(function(field) {
+    const key = field.path + "#" + (field.member.$bitShift || 0);
+    oldFields[key] = field;
+  });
+
+  mapFields(newObject).forEach(function(field) {
+    const key = field.path + "#" + (field.member.$bitShift || 0);
+    const oldField = oldFields[key];
+    const newValue = readFieldValue(newBuffer, field);
+    const oldValue = oldField ? readFieldValue(oldBuffer, oldField) : undefined;
+
+    delete oldFields[key];
+    if (oldValue !== newValue)
+      out.push({ path: field.path, offset: field.offset, size: field.size, oldValue: oldValue, newValue: newValue });
+  });
+
+  for (var key in oldFields) {
+    const field = oldFields[key];
+    out.push({ path: field.path, offset: field.offset, size: field.size, oldValue: readFieldValue(oldBuffer, field), newValue: undefined });
+  }
+
+  return out;
+}
+binlib.utils.diffFields = diffFields;
+
+// Returns byte ranges that differ between `a` and `b` as an array of
+// `{ start, end }` objects (`end` is exclusive). Bytes past the end of the
+// shorter buffer are always considered different.
+function diffBytes(a, b) {
+  const out = [];
+  const min = Math.min(a.length, b.length);
+  const max = Math.max(a.length, b.length);
+
+  var i = 0;
+  while (i < min) {
+    if (a[i] === b[i]) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    while (i < min && a[i] !== b[i])
+      i++;
+    out.push({ start: start, end: i });
+  }
+
+  if (min !== max) {
+    if (out.length && out[out.length - 1].end === min)
+      out[out.length - 1].end = max;
+    else
+      out.push({ start: min, end: max });
+  }
+
+  return out;
+}
+binlib.utils.diffBytes = diffBytes;
+
 // ============================================================================
 // binlib.Type]
 // ============================================================================
@@ -486,6 +837,16 @@ class Struct extends Type {
     var size = opt.$size ? opt.$size : type.$size;
     var flags = updateFlags(type.$flags, (opt.$flags || 0));
 
+    // Size computed from other members, only allowed for arrays and strings.
+    var sizeOf = null;
+    if (typeof size !== "number") {
+      if (!(flags & (FLAGS.ARRAY | FLAGS.STRING)))
+        fail(`'${this.$name}.${name}': Computed '$size' can only be used by arrays and strings`);
+
+      sizeOf = typeof size === "function" ? size : compileExpression(size);
+      size = 0;
+    }
+
     const members = this.$members;
     const member = Object.create(null);
 
@@ -499,7 +860,9 @@ class Struct extends Type {
     member.$offset    = 0;     // Offset [bytes] relative to the beginning of the struct.
     member.$unit      = null;  // Describes a unit if this is a value, can be null.
     member.$ref       = null;  // Reference to another `Type` or `Struct`.
-    member.$length    = -1;    // Only used by String and Array types.
+    member.$length    = -1;    // Only used by String and Array types (number, member name, or function).
+    member.$terminator = null; // Only used by Array type, value of the first member of the entry that terminates it.
+    member.$stride    = null;  // Only used by Array type, distance between entries (number, member name, or function).
 
     var bitSize = 0;
 
@@ -531,15 +894,38 @@ class Struct extends Type {
           member.$ref = v;
           break;
 
+        case "$length":
+          member.$length = compileLength(v, member);
+          break;
+
+        case "$stride":
+          member.$stride = compileLength(v, member);
+          break;
+
         default:
           member[k] = v;
           break;
       }
     }
 
+    // Handle computed size, which is converted to a length function that
+    // receives the type of array entries as a third argument.
+    if (sizeOf) {
+      if (flags & FLAGS.STRING)
+        member.$length = function(object, parents) { return sizeOf(object, parents, member); };
+      else
+        member.$length = function(object, parents, ref) { return Math.floor(sizeOf(object, parents, member) / ref.$size); };
+    }
+
+    if (member.$terminator !== null && !(flags & FLAGS.ARRAY))
+      fail(`'${this.$name}.${name}': The '$terminator' attribute can only be used by arrays`);
+
+    if (member.$stride !== null && !(flags & FLAGS.ARRAY))
+      fail(`'${this.$name}.${name}': The '$stride' attribute can only be used by arrays`);
+
     // Handle fixed strings.
     if (flags & FLAGS.STRING) {
-      size = member.$length;
+      size = typeof member.$length === "number" ? member.$length : 0;
       member.$size = size;
     }
 
@@ -612,10 +998,11 @@ class Struct extends Type {
       const length = member.$length;
 
       // Handle a fixed-length array.
-      if (typeof length === "number") {
+      if (isFixedLength(member)) {
         const fixedLength = length;
+        const stride = member.$stride === null ? ref.$size : member.$stride;
 
-        size = ref.$size * fixedLength;
+        size = stride * fixedLength;
         member.$size = size;
       }
     }
@@ -769,6 +1156,22 @@ function readPrimitiveValue(buffer, offset, size, flags) {
   fail(`Cannot read a primitive value of [size=${size} flags=${dumpFlags(flags)}]`);
 }
 
+function readMemberValue(buffer, offset, member) {
+  const flags = member.$flags;
+  var value = readPrimitiveValue(buffer, offset, member.$size, flags);
+
+  // Handle bit-field.
+  if (member.$bitMask) {
+    const shl = clz32(member.$bitMask);
+    const shr = shl + member.$bitShift;
+
+    value <<= shl;
+    value = (flags & FLAGS.SIGNED) ? value >> shr : value >>> shr;
+  }
+
+  return value;
+}
+
 function readStringValue(buffer, offset, size, flags) {
   const encoding = encodingFromFlags(flags);
   var str = "";
@@ -783,6 +1186,7 @@ function readStringValue(buffer, offset, size, flags) {
       str += String.fromCharCode(hexToAscii(hi),
                                  hexToAscii(lo));
     }
+    return str;
   }
   else {
     for (var i = offset; i < end; i++) {
@@ -889,12 +1293,26 @@ function writePrimitiveValue(buffer, offset, size, flags, value) {
   fail(`Cannot write a primitive value of [size=${size} flags=${dumpFlags(flags)}]`);
 }
 
+function writeMemberValue(buffer, offset, member, value) {
+  const size = member.$size;
+  const flags = member.$flags;
+
+  // Handle bit-field.
+  if (member.$bitMask) {
+    const bitMask = member.$bitMask;
+    value = ((value << member.$bitShift) & bitMask) |
+            (readPrimitiveValue(buffer, offset, size, flags) & ~bitMask);
+  }
+
+  writePrimitiveValue(buffer, offset, size, flags, value);
+}
+
 function writeStringValue(buffer, offset, size, flags, value) {
   const encoding = encodingFromFlags(flags);
   var i = 0;
 
   if (encoding === "hex") {
-    const nBytes = Math.floor(Math.min(value.length * 2, size) / 2);
+    const nBytes = Math.min(Math.floor(value.length / 2), size);
     for (i = 0; i < nBytes; i++) {
       const hi = asciiToHex(value.charCodeAt(i * 2 + 0));
       const lo = asciiToHex(value.charCodeAt(i * 2 + 1));
@@ -952,6 +1370,9 @@ class DataAccess {
 
     this.absFrom    = absFrom; // Base address added to all absolute offsets to calculate the final one.
     this.offset     = offset;  // Current offset in `buffer`.
+
+    this.stack      = [];      // Objects being processed, the current one is the last.
+    this.versions   = isObject(opt.versions) ? opt.versions : NoObject;
   }
 
   get length() {
@@ -961,6 +1382,158 @@ class DataAccess {
   _nestPath(path) {
     return this.path ? `${this.path}.${path}` : path;
   }
+
+  // Returns the number of entries of an array `member` of `object` (or the
+  // size of a string). The `ref` is the type of array entries, if array.
+  _lengthOf(object, member, ref) {
+    const length = member.$length;
+
+    if (typeof length === "number")
+      return length;
+
+    if (typeof length === "string")
+      return object[length] || 0;
+
+    if (typeof length === "function")
+      return length(object, this.stack.slice(0, -1), ref);
+
+    return 0;
+  }
+
+  // Returns the number of entries of an array `member` of `object` stored at
+  // `offset`. Terminated arrays are scanned up to the terminator (which is not
+  // part of the array), `$length` (if specified) is the maximum length then.
+  _storedLengthOf(object, member, ref, offset) {
+    const terminator = member.$terminator;
+    var count = this._lengthOf(object, member, ref);
+
+    if (terminator === null)
+      return count;
+
+    if (count < 0)
+      count = Infinity;
+
+    const t = terminatorOf(ref);
+    const tOffset = t.$offset || 0;
+
+    const stride = this._strideOf(object, member, ref, null);
+    for (var n = 0; n < count; n++) {
+      const at = offset + n * stride + tOffset;
+      if (at + t.$size > this.end || readMemberValue(this.buffer, at, t) === terminator)
+        break;
+    }
+
+    return n;
+  }
+
+  // Returns the number of bytes between `entry` and the next entry of an array
+  // `member` of `object`. If not specified by `$stride` it's the size of the
+  // entry, which includes arrays of variable length if the entry is a struct.
+  _strideOf(object, member, ref, entry) {
+    const stride = member.$stride;
+
+    if (stride === null) {
+      if (!(ref.$flags & FLAGS.STRUCT) || !isObject(entry))
+        return ref.$size;
+      return this._extentOf(this._entryTypeOf(ref, entry), entry);
+    }
+
+    if (typeof stride === "number")
+      return stride;
+
+    if (typeof stride === "string")
+      return object[stride] || 0;
+
+    return stride(object, this.stack.slice(0, -1), ref);
+  }
+
+  // Returns the size of `object` including arrays and strings of variable length.
+  _extentOf(type, object) {
+    const members = type.$members;
+    var size = type.$size;
+
+    this.stack.push(object);
+    for (var i = 0; i < members.length; i++) {
+      const member = members[i];
+      const value = object[member.$name];
+
+      // Fixed arrays of entries versioned by their content can have a variable size.
+      if (isFixedLength(member) && !(member.$ref && isVersionedByContent(member.$ref)))
+        continue;
+
+      if ((member.$flags & FLAGS.ARRAY) && isArray(value)) {
+        const ref = this._arrayTypeOf(type, object, member);
+        if (!ref)
+          continue;
+
+        var end = member.$offset;
+        for (var j = 0; j < value.length; j++)
+          end += this._strideOf(object, member, ref, value[j]);
+
+        if (member.$terminator !== null) {
+          const t = terminatorOf(ref);
+          end += (t.$offset || 0) + t.$size;
+        }
+        size = Math.max(size, end);
+      }
+      else if ((member.$flags & FLAGS.STRING) && typeof value === "string") {
+        size = Math.max(size, member.$offset + this._lengthOf(object, member, null));
+      }
+    }
+    this.stack.pop();
+
+    return size;
+  }
+
+  // Returns the type of an array `entry` of type `ref`. If `ref` is versioned
+  // by content the version is read from the entry (it can be a partial object).
+  _entryTypeOf(ref, entry) {
+    const meta = entry.$meta;
+    if (meta && meta.type)
+      return meta.type;
+
+    var type = ref;
+    while (isVersionedByContent(type)) {
+      const versionedType = this.context.$getStruct(fullNameFromPartialObject(entry, type));
+      if (!versionedType || versionedType === type)
+        break;
+      type = versionedType;
+    }
+    return type;
+  }
+
+  // Returns a version of `type` selected by `versions` option, which maps type
+  // names to versions. Used by types that cannot be versioned by their content.
+  _selectType(type) {
+    const version = this.versions[type.$name];
+    if (version === undefined || type.$version)
+      return type;
+
+    const fullName = fullNameOf(type.$name, isArray(version) ? version : [version]);
+    const selectedType = this.context.$getStruct(fullName);
+
+    if (!selectedType) {
+      this.log(`'${this.path || "[root]"}': Couldn't find selected type '${fullName}'`);
+      return type;
+    }
+
+    return selectedType;
+  }
+
+  // Returns the type of entries of an array `member`, which can be versioned.
+  _arrayTypeOf(type, object, member) {
+    const ref = member.$ref;
+    if (!member.$version)
+      return (ref && (ref.$flags & FLAGS.STRUCT)) ? this._selectType(ref) : ref;
+
+    // TODO: Should be a bit better.
+    const fullType = ref.$name + "$" + object[member.$version];
+    const versionedRef = this.context.$getType(fullType);
+
+    if (!versionedRef)
+      this.log(`${type.$name}.${member.$name}: Couldn't get a versioned array entry type '${fullType}'`);
+    return versionedRef;
+  }
 }
 binlib.DataAccess = DataAccess;
 
@@ -988,10 +1561,15 @@ class DataReader extends DataAccess {
     const meta = object.$meta;
     const absOffset = meta.absOffset;
 
+    type = this._selectType(type);
+    meta.type = type;
+
     this.offset = absOffset;
     if (type.$flags & FLAGS.ISOLATE)
       this.absFrom = absOffset;
 
+    this.stack.push(object);
+
     var members = type.$members;
     if (members.length) {
       var i = 0;
@@ -1003,29 +1581,31 @@ class DataReader extends DataAccess {
           object[member.$name] = value;
 
         if (++i >= members.length) {
-          if (!type.$version && type.$verInfo) {
-            // After we read all members it's time to recheck the struct version.
-            const updatedName = fullNameFromPartialObject(object, type);
+          // After we read all members it's time to recheck the struct version,
+          // which can be repeated if the version selects a sub-version.
+          while (i >= members.length && isVersionedByContent(type)) {
+            const updatedName = fullNameFromPartialObject(object, type, this.buffer, absOffset);
             const updatedType = this.context.$getStruct(updatedName);
 
-            if (updatedType) {
-              type = updatedType;
-              members = type.$members;
-              object.$meta.type = updatedType;
-            }
-            else {
+            if (!updatedType || updatedType === type) {
               this.log(`'${this.path || "[root]"}': Couldn't find versioned type '${updatedName}'`);
+              break;
             }
 
-            // Terminate if the specific version doesn't provide new members.
-            if (i < members.length)
-              continue;
+            type = updatedType;
+            members = type.$members;
+            object.$meta.type = updatedType;
           }
+
+          // Terminate if the specific version doesn't provide new members.
+          if (i < members.length)
+            continue;
           break;
         }
       }
     }
 
+    this.stack.pop();
     this.offset = absOffset + type.$size;
     return object;
   }
@@ -1067,17 +1647,7 @@ class DataReader extends DataAccess {
     // console.log(`READING ${type.$name}.${member.$name} at ${offset}`);
 
     if (flags & FLAGS.PRIMITIVE) {
-      var value = readPrimitiveValue(this.buffer, this.offset + offset, size, flags);
-
-      // Handle bit-field.
-      if (member.$bitMask) {
-        const shl = clz32(member.$bitMask);
-        const shr = shl + member.$bitShift;
-
-        value <<= shl;
-        value = (flags & FLAGS.SIGNED) ? value >> shr : value >>> shr;
-      }
-
+      const value = readMemberValue(this.buffer, this.offset + offset, member);
       const ref = member.$ref;
       if (!ref) return value;
 
@@ -1096,33 +1666,26 @@ class DataReader extends DataAccess {
         return this.readNested(ref, path, this.start, rawOffset, absOffset);
     }
     else if (flags & FLAGS.STRING) {
-      return readStringValue(this.buffer, this.offset + offset, size, flags);
+      return readStringValue(this.buffer, this.offset + offset, this._lengthOf(object, member, null), flags);
     }
     else if (flags & FLAGS.ARRAY) {
-      var ref = member.$ref;
-      var count = (typeof member.$length === "number") ? member.$length :
-                  (typeof member.$length === "string") ? object[member.$length] || 0 : 0;
-
-      if (member.$version) {
-        // TODO: Should be a bit better.
-        const fullType = ref.$name + "$" + object[member.$version];
-        ref = this.context.$getType(fullType);
-        if (!ref) {
-          this.log(`${type.$name}.${member.$name}: Couldn't get a versioned array entry type '${fullType}'`);
-          return undefined;
-        }
-      }
+      const ref = this._arrayTypeOf(type, object, member);
+      if (!ref)
+        return undefined;
 
       var array = [];
       var subOffset = this.offset + offset;
 
+      const count = this._storedLengthOf(object, member, ref, subOffset);
+
       for (var j = 0; j < count; j++) {
         const path = this._nestPath(`${name}[${j}]`);
-        if (ref.$flags & FLAGS.PRIMITIVE)
-          array.push(readPrimitiveValue(this.buffer, subOffset, ref.$size, ref.$flags));
-        else
-          array.push(this.readNested(ref, path, this.start, -1, subOffset));
-        subOffset += ref.$size;
+        const entry = (ref.$flags & FLAGS.PRIMITIVE)
+          ? readPrimitiveValue(this.buffer, subOffset, ref.$size, ref.$flags)
+          : this.readNested(ref, path, this.start, -1, subOffset);
+
+        array.push(entry);
+        subOffset += this._strideOf(object, member, ref, entry);
       }
 
       return array;
@@ -1146,6 +1709,9 @@ binlib.DataReader = DataReader;
 class DataUpdater extends DataAccess {
   constructor(context, params) {
     super(context, params);
+
+    this.resize = params.resize === true; // Allows to resize arrays, see `relocate()`.
+    this.output = params.buffer;          // Output buffer, a new one is created on resize.
   }
 
   updateRoot(root) {
@@ -1155,10 +1721,195 @@ class DataUpdater extends DataAccess {
     if (!type)
       fail(`Cannot update object without type information at [${meta.absOffset}]`);
 
+    if (this.resize)
+      this.relocate(root, type);
+
     this.updateObject(root, type);
+    return this.output;
+  }
+
+  // Resizes all arrays that have a different number of entries than what is
+  // stored in the buffer. Each resized array inserts or removes bytes at its
+  // end, which moves everything that follows. All objects are relocated, all
+  // offsets that point to them are recalculated, and all members marked as
+  // `FLAGS.STRUCT_SIZE` are updated. Data not described by any struct moves
+  // together with the data around it, so nothing is lost.
+  relocate(root, type) {
+    const state = {
+      edits: [],    // Changes to the buffer as `{ offset, removed, inserted }`.
+      objects: [],  // All objects that have `$meta` (absOffset will change).
+      pointers: [], // All referenced objects as `{ object, base }`.
+      sizes: []     // All size members as `{ object, name, start, end }`.
+    };
+
+    this.collectEdits(root, type, this.offset, this.absFrom, state);
+    if (!state.edits.length)
+      return;
+
+    const edits = state.edits.sort(function(a, b) { return a.offset - b.offset; });
+    var i, j;
+
+    // Remove duplicates (the same table referenced multiple times) and check
+    // whether the remaining edits don't overlap.
+    for (i = 1, j = 0; i < edits.length; i++) {
+      const prev = edits[j];
+      const edit = edits[i];
+
+      if (edit.offset === prev.offset && edit.removed === prev.removed && edit.inserted === prev.inserted)
+        continue;
+
+      if (edit.offset === prev.offset || edit.offset < prev.offset + prev.removed)
+        fail(`Cannot resize, changes at [${prev.offset}] and [${edit.offset}] overlap`);
+
+      edits[++j] = edit;
+    }
+    edits.length = j + 1;
+
+    function map(offset) {
+      var delta = 0;
+      for (var i = 0; i < edits.length; i++) {
+        const edit = edits[i];
+        if (offset < edit.offset)
+          break;
+
+        if (offset < edit.offset + edit.removed)
+          fail(`Cannot resize, data at [${offset}] would be removed`);
+
+        delta += edit.inserted - edit.removed;
+      }
+      return offset + delta;
+    }
+
+    // Build a new buffer.
+    const src = bytesOf(this.buffer);
+    const dst = newBuffer(map(src.length));
+
+    var srcIndex = 0;
+    var dstIndex = 0;
+
+    for (i = 0; i < edits.length; i++) {
+      const edit = edits[i];
+      dst.set(src.subarray(srcIndex, edit.offset), dstIndex);
+
+      dstIndex += edit.offset - srcIndex + edit.inserted;
+      srcIndex = edit.offset + edit.removed;
+    }
+    dst.set(src.subarray(srcIndex), dstIndex);
+
+    // Relocate objects and recalculate offsets and sizes.
+    state.objects.forEach(function(object) {
+      object.$meta.absOffset = map(object.$meta.absOffset);
+    });
+
+    state.pointers.forEach(function(pointer) {
+      const meta = pointer.object.$meta;
+      meta.rawOffset = meta.absOffset - map(pointer.base);
+    });
+
+    state.sizes.forEach(function(size) {
+      size.object[size.name] = map(size.end) - map(size.start);
+    });
+
+    this.buffer = dataViewOf(dst);
+    this.output = dst;
+
+    this.start = map(this.start);
+    this.end = map(this.end);
+    this.offset = map(this.offset);
+    this.absFrom = map(this.absFrom);
+  }
+
+  collectEdits(object, type, offset, absFrom, state) {
+    if (object.$meta)
+      state.objects.push(object);
+
+    if (type.$flags & FLAGS.ISOLATE)
+      absFrom = offset;
+
+    this.stack.push(object);
+
+    const members = type.$members;
+    for (var i = 0; i < members.length; i++) {
+      const member = members[i];
+      const k = member.$name;
+
+      if (!hasOwn.call(object, k))
+        continue;
+
+      const flags = member.$flags;
+      const value = object[k];
+
+      if (flags & FLAGS.PRIMITIVE) {
+        if (flags & FLAGS.STRUCT_SIZE) {
+          const size = readMemberValue(this.buffer, offset + member.$offset, member);
+          state.sizes.push({ object: object, name: k, start: offset, end: offset + size });
+        }
+
+        if (member.$ref && value != null) {
+          const meta = value.$meta;
+          if (!meta || !meta.type)
+            fail(`Cannot resize, '${type.$name}.${k}' doesn't point to an object having type information`);
+
+          state.pointers.push({ object: value, base: (flags & FLAGS.ABSOLUTE_OFFSET) ? absFrom : offset });
+          this.collectEdits(value, meta.type, meta.absOffset, absFrom, state);
+        }
+      }
+      else if (flags & FLAGS.ARRAY) {
+        const ref = this._arrayTypeOf(type, object, member);
+        if (!isArray(value) || !ref)
+          continue;
+
+        const arrayOffset = offset + member.$offset;
+        const entrySize = this._strideOf(object, member, ref, null);
+
+        // Arrays that have their length stored in a member or that are terminated can be resized.
+        var storedLength = 0;
+        if (typeof member.$length === "string") {
+          const lengthMember = type[member.$length];
+          storedLength = readMemberValue(this.buffer, offset + lengthMember.$offset, lengthMember);
+        }
+        else {
+          storedLength = this._storedLengthOf(object, member, ref, arrayOffset);
+        }
+
+        if ((typeof member.$length === "string" || member.$terminator !== null) && value.length !== storedLength) {
+          if (member.$stride === null && entrySize !== ref.$size)
+            fail(`Cannot resize '${type.$name}.${k}', its entries have variable size`);
+
+          const n = Math.min(value.length, storedLength);
+          state.edits.push({
+            offset  : arrayOffset + n * entrySize,
+            removed : (storedLength - n) * entrySize,
+            inserted: (value.length - n) * entrySize
+          });
+
+          if (typeof member.$length === "string")
+            object[member.$length] = value.length;
+        }
+
+        if (ref.$flags & FLAGS.STRUCT) {
+          const n = Math.min(value.length, storedLength);
+          var entryOffset = arrayOffset;
+
+          for (var j = 0; j < n; j++) {
+            const entry = value[j];
+            this.collectEdits(entry, (entry.$meta && entry.$meta.type) || ref, entryOffset, absFrom, state);
+            entryOffset += this._strideOf(object, member, ref, entry);
+          }
+        }
+      }
+      else if (flags & FLAGS.STRUCT) {
+        if (isObject(value))
+          this.collectEdits(value, member.$type, offset + member.$offset, absFrom, state);
+      }
+    }
+
+    this.stack.pop();
   }
 
   updateObject(object, type) {
+    this.stack.push(object);
+
     const members = type.$members;
     for (var i = 0; i < members.length; i++) {
       const member = members[i];
@@ -1167,7 +1918,6 @@ class DataUpdater extends DataAccess {
       if (!hasOwn.call(object, k))
         continue;
 
-      const size = member.$size;
       const flags = member.$flags;
 
       var offset = this.offset + member.$offset;
@@ -1184,14 +1934,7 @@ class DataUpdater extends DataAccess {
           value = nestedObject != null ? nestedObject.$meta.rawOffset : 0;
         }
 
-        // Handle bit-field.
-        var primitiveValue = value;
-        if (member.$bitMask) {
-          const bitMask = member.$bitMask;
-          primitiveValue = ((value << member.$bitShift) & bitMask) |
-                           (readPrimitiveValue(this.buffer, offset, size, flags) & ~bitMask);
-        }
-        writePrimitiveValue(this.buffer, offset, size, flags, primitiveValue);
+        writeMemberValue(this.buffer, offset, member, value);
 
         if (member.$ref && nestedObject) {
           const nestedType = nestedObject.$meta.type;
@@ -1206,7 +1949,7 @@ class DataUpdater extends DataAccess {
         }
       }
       else if (flags & FLAGS.STRING) {
-        writeStringValue(this.buffer, offset, member.$size, member.$flags, value);
+        writeStringValue(this.buffer, offset, this._lengthOf(object, member, null), member.$flags, value);
       }
       else if (flags & FLAGS.ARRAY) {
         if (!isArray(value)) {
@@ -1214,23 +1957,25 @@ class DataUpdater extends DataAccess {
           continue;
         }
 
-        const ref = member.$ref;
-        const count = (typeof member.$length === "number") ? member.$length :
-                      (typeof member.$length === "string") ? object[member.$length] || 0 : 0;
+        const ref = this._arrayTypeOf(type, object, member);
+        if (!ref)
+          continue;
 
+        const count = this._storedLengthOf(object, member, ref, offset);
         const array = value;
         if (array.length !== count) {
-          this.log(`Number of array entrties of '${k}' mismatch: ${array.length} != ${numStoredEntries}`);
+          this.log(`Number of array entries of '${k}' mismatch: ${array.length} != ${count}, use 'resize' to change it`);
           continue;
         }
 
         var subOffset = offset;
         for (var j = 0; j < count; j++) {
+          const entry = array[j];
           if (ref.$flags & FLAGS.PRIMITIVE)
-            writePrimitiveValue(this.buffer, subOffset, ref.$size, ref.$flags, array[j]);
+            writePrimitiveValue(this.buffer, subOffset, ref.$size, ref.$flags, entry);
           else
-            this.updateNested(array[j], ref, `${member.$name}[${j}]`, subOffset);
-          subOffset += ref.$size;
+            this.updateNested(entry, (entry.$meta && entry.$meta.type) || ref, `${member.$name}[${j}]`, subOffset);
+          subOffset += this._strideOf(object, member, ref, entry);
         }
       }
       else if (flags & FLAGS.STRUCT) {
@@ -1244,6 +1989,8 @@ class DataUpdater extends DataAccess {
         this.log(`Unhandled '${member.$name}'`);
       }
     }
+
+    this.stack.pop();
   }
 
   updateNested(obj, type, path, offset) {
@@ -1263,6 +2010,224 @@ class DataUpdater extends DataAccess {
 }
 binlib.DataUpdater = DataUpdater;
 
+// ============================================================================
+// binlib.DataWriter]
+// ============================================================================
+
+class DataWriter extends DataAccess {
+  constructor(context, params) {
+    super(context, Object.assign({}, params, { buffer: newBuffer(256) }));
+
+    this.size = 0;            // Number of bytes written (the buffer grows as needed).
+    this.written = new Map(); // Objects already written, maps an object to its offset.
+  }
+
+  writeRoot(type, object) {
+    if (!(type.$flags & FLAGS.STRUCT))
+      fail(`'${type.$name}': Cannot be used as root type`);
+
+    type = this._resolveType(type, object);
+    const offset = this.alloc(this._extentOf(type, object));
+
+    this.absFrom = offset;
+    this.writeObject(object, type, offset, null);
+
+    const output = newBuffer(this.size);
+    output.set(bytesOf(this.buffer).subarray(0, this.size));
+    return output;
+  }
+
+  // Allocates `size` bytes at the end of the written data and returns its offset.
+  alloc(size) {
+    const offset = this.size;
+    const required = offset + size;
+    const capacity = this.buffer.byteLength;
+
+    if (required > capacity) {
+      const buffer = newBuffer(Math.max(required, capacity * 2));
+      buffer.set(bytesOf(this.buffer));
+      this.buffer = dataViewOf(buffer);
+    }
+
+    this.size = required;
+    return offset;
+  }
+
+  // Returns a versioned type of `object` if `type` is not versioned, but provides `$verInfo`.
+  _resolveType(type, object) {
+    const meta = object.$meta;
+    if (meta && meta.type && meta.type.$name === type.$name)
+      return meta.type;
+
+    type = this._selectType(type);
+
+    while (isVersionedByContent(type)) {
+      const fullName = fullNameFromPartialObject(object, type);
+      const versionedType = this.context.$getStruct(fullName);
+
+      if (!versionedType || versionedType === type) {
+        this.log(`'${this.path || "[root]"}': Couldn't find versioned type '${fullName}'`);
+        break;
+      }
+
+      type = versionedType;
+    }
+
+    return type;
+  }
+
+  // Writes `object` of `type` at `offset`. Members marked as `FLAGS.STRUCT_SIZE`
+  // are written last as they cover also all subtables written by `object`. If
+  // the object is embedded in another struct then `sizes` is the list of size
+  // members of the parent, which are written when the parent is complete.
+  writeObject(object, type, offset, sizes) {
+    const oldAbsFrom = this.absFrom;
+    if (type.$flags & FLAGS.ISOLATE)
+      this.absFrom = offset;
+
+    this.stack.push(object);
+
+    const members = type.$members;
+    const lengths = Object.create(null);
+    const ownSizes = sizes ? null : [];
+
+    var i, member;
+
+    // Array lengths are always derived from the arrays, not from their members.
+    for (i = 0; i < members.length; i++) {
+      member = members[i];
+      if ((member.$flags & FLAGS.ARRAY) && typeof member.$length === "string" && isArray(object[member.$name]))
+        lengths[member.$length] = object[member.$name].length;
+    }
+
+    for (i = 0; i < members.length; i++) {
+      member = members[i];
+
+      const k = member.$name;
+      const flags = member.$flags;
+      const at = offset + member.$offset;
+
+      if (flags & FLAGS.STRUCT_SIZE) {
+        (sizes || ownSizes).push({ member: member, offset: at, start: offset });
+        continue;
+      }
+
+      if (!hasOwn.call(object, k) && !hasOwn.call(lengths, k))
+        continue;
+
+      const value = hasOwn.call(lengths, k) ? lengths[k] : object[k];
+
+      if (flags & FLAGS.PRIMITIVE) {
+
+        var primitiveValue = value;
+        if (member.$ref)
+          primitiveValue = isObject(value) ? this.writeReference(member, value, offset) : 0;
+
+        writeMemberValue(this.buffer, at, member, primitiveValue);
+      }
+      else if (flags & FLAGS.STRING) {
+        writeStringValue(this.buffer, at, this._lengthOf(object, member, null), flags, value);
+      }
+      else if (flags & FLAGS.ARRAY) {
+        if (!isArray(value)) {
+          this.log(`'${k}' should be array`);
+          continue;
+        }
+
+        const ref = this._arrayTypeOf(type, object, member);
+        if (!ref)
+          continue;
+
+        var count = value.length;
+        if (isFixedLength(member) && count !== member.$length) {
+          this.log(`Number of array entries of '${k}' mismatch: ${count} != ${member.$length}`);
+          count = Math.min(count, member.$length);
+        }
+
+        var subOffset = at;
+        for (var j = 0; j < count; j++) {
+          const stride = this._strideOf(object, member, ref, value[j]);
+
+          if (ref.$flags & FLAGS.PRIMITIVE) {
+            writePrimitiveValue(this.buffer, subOffset, ref.$size, ref.$flags, value[j]);
+          }
+          else {
+            // Size members of array entries only cover the entry itself.
+            const entrySizes = [];
+            this.writeNested(value[j], ref, `${k}[${j}]`, subOffset, entrySizes);
+            this.writeSizes(entrySizes, subOffset + stride);
+          }
+
+          subOffset += stride;
+        }
+
+        if (member.$terminator !== null) {
+          const t = terminatorOf(ref);
+          writeMemberValue(this.buffer, subOffset + (t.$offset || 0), t, member.$terminator);
+        }
+      }
+      else if (flags & FLAGS.STRUCT) {
+        if (!isObject(value))
+          fail(`WRITE: Invalid value type, expected object, got '${typeof value}'`);
+
+        this.writeNested(value, member.$type, k, at, sizes || ownSizes);
+      }
+      else {
+        this.log(`Unhandled '${k}'`);
+      }
+    }
+
+    if (ownSizes)
+      this.writeSizes(ownSizes, this.size);
+
+    this.stack.pop();
+    this.absFrom = oldAbsFrom;
+  }
+
+  // Writes size members collected by `writeObject()`, each covers data from
+  // the start of its struct to `end`.
+  writeSizes(sizes, end) {
+    for (var i = 0; i < sizes.length; i++) {
+      const size = sizes[i];
+      writeMemberValue(this.buffer, size.offset, size.member, end - size.start);
+    }
+  }
+
+  // Writes an object referenced by `member` (if not written yet) and returns
+  // the offset to be stored in `member`.
+  writeReference(member, object, offset) {
+    var absOffset = this.written.get(object);
+
+    if (absOffset === undefined) {
+      const oldPath = this.path;
+      this.path = this._nestPath(member.$name);
+
+      const type = this._resolveType(member.$ref, object);
+      absOffset = this.alloc(this._extentOf(type, object));
+
+      this.written.set(object, absOffset);
+      this.writeObject(object, type, absOffset, null);
+      this.path = oldPath;
+    }
+
+    const rawOffset = (member.$flags & FLAGS.ABSOLUTE_OFFSET) ? absOffset - this.absFrom
+                                                              : absOffset - offset;
+    if (rawOffset > bitMaskOf(member.$size * 8))
+      fail(`'${this._nestPath(member.$name)}': Offset '${rawOffset}' doesn't fit into ${member.$size} bytes`);
+
+    return rawOffset;
+  }
+
+  writeNested(object, type, path, offset, sizes) {
+    const oldPath = this.path;
+
+    this.path = this._nestPath(path);
+    this.writeObject(object, this._resolveType(type, object), offset, sizes);
+    this.path = oldPath;
+  }
+}
+binlib.DataWriter = DataWriter;
+
 // ============================================================================
 // binlib.Context]
 // ============================================================================
@@ -1338,6 +2303,19 @@ class Context {
 
     return (new DataUpdater(this, params)).updateRoot(params.object);
   }
+
+  $writeObject(params) {
+    if (!isObject(params))
+      fail("Invalid argument: 'params' must be object");
+
+    if (!isObject(params.type))
+      fail("Invalid argument: 'params.type' must be Type");
+
+    if (!isObject(params.object))
+      fail("Invalid argument: 'params.object' must be Object");
+
+    return (new DataWriter(this, params)).writeRoot(params.type, params.object);
+  }
 }
 binlib.Context = Context;
 
@@ -0,0 +1,97 @@
+// ============================================================================
+// [dpm.js]
+// Dynamic power management (DPM) states of AMDGPU cards exposed through sysfs.
+//
+// This is free and unencumbered software released into the public domain.
+//
+// Anyone is free to copy, modify, publish, use, compile, sell, or
+// distribute this software, either in source code form or as a compiled
+// binary, for any purpose, commercial or non-commercial, and by any
+// means.
+//
+// In jurisdictions that recognize copyright laws, the author or authors
+// of this software dedicate any and all copyright interest in the
+// software to the public domain. We make this dedication for the benefit
+// of the public at large and to the detriment of our heirs and
+// successors. We intend this dedication to be an overt act of
+// relinquishment in perpetuity of all present and future rights to this
+// software under copyright law.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+// IN NO EVENT SHALL THE AUTHORS BE LIABLE FOR ANY CLAIM, DAMAGES OR
+// OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+//
+// For more information, please refer to <https://unlicense.org/>
+// ============================================================================
+
+
+module.exports = (function() {
+"use strict";
+
+const iofs = require("./iofs.js");
+
+const dpm = Object.create(null);
+
+// Clock domains that provide `pp_dpm_<name>` file, not all cards provide all.
+dpm.CLOCKS = ["sclk", "mclk", "socclk", "fclk", "dcefclk", "pcie"];
+
+dpm.LEVEL_AUTO = "auto";
+dpm.LEVEL_MANUAL = "manual";
+
+const ActiveRE = /\s*\*$/;
+
+// Reads DPM states of clock `name` of a device at `devicePath` (like
+// `/sys/class/drm/card0/device`). Returns an array of `{ index, value, active }`
+// objects, where `value` is a string reported by the driver (like "300Mhz"),
+// or null if the device doesn't provide the clock.
+function readStates(devicePath, name) {
+  const list = iofs.readList(`${devicePath}/pp_dpm_${name}`);
+  if (!list)
+    return null;
+
+  // The driver lists states by their index starting at 0, `iofs.parseList()`
+  // reports any index that doesn't match the position of its state, so the
+  // position is the index that `writeMask()` expects.
+  return list.map(function(item, index) {
+    return { index: index, value: item.replace(ActiveRE, ""), active: ActiveRE.test(item) };
+  });
+}
+dpm.readStates = readStates;
+
+// Reads DPM states of all clocks the device provides, keyed by clock name.
+function readAllStates(devicePath) {
+  const out = {};
+  for (var i = 0; i < dpm.CLOCKS.length; i++) {
+    const name = dpm.CLOCKS[i];
+    const states = readStates(devicePath, name);
+    if (states)
+      out[name] = states;
+  }
+  return out;
+}
+dpm.readAllStates = readAllStates;
+
+// Writes a mask of DPM states of clock `name` the driver is allowed to use.
+// Only effective if the performance level is `dpm.LEVEL_MANUAL`.
+function writeMask(devicePath, name, indexes) {
+  return iofs.writeString(`${devicePath}/pp_dpm_${name}`, indexes.join(" "));
+}
+dpm.writeMask = writeMask;
+
+function readPerformanceLevel(devicePath) {
+  return iofs.readString(`${devicePath}/power_dpm_force_performance_level`).trim() || null;
+}
+dpm.readPerformanceLevel = readPerformanceLevel;
+
+function writePerformanceLevel(devicePath, level) {
+  return iofs.writeString(`${devicePath}/power_dpm_force_performance_level`, level);
+}
+dpm.writePerformanceLevel = writePerformanceLevel;
+
+return dpm;
+
+})();
@@ -0,0 +1,438 @@
+// ============================================================================
+// [gpumetrics.js]
+// GPU metrics structures exposed by AMDGPU driver through sysfs.
+//
+// This is free and unencumbered software released into the public domain.
+//
+// Anyone is free to copy, modify, publish, use, compile, sell, or
+// distribute this software, either in source code form or as a compiled
+// binary, for any purpose, commercial or non-commercial, and by any
+// means.
+//
+// In jurisdictions that recognize copyright laws, the author or authors
+// of this software dedicate any and all copyright interest in the
+// software to the public domain. We make this dedication for the benefit
+// of the public at large and to the detriment of our heirs and
+// successors. We intend this dedication to be an overt act of
+// relinquishment in perpetuity of all present and future rights to this
+// software under copyright law.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+// IN NO EVENT SHALL THE AUTHORS BE LIABLE FOR ANY CLAIM, DAMAGES OR
+// OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+//
+// For more information, please refer to <https://unlicense.org/>
+// ============================================================================
+
+// ============================================================================
+// USAGE:
+//
+//   * AMDGPU driver exposes `/sys/class/drm/cardN/device/gpu_metrics`, which
+//     is a binary blob that starts with `metrics_table_header`. The header
+//     describes the layout of the rest of the blob (FormatRevision 1 is used
+//     by dGPUs and FormatRevision 2 by APUs).
+//
+//   * Use `gpumetrics.readMetrics(buf)` to read the blob as an object and
+//     `gpumetrics.summarizeMetrics(object)` to get temperatures, clocks,
+//     power, and throttle status converted to common units.
+//
+// IMPORTANT:
+//
+//   * Names of C structures are kept as a comment that precedes their
+//     definition, the same as in `vbios.js`.
+//
+//   * C structures are naturally aligned, so padding that the compiler inserts
+//     is described by `Padding` members. 64-bit integers are split into `Low`
+//     and `High` 32-bit members as binlib doesn't support 64-bit integers.
+//
+//   * Units of temperature and power members differ between dGPUs and APUs,
+//     see `summarizeMetrics()`.
+// ============================================================================
+
+(function($export, $as, binlib) {
+"use strict";
+
+const gpumetrics = new binlib.Context();
+$export[$as] = gpumetrics;
+
+// GPU metrics are LITTLE ENDIAN, so use these.
+const U8 = binlib.U8;
+const U16 = binlib.U16LE;
+const U32 = binlib.U32LE;
+const Arr = binlib.Array;
+
+const FLAGS = binlib.FLAGS;
+const SIZE_OF = FLAGS.STRUCT_SIZE;
+
+// ============================================================================
+// [Definitions & Utilities]
+// ============================================================================
+
+// Value of 16-bit metrics the firmware doesn't provide.
+gpumetrics.NOT_SUPPORTED = 0xFFFF;
+
+// ASIC independent throttler bits of `IndepThrottleStatus` (SMU_THROTTLER_*_BIT).
+const IndepThrottlerNames = {
+  0: "PPT0",
+  1: "PPT1",
+  2: "PPT2",
+  3: "PPT3",
+  4: "SPL",
+  5: "FPPT",
+  6: "SPPT",
+  7: "SPPT_APU",
+  16: "TDC_GFX",
+  17: "TDC_SOC",
+  18: "TDC_MEM",
+  19: "TDC_VDD",
+  20: "TDC_CVIP",
+  21: "EDC_CPU",
+  22: "EDC_GFX",
+  23: "APCC",
+  32: "TEMP_GPU",
+  33: "TEMP_CORE",
+  34: "TEMP_MEM",
+  35: "TEMP_EDGE",
+  36: "TEMP_HOTSPOT",
+  37: "TEMP_SOC",
+  38: "TEMP_VR_GFX",
+  39: "TEMP_VR_SOC",
+  40: "TEMP_VR_MEM0",
+  41: "TEMP_VR_MEM1",
+  42: "TEMP_LIQUID0",
+  43: "TEMP_LIQUID1",
+  44: "VRHOT0",
+  45: "VRHOT1",
+  48: "PROCHOT_CPU",
+  49: "PROCHOT_GFX",
+  56: "PPM",
+  57: "FIT"
+};
+
+// Reads GPU metrics blob `buf` (content of `gpu_metrics` sysfs file) as an
+// object. Throws if `buf` is too short or its version is not known.
+function readMetrics(buf) {
+  if (!buf || buf.length < gpumetrics.MetricsTableHeader.$size)
+    throw Error(`gpumetrics.readMetrics(): Buffer is too short to contain metrics table header`);
+
+  const object = gpumetrics.$readObject({ buffer: buf, type: gpumetrics.GPUMetrics });
+  const type = object.$meta.type;
+
+  if (!type.$version)
+    throw Error(`gpumetrics.readMetrics(): Unsupported metrics version ${object.FormatRevision}.${object.ContentRevision}`);
+
+  if (object.StructureSize > buf.length || type.$size > buf.length)
+    throw Error(`gpumetrics.readMetrics(): Metrics ${type.$version.join(".")} truncated, got ${buf.length} bytes out of ${type.$size}`);
+
+  return object;
+}
+gpumetrics.readMetrics = readMetrics;
+
+// Returns names of throttlers set in ASIC independent throttle status, which
+// is split into `low` and `high` 32-bit words.
+function decodeIndepThrottleStatus(low, high) {
+  const out = [];
+  for (var bit = 0; bit < 64; bit++) {
+    const word = bit < 32 ? low : high;
+    if ((word >>> (bit & 31)) & 1)
+      out.push(IndepThrottlerNames[bit] || `BIT${bit}`);
+  }
+  return out;
+}
+gpumetrics.decodeIndepThrottleStatus = decodeIndepThrottleStatus;
+
+function addSupported(dst, key, value, scale) {
+  if (value !== undefined && value !== gpumetrics.NOT_SUPPORTED)
+    dst[key] = scale ? value / scale : value;
+}
+
+// Returns temperatures [C], clocks [MHz], power [W], fan speed [RPM] and
+// throttle status of an object returned by `readMetrics()`. Metrics the
+// firmware doesn't provide are omitted.
+//
+// dGPUs (FormatRevision 1) report temperatures in [C] and power in [W], APUs
+// (FormatRevision 2) report temperatures in [centi-C] and power in [mW].
+function summarizeMetrics(object) {
+  const apu = object.FormatRevision === 2;
+  const tempScale = apu ? 100 : 1;
+  const powerScale = apu ? 1000 : 1;
+
+  const temperatures = Object.create(null);
+  const clocks = Object.create(null);
+  const power = Object.create(null);
+
+  if (apu) {
+    addSupported(temperatures, "GFX", object.TemperatureGfx, tempScale);
+    addSupported(temperatures, "SOC", object.TemperatureSoc, tempScale);
+    addSupported(power, "Socket", object.AverageSocketPower, powerScale);
+    addSupported(power, "CPU", object.AverageCpuPower, powerScale);
+    addSupported(power, "SOC", object.AverageSocPower, powerScale);
+    addSupported(power, "GFX", object.AverageGfxPower, powerScale);
+    addSupported(clocks, "GFX", object.CurrentGfxClk);
+    addSupported(clocks, "SOC", object.CurrentSocClk);
+    addSupported(clocks, "MEM", object.CurrentUClk);
+    addSupported(clocks, "FCLK", object.CurrentFClk);
+    addSupported(clocks, "VCLK", object.CurrentVClk);
+    addSupported(clocks, "DCLK", object.CurrentDClk);
+  }
+  else {
+    addSupported(temperatures, "Edge", object.TemperatureEdge, tempScale);
+    addSupported(temperatures, "Hotspot", object.TemperatureHotspot, tempScale);
+    addSupported(temperatures, "MEM", object.TemperatureMem, tempScale);
+    addSupported(temperatures, "VR GFX", object.TemperatureVRGfx, tempScale);
+    addSupported(temperatures, "VR SOC", object.TemperatureVRSoc, tempScale);
+    addSupported(temperatures, "VR MEM", object.TemperatureVRMem, tempScale);
+    addSupported(power, "Socket", object.AverageSocketPower, powerScale);
+    addSupported(clocks, "GFX", object.CurrentGfxClk);
+    addSupported(clocks, "SOC", object.CurrentSocClk);
+    addSupported(clocks, "MEM", object.CurrentUClk);
+    addSupported(clocks, "VCLK0", object.CurrentVClk0);
+    addSupported(clocks, "DCLK0", object.CurrentDClk0);
+    addSupported(clocks, "VCLK1", object.CurrentVClk1);
+    addSupported(clocks, "DCLK1", object.CurrentDClk1);
+  }
+
+  const summary = {
+    version: `${object.FormatRevision}.${object.ContentRevision}`,
+    temperatures: temperatures,
+    clocks: clocks,
+    power: power,
+    fanSpeed: object.CurrentFanSpeed !== gpumetrics.NOT_SUPPORTED ? object.CurrentFanSpeed : undefined,
+    throttleStatus: object.ThrottleStatus,
+    throttlers: null
+  };
+
+  // Only newer versions provide ASIC independent throttle status.
+  if (object.IndepThrottleStatusLow !== undefined)
+    summary.throttlers = decodeIndepThrottleStatus(object.IndepThrottleStatusLow, object.IndepThrottleStatusHigh);
+
+  return summary;
+}
+gpumetrics.summarizeMetrics = summarizeMetrics;
+
+// ============================================================================
+// [Common]
+// ============================================================================
+
+// metrics_table_header
+gpumetrics.$define({
+  $name: "MetricsTableHeader",
+  $verInfo: ["FormatRevision", "ContentRevision"],
+  $members: [
+    { $name: "StructureSize"                  , $type: U16 , $flags: SIZE_OF },
+    { $name: "FormatRevision"                 , $type: U8  },
+    { $name: "ContentRevision"                , $type: U8  }
+  ]
+});
+
+// ============================================================================
+// [GPU Metrics]
+// ============================================================================
+
+gpumetrics.$define({
+  $name: "GPUMetrics",
+  $extend: gpumetrics.MetricsTableHeader
+});
+
+// gpu_metrics_v1_0
+gpumetrics.$define({
+  $extend: gpumetrics.GPUMetrics,
+  $version: [1, 0],
+  $members: [
+    { $name: "Padding"                        , $type: U32 },
+    { $name: "SystemClockCounterLow"          , $type: U32 }, // In [ns] unit.
+    { $name: "SystemClockCounterHigh"         , $type: U32 },
+    { $name: "TemperatureEdge"                , $type: U16 },
+    { $name: "TemperatureHotspot"             , $type: U16 },
+    { $name: "TemperatureMem"                 , $type: U16 },
+    { $name: "TemperatureVRGfx"               , $type: U16 },
+    { $name: "TemperatureVRSoc"               , $type: U16 },
+    { $name: "TemperatureVRMem"               , $type: U16 },
+    { $name: "AverageGfxActivity"             , $type: U16 },
+    { $name: "AverageUMCActivity"             , $type: U16 }, // Memory controller.
+    { $name: "AverageMMActivity"              , $type: U16 }, // UVD or VCN.
+    { $name: "AverageSocketPower"             , $type: U16 },
+    { $name: "EnergyAccumulator"              , $type: U32 },
+    { $name: "AverageGfxClkFrequency"         , $type: U16 },
+    { $name: "AverageSocClkFrequency"         , $type: U16 },
+    { $name: "AverageUClkFrequency"           , $type: U16 },
+    { $name: "AverageVClk0Frequency"          , $type: U16 },
+    { $name: "AverageDClk0Frequency"          , $type: U16 },
+    { $name: "AverageVClk1Frequency"          , $type: U16 },
+    { $name: "AverageDClk1Frequency"          , $type: U16 },
+    { $name: "CurrentGfxClk"                  , $type: U16 },
+    { $name: "CurrentSocClk"                  , $type: U16 },
+    { $name: "CurrentUClk"                    , $type: U16 },
+    { $name: "CurrentVClk0"                   , $type: U16 },
+    { $name: "CurrentDClk0"                   , $type: U16 },
+    { $name: "CurrentVClk1"                   , $type: U16 },
+    { $name: "CurrentDClk1"                   , $type: U16 },
+    { $name: "ThrottleStatus"                 , $type: U32 }, // ASIC dependent.
+    { $name: "CurrentFanSpeed"                , $type: U16 },
+    { $name: "PCIeLinkWidth"                  , $type: U8  },
+    { $name: "PCIeLinkSpeed"                  , $type: U8  }, // In [0.1GT/s] unit.
+    { $name: "Padding1"                       , $type: U32 }
+  ]
+});
+
+// gpu_metrics_v1_1
+gpumetrics.$define({
+  $extend: gpumetrics.GPUMetrics,
+  $version: [1, 1],
+  $members: [
+    { $name: "TemperatureEdge"                , $type: U16 },
+    { $name: "TemperatureHotspot"             , $type: U16 },
+    { $name: "TemperatureMem"                 , $type: U16 },
+    { $name: "TemperatureVRGfx"               , $type: U16 },
+    { $name: "TemperatureVRSoc"               , $type: U16 },
+    { $name: "TemperatureVRMem"               , $type: U16 },
+    { $name: "AverageGfxActivity"             , $type: U16 },
+    { $name: "AverageUMCActivity"             , $type: U16 }, // Memory controller.
+    { $name: "AverageMMActivity"              , $type: U16 }, // UVD or VCN.
+    { $name: "AverageSocketPower"             , $type: U16 },
+    { $name: "EnergyAccumulatorLow"           , $type: U32 },
+    { $name: "EnergyAccumulatorHigh"          , $type: U32 },
+    { $name: "SystemClockCounterLow"          , $type: U32 }, // In [ns] unit.
+    { $name: "SystemClockCounterHigh"         , $type: U32 },
+    { $name: "AverageGfxClkFrequency"         , $type: U16 },
+    { $name: "AverageSocClkFrequency"         , $type: U16 },
+    { $name: "AverageUClkFrequency"           , $type: U16 },
+    { $name: "AverageVClk0Frequency"          , $type: U16 },
+    { $name: "AverageDClk0Frequency"          , $type: U16 },
+    { $name: "AverageVClk1Frequency"          , $type: U16 },
+    { $name: "AverageDClk1Frequency"          , $type: U16 },
+    { $name: "CurrentGfxClk"                  , $type: U16 },
+    { $name: "CurrentSocClk"                  , $type: U16 },
+    { $name: "CurrentUClk"                    , $type: U16 },
+    { $name: "CurrentVClk0"                   , $type: U16 },
+    { $name: "CurrentDClk0"                   , $type: U16 },
+    { $name: "CurrentVClk1"                   , $type: U16 },
+    { $name: "CurrentDClk1"                   , $type: U16 },
+    { $name: "ThrottleStatus"                 , $type: U32 }, // ASIC dependent.
+    { $name: "CurrentFanSpeed"                , $type: U16 },
+    { $name: "PCIeLinkWidth"                  , $type: U16 },
+    { $name: "PCIeLinkSpeed"                  , $type: U16 }, // In [0.1GT/s] unit.
+    { $name: "Padding"                        , $type: U16 },
+    { $name: "GfxActivityAcc"                 , $type: U32 },
+    { $name: "MemActivityAcc"                 , $type: U32 },
+    { $name: "TemperatureHBM"                 , $type: Arr, $ref: U16, $length: 4 }
+  ]
+});
+
+// gpu_metrics_v1_2
+gpumetrics.$define({
+  $extend: gpumetrics["GPUMetrics$1.1"],
+  $version: [1, 2],
+  $members: [
+    { $name: "FirmwareTimestampLow"           , $type: U32 }, // In [10ns] unit.
+    { $name: "FirmwareTimestampHigh"          , $type: U32 }
+  ]
+});
+
+// gpu_metrics_v1_3
+gpumetrics.$define({
+  $extend: gpumetrics["GPUMetrics$1.2"],
+  $version: [1, 3],
+  $members: [
+    { $name: "VoltageSoc"                     , $type: U16 }, // In [mV] unit.
+    { $name: "VoltageGfx"                     , $type: U16 }, // In [mV] unit.
+    { $name: "VoltageMem"                     , $type: U16 }, // In [mV] unit.
+    { $name: "Padding1"                       , $type: U16 },
+    { $name: "IndepThrottleStatusLow"         , $type: U32 }, // ASIC independent.
+    { $name: "IndepThrottleStatusHigh"        , $type: U32 }
+  ]
+});
+
+// gpu_metrics_v2_0
+gpumetrics.$define({
+  $extend: gpumetrics.GPUMetrics,
+  $version: [2, 0],
+  $members: [
+    { $name: "Padding"                        , $type: U32 },
+    { $name: "SystemClockCounterLow"          , $type: U32 }, // In [ns] unit.
+    { $name: "SystemClockCounterHigh"         , $type: U32 },
+    { $name: "TemperatureGfx"                 , $type: U16 },
+    { $name: "TemperatureSoc"                 , $type: U16 },
+    { $name: "TemperatureCore"                , $type: Arr, $ref: U16, $length: 8 },
+    { $name: "TemperatureL3"                  , $type: Arr, $ref: U16, $length: 2 },
+    { $name: "AverageGfxActivity"             , $type: U16 },
+    { $name: "AverageMMActivity"              , $type: U16 }, // UVD or VCN.
+    { $name: "AverageSocketPower"             , $type: U16 },
+    { $name: "AverageCpuPower"                , $type: U16 },
+    { $name: "AverageSocPower"                , $type: U16 },
+    { $name: "AverageGfxPower"                , $type: U16 },
+    { $name: "AverageCorePower"               , $type: Arr, $ref: U16, $length: 8 },
+    { $name: "AverageGfxClkFrequency"         , $type: U16 },
+    { $name: "AverageSocClkFrequency"         , $type: U16 },
+    { $name: "AverageUClkFrequency"           , $type: U16 },
+    { $name: "AverageFClkFrequency"           , $type: U16 },
+    { $name: "AverageVClkFrequency"           , $type: U16 },
+    { $name: "AverageDClkFrequency"           , $type: U16 },
+    { $name: "CurrentGfxClk"                  , $type: U16 },
+    { $name: "CurrentSocClk"                  , $type: U16 },
+    { $name: "CurrentUClk"                    , $type: U16 },
+    { $name: "CurrentFClk"                    , $type: U16 },
+    { $name: "CurrentVClk"                    , $type: U16 },
+    { $name: "CurrentDClk"                    , $type: U16 },
+    { $name: "CurrentCoreClk"                 , $type: Arr, $ref: U16, $length: 8 },
+    { $name: "CurrentL3Clk"                   , $type: Arr, $ref: U16, $length: 2 },
+    { $name: "ThrottleStatus"                 , $type: U32 }, // ASIC dependent.
+    { $name: "FanPWM"                         , $type: U16 },
+    { $name: "Padding1"                       , $type: U16 }
+  ]
+});
+
+// gpu_metrics_v2_1
+gpumetrics.$define({
+  $extend: gpumetrics.GPUMetrics,
+  $version: [2, 1],
+  $members: [
+    { $name: "TemperatureGfx"                 , $type: U16 },
+    { $name: "TemperatureSoc"                 , $type: U16 },
+    { $name: "TemperatureCore"                , $type: Arr, $ref: U16, $length: 8 },
+    { $name: "TemperatureL3"                  , $type: Arr, $ref: U16, $length: 2 },
+    { $name: "AverageGfxActivity"             , $type: U16 },
+    { $name: "AverageMMActivity"              , $type: U16 }, // UVD or VCN.
+    { $name: "SystemClockCounterLow"          , $type: U32 }, // In [ns] unit.
+    { $name: "SystemClockCounterHigh"         , $type: U32 },
+    { $name: "AverageSocketPower"             , $type: U16 },
+    { $name: "AverageCpuPower"                , $type: U16 },
+    { $name: "AverageSocPower"                , $type: U16 },
+    { $name: "AverageGfxPower"                , $type: U16 },
+    { $name: "AverageCorePower"               , $type: Arr, $ref: U16, $length: 8 },
+    { $name: "AverageGfxClkFrequency"         , $type: U16 },
+    { $name: "AverageSocClkFrequency"         , $type: U16 },
+    { $name: "AverageUClkFrequency"           , $type: U16 },
+    { $name: "AverageFClkFrequency"           , $type: U16 },
+    { $name: "AverageVClkFrequency"           , $type: U16 },
+    { $name: "AverageDClkFrequency"           , $type: U16 },
+    { $name: "CurrentGfxClk"                  , $type: U16 },
+    { $name: "CurrentSocClk"                  , $type: U16 },
+    { $name: "CurrentUClk"                    , $type: U16 },
+    { $name: "CurrentFClk"                    , $type: U16 },
+    { $name: "CurrentVClk"                    , $type: U16 },
+    { $name: "CurrentDClk"                    , $type: U16 },
+    { $name: "CurrentCoreClk"                 , $type: Arr, $ref: U16, $length: 8 },
+    { $name: "CurrentL3Clk"                   , $type: Arr, $ref: U16, $length: 2 },
+    { $name: "ThrottleStatus"                 , $type: U32 }, // ASIC dependent.
+    { $name: "FanPWM"                         , $type: U16 },
+    { $name: "Padding"                        , $type: Arr, $ref: U16, $length: 3 }
+  ]
+});
+
+// gpu_metrics_v2_2
+gpumetrics.$define({
+  $extend: gpumetrics["GPUMetrics$2.1"],
+  $version: [2, 2],
+  $members: [
+    { $name: "IndepThrottleStatusLow"         , $type: U32 }, // ASIC independent.
+    { $name: "IndepThrottleStatusHigh"        , $type: U32 }
+  ]
+});
+
+}).apply(this, typeof module === "object" && module && module.exports
+  ? [module, "exports", require("./binlib.js")] : [this, "gpumetrics", this.binlib]);
@@ -0,0 +1,157 @@
+// ============================================================================
+// [hwmon.js]
+// Hardware monitoring (hwmon) sensors of AMDGPU cards exposed through sysfs.
+//
+// This is free and unencumbered software released into the public domain.
+//
+// Anyone is free to copy, modify, publish, use, compile, sell, or
+// distribute this software, either in source code form or as a compiled
+// binary, for any purpose, commercial or non-commercial, and by any
+// means.
+//
+// In jurisdictions that recognize copyright laws, the author or authors
+// of this software dedicate any and all copyright interest in the
+// software to the public domain. We make this dedication for the benefit
+// of the public at large and to the detriment of our heirs and
+// successors. We intend this dedication to be an overt act of
+// relinquishment in perpetuity of all present and future rights to this
+// software under copyright law.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+// IN NO EVENT SHALL THE AUTHORS BE LIABLE FOR ANY CLAIM, DAMAGES OR
+// OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+//
+// For more information, please refer to <https://unlicense.org/>
+// ============================================================================
+
+
+module.exports = (function() {
+"use strict";
+
+const iofs = require("./iofs.js");
+
+const hwmon = Object.create(null);
+
+const HwmonRE = /^hwmon\d+$/;
+const TempRE = /^temp(\d+)_input$/;
+const InRE = /^in(\d+)_input$/;
+const FreqRE = /^freq(\d+)_input$/;
+
+// Returns the hwmon directory of a device at `devicePath` (like
+// `/sys/class/drm/card0/device`) or null if the device doesn't provide one.
+function findHwmonPath(devicePath) {
+  const dirs = iofs.readDir(`${devicePath}/hwmon`, HwmonRE);
+  if (!dirs || !dirs.length)
+    return null;
+
+  dirs.sort(function(a, b) { return parseInt(a.substr(5), 10) - parseInt(b.substr(5), 10); });
+  return `${devicePath}/hwmon/${dirs[0]}`;
+}
+hwmon.findHwmonPath = findHwmonPath;
+
+// Reads all `<prefix>N_input` files matching `re` into `out`, keyed by their
+// `<prefix>N_label` (like "edge" or "sclk"), and divided by `scale`.
+function readLabeledInputs(hwmonPath, files, re, prefix, scale, out) {
+  for (var i = 0; i < files.length; i++) {
+    const m = files[i].match(re);
+    if (!m) continue;
+
+    const value = iofs.readInt(`${hwmonPath}/${files[i]}`);
+    if (isNaN(value)) continue;
+
+    const label = iofs.readString(`${hwmonPath}/${prefix}${m[1]}_label`).trim() || `${prefix}${m[1]}`;
+    out[label] = value / scale;
+  }
+  return out;
+}
+
+function addInt(out, key, fileName, scale) {
+  const value = iofs.readInt(fileName);
+  if (!isNaN(value))
+    out[key] = value / scale;
+}
+
+// Reads sensors of hwmon directory at `hwmonPath`. Returns an object that
+// has the following units:
+//
+//   - temperatures - [C] keyed by label (edge, junction, mem).
+//   - fan.rpm      - [RPM].
+//   - fan.pwm      - PWM duty cycle (0-255).
+//   - power        - [W] (average and cap).
+//   - voltages     - [mV] keyed by label (vddgfx, vddnb).
+//   - clocks       - [MHz] keyed by label (sclk, mclk).
+//
+// Sensors the driver doesn't expose are omitted.
+function readSensors(hwmonPath) {
+  const files = iofs.readDir(hwmonPath);
+  if (!files)
+    return null;
+
+  files.sort();
+
+  const sensors = {
+    temperatures: readLabeledInputs(hwmonPath, files, TempRE, "temp", 1000, {}),
+    fan: {},
+    power: {},
+    voltages: readLabeledInputs(hwmonPath, files, InRE, "in", 1, {}),
+    clocks: readLabeledInputs(hwmonPath, files, FreqRE, "freq", 1000000, {})
+  };
+
+  addInt(sensors.fan, "rpm", `${hwmonPath}/fan1_input`, 1);
+  addInt(sensors.fan, "pwm", `${hwmonPath}/pwm1`, 1);
+  addInt(sensors.power, "average", `${hwmonPath}/power1_average`, 1000000);
+  addInt(sensors.power, "cap", `${hwmonPath}/power1_cap`, 1000000);
+
+  return sensors;
+}
+hwmon.readSensors = readSensors;
+
+hwmon.PWM_MODE_NONE = 0;
+hwmon.PWM_MODE_MANUAL = 1;
+hwmon.PWM_MODE_AUTO = 2;
+
+// Returns the range of power cap, in [W], that the driver accepts, or null
+// if the card doesn't support power capping.
+function readPowerCapRange(hwmonPath) {
+  const min = iofs.readInt(`${hwmonPath}/power1_cap_min`);
+  const max = iofs.readInt(`${hwmonPath}/power1_cap_max`);
+
+  if (isNaN(min) || isNaN(max))
+    return null;
+
+  return { min: min / 1000000, max: max / 1000000 };
+}
+hwmon.readPowerCapRange = readPowerCapRange;
+
+// Writes power cap in [W], returns true on success.
+function writePowerCap(hwmonPath, watts) {
+  return iofs.writeString(`${hwmonPath}/power1_cap`, String(Math.round(watts * 1000000)));
+}
+hwmon.writePowerCap = writePowerCap;
+
+// Writes fan control mode (see `hwmon.PWM_MODE_...`), returns true on success.
+function writeFanMode(hwmonPath, mode) {
+  return iofs.writeString(`${hwmonPath}/pwm1_enable`, String(mode));
+}
+hwmon.writeFanMode = writeFanMode;
+
+// Writes fan PWM duty cycle in [%], scaled to `pwm1_min..pwm1_max` range.
+// The fan must be in manual mode, otherwise the driver rejects the write.
+function writeFanPWM(hwmonPath, percent) {
+  var min = iofs.readInt(`${hwmonPath}/pwm1_min`);
+  var max = iofs.readInt(`${hwmonPath}/pwm1_max`);
+
+  if (isNaN(min)) min = 0;
+  if (isNaN(max)) max = 255;
+
+  return iofs.writeString(`${hwmonPath}/pwm1`, String(Math.round(min + (max - min) * percent / 100)));
+}
+hwmon.writeFanPWM = writeFanPWM;
+
+return hwmon;
+
+})();
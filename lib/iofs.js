@@ -40,6 +40,26 @@ const hasOwn = Object.prototype.hasOwnProperty;
 const ListRE = /(\d+)\:\s*(.+)(?:\n|$)/g;
 const PropertyRE = /(.+)=(.+)(?:\n|$)/g;
 
+// Root of sysfs used by `sysfsPath()`, can be changed to a directory that
+// mirrors sysfs layout to run against a fake tree.
+var sysfsRoot = "/sys";
+
+function getSysfsRoot() {
+  return sysfsRoot;
+}
+iofs.getSysfsRoot = getSysfsRoot;
+
+function setSysfsRoot(root) {
+  sysfsRoot = path.resolve(root);
+}
+iofs.setSysfsRoot = setSysfsRoot;
+
+// Returns an absolute path of `p` (like "class/drm/card0") within sysfs root.
+function sysfsPath(p) {
+  return path.join(sysfsRoot, p);
+}
+iofs.sysfsPath = sysfsPath;
+
 function filterInPlace(arr, filter) {
   var i = 0;
   var j = 0;
@@ -80,6 +100,11 @@ function readFile(fileName, encoding) {
 }
 iofs.readFile = readFile;
 
+function readFileBinary(fileName) {
+  return readFile(fileName, null);
+}
+iofs.readFileBinary = readFileBinary;
+
 function readString(fileName) {
   return readFile(fileName, "UTF-8") || "";
 }
@@ -106,7 +131,7 @@ function parseList(s, fromIndex) {
     if (!m) break;
 
     const index = parseInt(m[1].trim());
-    if (index !== out.length - 1)
+    if (index !== out.length)
       console.log(`devmon: Invalid list index ${index} occured in parseList()`);
 
     out.push(m[2].trim());
@@ -143,6 +168,17 @@ function readProperties(fileName) {
 }
 iofs.readProperties = readProperties;
 
+function makeDir(dirName) {
+  try {
+    fs.mkdirSync(dirName, { recursive: true, mode: 0o755 });
+    return true;
+  }
+  catch (ex) {
+    return false;
+  }
+}
+iofs.makeDir = makeDir;
+
 function writeFileBinary(fileName, value) {
   try {
     fs.writeFileSync(fileName, value, {mode: 0o644, flag: 'w'} );
@@ -0,0 +1,162 @@
+// ============================================================================
+// [overdrive.js]
+// OverDrive (pp_od_clk_voltage) of AMDGPU cards exposed through sysfs.
+//
+// This is free and unencumbered software released into the public domain.
+//
+// Anyone is free to copy, modify, publish, use, compile, sell, or
+// distribute this software, either in source code form or as a compiled
+// binary, for any purpose, commercial or non-commercial, and by any
+// means.
+//
+// In jurisdictions that recognize copyright laws, the author or authors
+// of this software dedicate any and all copyright interest in the
+// software to the public domain. We make this dedication for the benefit
+// of the public at large and to the detriment of our heirs and
+// successors. We intend this dedication to be an overt act of
+// relinquishment in perpetuity of all present and future rights to this
+// software under copyright law.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+// IN NO EVENT SHALL THE AUTHORS BE LIABLE FOR ANY CLAIM, DAMAGES OR
+// OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+//
+// For more information, please refer to <https://unlicense.org/>
+// ============================================================================
+
+
+module.exports = (function() {
+"use strict";
+
+const iofs = require("./iofs.js");
+
+const overdrive = Object.create(null);
+
+const SectionRE = /^(OD_\w+):\s*$/;
+const EntryRE = /^(\d+):\s*(\d+)\s*MHz(?:\s+(\d+)\s*mV)?\s*$/i;
+const RangeRE = /^([\w\[\]]+):\s*(\d+)\s*(MHz|mV)\s+(\d+)\s*(?:MHz|mV)\s*$/i;
+
+// Maps sections of `pp_od_clk_voltage` to keys of the parsed object and to
+// commands accepted by the driver when writing their entries.
+const Sections = {
+  OD_SCLK      : { key: "sclk"     , command: "s" , range: "SCLK", voltageRange: "VDDC" },
+  OD_MCLK      : { key: "mclk"     , command: "m" , range: "MCLK", voltageRange: "VDDC" },
+  OD_VDDC_CURVE: { key: "vddcCurve", command: "vc", range: "VDDC_CURVE_SCLK[#]", voltageRange: "VDDC_CURVE_VOLT[#]" }
+};
+overdrive.Sections = Sections;
+
+overdrive.COMMIT = "c";
+overdrive.RESET = "r";
+
+// Parses content of `pp_od_clk_voltage` into an object like:
+//
+//   {
+//     sclk     : [{ index: 0, clock: 700, voltage: 800 }, ...], // [MHz], [mV]
+//     mclk     : [...],
+//     vddcCurve: [...],
+//     range    : { SCLK: { min: 700, max: 2200, unit: "MHz" }, ... }
+//   }
+//
+// Voltage is only provided by entries that have it, `range` keys are kept
+// as reported by the driver (like "SCLK" or "VDDC_CURVE_VOLT[0]").
+function parse(text) {
+  const out = { sclk: [], mclk: [], vddcCurve: [], range: {} };
+  const lines = text.split("\n");
+  var section = null;
+
+  for (var i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    var m = line.match(SectionRE);
+    if (m) {
+      section = m[1];
+      continue;
+    }
+
+    if (section === "OD_RANGE") {
+      m = line.match(RangeRE);
+      if (m)
+        out.range[m[1]] = { min: parseInt(m[2], 10), max: parseInt(m[4], 10), unit: m[3].toLowerCase() === "mhz" ? "MHz" : "mV" };
+      continue;
+    }
+
+    if (section && Sections[section]) {
+      m = line.match(EntryRE);
+      if (!m) continue;
+
+      const entry = { index: parseInt(m[1], 10), clock: parseInt(m[2], 10) };
+      if (m[3] !== undefined)
+        entry.voltage = parseInt(m[3], 10);
+      out[Sections[section].key].push(entry);
+    }
+  }
+
+  return out;
+}
+overdrive.parse = parse;
+
+function pathOf(devicePath) {
+  return `${devicePath}/pp_od_clk_voltage`;
+}
+
+// Reads and parses OverDrive of a device at `devicePath` (like
+// `/sys/class/drm/card0/device`), returns null if not available.
+function read(devicePath) {
+  const text = iofs.readString(pathOf(devicePath));
+  return text ? parse(text) : null;
+}
+overdrive.read = read;
+
+// Writes a raw `command` (like "s 1 1800" or `overdrive.COMMIT`), returns
+// true on success.
+function write(devicePath, command) {
+  return iofs.writeString(pathOf(devicePath), command + "\n");
+}
+overdrive.write = write;
+
+function checkRange(od, name, value, what) {
+  const range = od.range[name];
+  if (!range)
+    return;
+
+  if (value < range.min || value > range.max)
+    throw Error(`overdrive.makeCommand(): ${what} ${value} ${range.unit} is out of range [${range.min}, ${range.max}] ${range.unit}`);
+}
+
+// Returns a command that sets entry `index` of `section` (like "OD_SCLK") to
+// `clock` [MHz] and optionally `voltage` [mV]. The entry and its values are
+// validated against `od` returned by `parse()` or `read()`.
+function makeCommand(od, section, index, clock, voltage) {
+  const info = Sections[section];
+  if (!info)
+    throw Error(`overdrive.makeCommand(): Unknown section '${section}'`);
+
+  const entries = od[info.key];
+  const entry = entries.find(function(entry) { return entry.index === index; });
+
+  if (!entry)
+    throw Error(`overdrive.makeCommand(): ${section} doesn't provide entry ${index}`);
+
+  const hasVoltage = entry.voltage !== undefined;
+  if (hasVoltage && voltage === undefined)
+    throw Error(`overdrive.makeCommand(): ${section} entry ${index} requires voltage`);
+
+  if (!hasVoltage && voltage !== undefined)
+    throw Error(`overdrive.makeCommand(): ${section} entry ${index} doesn't have voltage`);
+
+  checkRange(od, info.range.replace("#", index), clock, "Clock");
+  if (hasVoltage)
+    checkRange(od, info.voltageRange.replace("#", index), voltage, "Voltage");
+
+  return `${info.command} ${index} ${clock}` + (hasVoltage ? ` ${voltage}` : "");
+}
+overdrive.makeCommand = makeCommand;
+
+return overdrive;
+
+})();
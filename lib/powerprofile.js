@@ -0,0 +1,241 @@
+// ============================================================================
+// [powerprofile.js]
+// Power profile modes (pp_power_profile_mode) of AMDGPU cards exposed through sysfs.
+//
+// This is free and unencumbered software released into the public domain.
+//
+// Anyone is free to copy, modify, publish, use, compile, sell, or
+// distribute this software, either in source code form or as a compiled
+// binary, for any purpose, commercial or non-commercial, and by any
+// means.
+//
+// In jurisdictions that recognize copyright laws, the author or authors
+// of this software dedicate any and all copyright interest in the
+// software to the public domain. We make this dedication for the benefit
+// of the public at large and to the detriment of our heirs and
+// successors. We intend this dedication to be an overt act of
+// relinquishment in perpetuity of all present and future rights to this
+// software under copyright law.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+// IN NO EVENT SHALL THE AUTHORS BE LIABLE FOR ANY CLAIM, DAMAGES OR
+// OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+//
+// For more information, please refer to <https://unlicense.org/>
+// ============================================================================
+
+
+module.exports = (function() {
+"use strict";
+
+const iofs = require("./iofs.js");
+
+const powerprofile = Object.create(null);
+
+// Layouts of `pp_power_profile_mode` table, which differ between ASICs:
+//
+//   - "polaris" - One row per mode with SCLK/MCLK hysteresis and activity
+//                 columns, "-" is used for values that are not set.
+//   - "vega"    - One row per mode with BUSY_SET_POINT, FPS, etc...
+//   - "navi"    - "PROFILE_INDEX(NAME) CLOCK_TYPE(NAME) ..." header, mode rows
+//                 followed by one row per clock type, each having its own
+//                 values (Vega20 uses this layout as well).
+powerprofile.LAYOUT_POLARIS = "polaris";
+powerprofile.LAYOUT_VEGA = "vega";
+powerprofile.LAYOUT_NAVI = "navi";
+
+powerprofile.CUSTOM = "CUSTOM";
+
+// Polaris writes each group of CUSTOM values prefixed by an update flag.
+const PolarisGroups = [
+  ["SCLK_UP_HYST", "SCLK_DOWN_HYST", "SCLK_ACTIVE_LEVEL"],
+  ["MCLK_UP_HYST", "MCLK_DOWN_HYST", "MCLK_ACTIVE_LEVEL"]
+];
+
+const ModeRE = /^\s*(\d+)\s+([^:*]+?)\s*(\*?)\s*:(.*)$/;
+const ClockRE = /^\s*(\d+)\(\s*(\w+)\s*\)(.*)$/;
+const ProfileIndexRE = /^PROFILE_INDEX/;
+const ClockTypeRE = /^CLOCK_TYPE/;
+
+function parseValues(columns, text) {
+  const values = {};
+  const items = text.trim().split(/\s+/);
+
+  for (var i = 0; i < columns.length; i++) {
+    const item = items[i];
+    values[columns[i]] = (item === undefined || item === "-") ? null : parseInt(item, 10);
+  }
+  return values;
+}
+
+// Parses content of `pp_power_profile_mode` into an object like:
+//
+//   {
+//     layout : "polaris",                        // See `LAYOUT_...`.
+//     columns: ["SCLK_UP_HYST", ...],           // Value columns.
+//     active : 1,                                // Index of the active mode.
+//     modes  : [{
+//       index : 1,
+//       name  : "3D_FULL_SCREEN",
+//       active: true,
+//       values: { SCLK_UP_HYST: 0, ... },        // Polaris and Vega layouts.
+//       clocks: [{ index: 0, name: "GFXCLK", values: { FPS: 0, ... } }] // Navi layout.
+//     }, ...]
+//   }
+//
+// Values that are not set ("-") are null.
+function parse(text) {
+  const lines = text.split("\n");
+  const header = (lines[0] || "").trim().split(/\s+/);
+
+  const columns = header.slice(2);
+  var layout;
+
+  if (ProfileIndexRE.test(header[0]) && ClockTypeRE.test(header[1]))
+    layout = powerprofile.LAYOUT_NAVI;
+  else if (header[0] === "NUM" && header[1] === "MODE_NAME")
+    layout = columns.indexOf(PolarisGroups[0][0]) !== -1 ? powerprofile.LAYOUT_POLARIS : powerprofile.LAYOUT_VEGA;
+  else
+    throw Error(`powerprofile.parse(): Unknown format of pp_power_profile_mode`);
+
+  const out = { layout: layout, columns: columns, active: -1, modes: [] };
+  var mode = null;
+
+  for (var i = 1; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim()) continue;
+
+    var m = line.match(ClockRE);
+    if (m && mode && layout === powerprofile.LAYOUT_NAVI) {
+      mode.clocks.push({ index: parseInt(m[1], 10), name: m[2], values: parseValues(columns, m[3]) });
+      continue;
+    }
+
+    m = line.match(ModeRE);
+    if (!m) continue;
+
+    mode = { index: parseInt(m[1], 10), name: m[2].trim(), active: m[3] === "*" };
+    if (layout === powerprofile.LAYOUT_NAVI)
+      mode.clocks = [];
+    else
+      mode.values = parseValues(columns, m[4]);
+
+    if (mode.active)
+      out.active = mode.index;
+    out.modes.push(mode);
+  }
+
+  return out;
+}
+powerprofile.parse = parse;
+
+function pathOf(devicePath) {
+  return `${devicePath}/pp_power_profile_mode`;
+}
+
+// Reads and parses power profile modes of a device at `devicePath` (like
+// `/sys/class/drm/card0/device`), returns null if not available.
+function read(devicePath) {
+  const text = iofs.readString(pathOf(devicePath));
+  return text ? parse(text) : null;
+}
+powerprofile.read = read;
+
+// Writes a raw `command` (like "5" or "6 0 5 30"), returns true on success.
+function write(devicePath, command) {
+  return iofs.writeString(pathOf(devicePath), command + "\n");
+}
+powerprofile.write = write;
+
+// Returns a mode of `table` called `name` (case insensitive) or null.
+function findMode(table, name) {
+  const upper = name.toUpperCase();
+  return table.modes.find(function(mode) { return mode.name.toUpperCase() === upper; }) || null;
+}
+powerprofile.findMode = findMode;
+
+function findColumn(columns, key) {
+  const upper = key.toUpperCase();
+  return columns.find(function(column) { return column.toUpperCase() === upper; }) || null;
+}
+
+// Navi layout writes a command per clock type, only modified ones are written.
+function makeNaviCustomCommands(custom, columns, settings) {
+  const updates = [];
+
+  for (var key in settings) {
+    const dot = key.indexOf(".");
+    const clockName = dot === -1 ? "" : key.substr(0, dot).toUpperCase();
+    const clock = custom.clocks.find(function(clock) { return clock.name.toUpperCase() === clockName; });
+    const column = findColumn(columns, key.substr(dot + 1));
+
+    if (!clock || !column)
+      throw Error(`powerprofile.makeCustomCommands(): Unknown key '${key}', use CLOCK.COLUMN like '${(custom.clocks[0] || {}).name}.${columns[0]}'`);
+
+    var update = updates.find(function(update) { return update.clock === clock; });
+    if (!update) {
+      update = { clock: clock, values: Object.assign({}, clock.values) };
+      updates.push(update);
+    }
+    update.values[column] = settings[key];
+  }
+
+  return updates.map(function(update) {
+    const values = columns.map(function(column) { return valueOf(update.values, column, update.clock.name); });
+    return `${custom.index} ${update.clock.index} ${values.join(" ")}`;
+  });
+}
+
+function valueOf(values, column, fn) {
+  const value = values[column];
+  if (value === null)
+    throw Error(`powerprofile.makeCustomCommands(): ${fn}: Value of '${column}' is not set and must be provided`);
+  return value;
+}
+
+// Returns commands that update CUSTOM mode of `table` by `settings`, which
+// maps column names to values. Navi layout uses `CLOCK.COLUMN` keys (like
+// "GFXCLK.FPS"). Values not in `settings` are kept as reported in `table`.
+function makeCustomCommands(table, settings) {
+  const custom = findMode(table, powerprofile.CUSTOM);
+  if (!custom)
+    throw Error(`powerprofile.makeCustomCommands(): Table doesn't provide ${powerprofile.CUSTOM} mode`);
+
+  const columns = table.columns;
+  if (table.layout === powerprofile.LAYOUT_NAVI)
+    return makeNaviCustomCommands(custom, columns, settings);
+
+  const commands = [];
+  const values = Object.assign({}, custom.values);
+  for (var key in settings) {
+    const column = findColumn(columns, key);
+    if (!column)
+      throw Error(`powerprofile.makeCustomCommands(): Unknown key '${key}', use one of ${columns.join(", ")}`);
+    values[column] = settings[key];
+  }
+
+  if (table.layout === powerprofile.LAYOUT_POLARIS) {
+    // Groups that have no value set are written with update flag cleared.
+    const parts = [custom.index];
+    PolarisGroups.forEach(function(group) {
+      const update = group.some(function(column) { return values[column] !== null; });
+      parts.push(update ? 1 : 0);
+      group.forEach(function(column) { parts.push(update ? valueOf(values, column, custom.name) : 0); });
+    });
+    commands.push(parts.join(" "));
+  }
+  else {
+    commands.push([custom.index].concat(columns.map(function(column) { return valueOf(values, column, custom.name); })).join(" "));
+  }
+
+  return commands;
+}
+powerprofile.makeCustomCommands = makeCustomCommands;
+
+return powerprofile;
+
+})();
@@ -56,10 +56,6 @@
 //
 //   * It's unfinished. There is still a lot of tables not described here.
 //
-//   * Some tables that use a complicated formula to calculate a number of
-//     elements in an array cannot be interpreted yet. This must be fixed in
-//     binlib first.
-//
 // NOTES:
 //
 //   * Vdd       - ?
@@ -78,7 +74,7 @@
 //     https://forum.ethereum.org/discussion/9400/boysies-rx480-ref-bios-29mh-low-pwr-eth-or-dual-mining/p4
 // ============================================================================
 
-(function($export, $as, binlib) {
+(function($export, $as, binlib, atombios) {
 "use strict";
 
 const vbios = new binlib.Context();
@@ -93,6 +89,7 @@ const I24 = binlib.I24LE;
 const U24 = binlib.U24LE;
 const I32 = binlib.I32LE;
 const U32 = binlib.U32LE;
+const F32 = binlib.F32LE;
 const Str = binlib.Str;
 const Hex = binlib.Hex;
 const Arr = binlib.Array;
@@ -100,9 +97,9 @@ const Arr = binlib.Array;
 const FLAGS = binlib.FLAGS;
 const ABS_OFF = FLAGS.ABSOLUTE_OFFSET;
 const REL_OFF = FLAGS.RELATIVE_OFFSET;
+const SIZE_OF = FLAGS.STRUCT_SIZE;
 
 const TODO_REVISION = -1;    // TODO: Revision of that table not known, O was not able to read it from AMD driver (it ignores it).
-const TODO_UNDEFINED = null; // TODO: Points to a table that is not defined yet, mostly VEGA and old PowerPlay data.
 
 // ============================================================================
 // [Definitions & Utilities]
@@ -126,6 +123,32 @@ vbios.makeSignature = makeSignature;
 
 vbios.VBIOS_ROM_OFFSET = 0x48;
 vbios.VBIOS_SIGNATURE = 0xAA55;
+vbios.VBIOS_CHECKSUM_OFFSET = 0x21;
+
+vbios.PCIR_SIGNATURE = "PCIR";
+vbios.PCIR_LAST_IMAGE = 0x80;
+
+vbios.ROM_CODE_TYPE_X86 = 0;
+vbios.ROM_CODE_TYPE_OPEN_FIRMWARE = 1;
+vbios.ROM_CODE_TYPE_PA_RISC = 2;
+vbios.ROM_CODE_TYPE_EFI = 3;
+
+const RomCodeTypeNames = ["x86", "OpenFirmware", "PA-RISC", "EFI"];
+
+// Memory vendors, indexed by `MemoryVendorId & 0xF` of VRAM modules.
+const MemoryVendorNames = {
+  0x1: "Samsung",
+  0x2: "Infineon",
+  0x3: "Elpida",
+  0x4: "Etron",
+  0x5: "Nanya",
+  0x6: "Hynix",
+  0x7: "Mosel",
+  0x8: "Winbond",
+  0x9: "ESMT",
+  0xF: "Micron"
+};
+
 vbios.FIRMWARE_SIGNATURE = makeSignature("ATOM");
 
 function loadVBIOSHeader(params) {
@@ -182,6 +205,336 @@ function extractPowerPlayFromVBIOS(buf, offset) {
 }
 vbios.extractPowerPlayFromVBIOS = extractPowerPlayFromVBIOS;
 
+// Inject PowerPlay data (buffer) into a VBIOS data (buffer) in place.
+//
+// The PowerPlay table is written at the offset of the original table, which
+// must be large enough to hold the new one, and the checksum of the VBIOS is
+// updated afterwards. Throws if the PowerPlay table cannot be injected.
+function injectPowerPlayIntoVBIOS(biosBuf, ppBuf, offset) {
+  offset = offset || 0;
+
+  const header = loadVBIOSHeader({
+    buffer: biosBuf,
+    start: offset,
+    filter: function(path) { return "RomTable.MasterDataTable.PowerPlayTable".startsWith(path); }
+  });
+
+  if (header === null)
+    throw Error(`vbios.injectPowerPlayIntoVBIOS(): The given buffer is not a VBIOS`);
+
+  const ppTable = header.RomTable.MasterDataTable.PowerPlayTable;
+  if (!ppTable)
+    throw Error(`vbios.injectPowerPlayIntoVBIOS(): The VBIOS doesn't contain a PowerPlay table`);
+
+  const ppStart = ppTable.$meta.absOffset;
+  const ppSize = ppTable.StructureSize;
+
+  if (ppBuf.length > ppSize)
+    throw Error(`vbios.injectPowerPlayIntoVBIOS(): PowerPlay table size '${ppBuf.length}' exceeds the size of the original table '${ppSize}'`);
+
+  if (ppStart + ppSize > biosBuf.length)
+    throw Error(`vbios.injectPowerPlayIntoVBIOS(): PowerPlay table is outside of the VBIOS`);
+
+  biosBuf.fill(0, ppStart + ppBuf.length, ppStart + ppSize);
+  biosBuf.set(ppBuf, ppStart);
+
+  if (!updateChecksum(biosBuf, offset))
+    throw Error(`vbios.injectPowerPlayIntoVBIOS(): Couldn't update the checksum, the VBIOS image is truncated`);
+
+  return biosBuf;
+}
+vbios.injectPowerPlayIntoVBIOS = injectPowerPlayIntoVBIOS;
+
+// Get names of all command tables listed by MasterCommandTable, in order. The
+// index of each name is the index used by AtomBIOS `CALL_TABLE` instruction.
+function getCommandTableNames() {
+  const type = vbios["MasterCommandTable$1.1"];
+  const base = vbios.CommonTableHeader.$members.length;
+  return type.$members.slice(base).map(function(member) { return member.$name; });
+}
+vbios.getCommandTableNames = getCommandTableNames;
+
+// Disassemble a command table of the given `name` (like "SetVoltage") found in
+// a VBIOS data (buffer). Returns a text listing of AtomBIOS bytecode.
+//
+// Throws if the buffer is not a VBIOS or the command table doesn't exist.
+function disassembleCommandTable(buf, name, offset) {
+  offset = offset || 0;
+
+  const names = getCommandTableNames();
+  if (names.indexOf(name) === -1)
+    throw Error(`vbios.disassembleCommandTable(): Unknown command table '${name}'`);
+
+  const header = loadVBIOSHeader({
+    buffer: buf,
+    start: offset,
+    filter: function(path) { return "RomTable.MasterCommandTable".startsWith(path); }
+  });
+
+  if (header === null)
+    throw Error(`vbios.disassembleCommandTable(): The given buffer is not a VBIOS`);
+
+  const master = header.RomTable.MasterCommandTable;
+  if (!master || !master[name])
+    throw Error(`vbios.disassembleCommandTable(): The VBIOS doesn't contain '${name}' command table`);
+
+  const table = atombios.disassemble(buf, offset + master[name]);
+  return atombios.formatListing(table, names);
+}
+vbios.disassembleCommandTable = disassembleCommandTable;
+
+// Create an AtomBIOS interpreter (atombios.Interpreter) that can execute
+// command tables of a VBIOS data (buffer) against a mock register file
+// `registers` (atombios.RegisterFile), which is created if not provided.
+//
+// Throws if the buffer is not a VBIOS or it has no command tables.
+function createInterpreter(buf, offset, registers) {
+  offset = offset || 0;
+
+  const header = loadVBIOSHeader({
+    buffer: buf,
+    start: offset,
+    filter: function(path) {
+      return "RomTable.MasterCommandTable".startsWith(path) ||
+             "RomTable.MasterDataTable".startsWith(path);
+    }
+  });
+
+  if (header === null)
+    throw Error(`vbios.createInterpreter(): The given buffer is not a VBIOS`);
+
+  const master = header.RomTable.MasterCommandTable;
+  if (!master)
+    throw Error(`vbios.createInterpreter(): The VBIOS doesn't contain command tables`);
+
+  const data = header.RomTable.MasterDataTable;
+  return new atombios.Interpreter({
+    buffer      : buf,
+    base        : offset,
+    commandTable: master.$meta.absOffset - offset,
+    dataTable   : data ? data.$meta.absOffset - offset : 0,
+    tableNames  : getCommandTableNames(),
+    registers   : registers
+  });
+}
+vbios.createInterpreter = createInterpreter;
+
+function loadVRAMInfo(buf, offset) {
+  const header = loadVBIOSHeader({
+    buffer: buf,
+    start: offset,
+    filter: function(path) { return "RomTable.MasterDataTable.VRAMInfo.MemClockPatchTable".startsWith(path); }
+  });
+
+  if (header === null || !header.RomTable.MasterDataTable)
+    return null;
+
+  return header.RomTable.MasterDataTable.VRAMInfo;
+}
+
+// Find VRAM timing straps (VRAMTimings) in a VBIOS data (buffer). Returns an
+// absolute offset of the straps, which can be passed as `start` to reader and
+// updater, or -1 if the VBIOS doesn't have them (only VRAMInfo v2.1 and v2.2
+// provide the memory clock patch table).
+function findVRAMTimings(buf, offset) {
+  const vramInfo = loadVRAMInfo(buf, offset);
+  const table = vramInfo ? vramInfo.MemClockPatchTable : null;
+  if (!table) return -1;
+
+  const start = table.$meta.absOffset + vbios.InitRegBlock.RegIndices.$offset + table.RegIndexTableSize;
+  if (start + vbios.VRAMTimingEntry.$size > buf.length)
+    return -1;
+
+  return start;
+}
+vbios.findVRAMTimings = findVRAMTimings;
+
+// Returns all VRAM timing straps as `{ module, clock, offset, size }` objects,
+// where `clock` is in [10kHz] unit and `offset` is an absolute offset of the
+// strap.
+function readVRAMStraps(buf, vramInfo) {
+  const table = vramInfo.MemClockPatchTable;
+  const stride = table.RegDataBlockSize;
+  const straps = [];
+
+  if (stride < vbios.VRAMTimingEntry.$size)
+    return straps;
+
+  var at = table.$meta.absOffset + vbios.InitRegBlock.RegIndices.$offset + table.RegIndexTableSize;
+  while (at + stride <= buf.length) {
+    const clkRange = buf.readUInt32LE(at);
+    if (clkRange === 0)
+      break;
+
+    straps.push({ module: clkRange >>> 24, clock: clkRange & 0xFFFFFF, offset: at, size: stride });
+    at += stride;
+  }
+
+  return straps;
+}
+
+// List VRAM modules of a VBIOS data (buffer) together with their timing
+// straps. Returns an array of `{ index, vendorId, vendorName, partNumber,
+// straps }` objects, where `straps` is an array of memory clocks [MHz].
+//
+// Returns `null` if the VBIOS doesn't provide VRAM timing straps.
+function listVRAMModules(buf, offset) {
+  const vramInfo = loadVRAMInfo(buf, offset);
+  if (!vramInfo || !vramInfo.MemClockPatchTable)
+    return null;
+
+  const modules = (vramInfo.VRAMModules || []).map(function(module, index) {
+    const vendorId = module.MemoryVendorId & 0xF;
+    return {
+      index     : index,
+      vendorId  : vendorId,
+      vendorName: MemoryVendorNames[vendorId] || "Unknown",
+      partNumber: module.MemPNString || "",
+      straps    : []
+    };
+  });
+
+  readVRAMStraps(buf, vramInfo).forEach(function(strap) {
+    if (strap.module < modules.length)
+      modules[strap.module].straps.push(strap.clock / 100);
+  });
+
+  return modules;
+}
+vbios.listVRAMModules = listVRAMModules;
+
+// Copy a VRAM timing strap of the given `module` used at `fromMHz` over straps
+// of the same module used at `toMHz` (number or array) in a VBIOS data (buffer)
+// in place. Only timings are copied, `CLKRange` of each strap is kept as is.
+// The checksum of the VBIOS is updated afterwards.
+//
+// Throws if the VBIOS doesn't contain the requested straps.
+function copyVRAMStrap(buf, module, fromMHz, toMHz, offset) {
+  offset = offset || 0;
+
+  const vramInfo = loadVRAMInfo(buf, offset);
+  if (!vramInfo || !vramInfo.MemClockPatchTable)
+    throw Error(`vbios.copyVRAMStrap(): The VBIOS doesn't contain VRAM timing straps`);
+
+  const straps = readVRAMStraps(buf, vramInfo);
+  function findStrap(mhz) {
+    for (var i = 0; i < straps.length; i++)
+      if (straps[i].module === module && straps[i].clock === mhz * 100)
+        return straps[i];
+    throw Error(`vbios.copyVRAMStrap(): The VBIOS doesn't contain a ${mhz} MHz strap of module ${module}`);
+  }
+
+  const from = findStrap(fromMHz);
+  const to = (Array.isArray(toMHz) ? toMHz : [toMHz]).map(findStrap);
+
+  const dataOffset = vbios.VRAMTimingEntry.Latency.$offset;
+  for (var i = 0; i < to.length; i++)
+    buf.copy(buf, to[i].offset + dataOffset, from.offset + dataOffset, from.offset + from.size);
+
+  updateChecksum(buf, offset);
+  return to.length;
+}
+vbios.copyVRAMStrap = copyVRAMStrap;
+
+// List all images of a PCI expansion ROM (buffer) by following the chain of
+// PCI data structures. A VBIOS dump usually contains a legacy x86 image that
+// is optionally followed by an EFI image (GOP driver).
+//
+// Returns an array of `{ offset, size, codeType, codeTypeName, vendorId,
+// deviceId, last }` objects, which is empty if `buf` is not a PCI ROM.
+function listRomImages(buf) {
+  const images = [];
+  var offset = 0;
+
+  while (offset + vbios.PCIRomHeader.$size <= buf.length) {
+    var header;
+    try {
+      header = vbios.$readObject({ buffer: buf, start: offset, type: vbios.PCIRomHeader });
+    }
+    catch (ex) {
+      break;
+    }
+
+    const pcir = header.PCIDataStructure;
+    if (header.PCIRomSignature !== vbios.VBIOS_SIGNATURE || !pcir || pcir.Signature !== vbios.PCIR_SIGNATURE)
+      break;
+
+    const size = pcir.ImageLength * 512;
+    const last = (pcir.Indicator & vbios.PCIR_LAST_IMAGE) !== 0;
+
+    images.push({
+      offset      : offset,
+      size        : size,
+      codeType    : pcir.CodeType,
+      codeTypeName: RomCodeTypeNames[pcir.CodeType] || "Unknown",
+      vendorId    : pcir.VendorId,
+      deviceId    : pcir.DeviceId,
+      last        : last
+    });
+
+    if (last || !size)
+      break;
+    offset += size;
+  }
+
+  return images;
+}
+vbios.listRomImages = listRomImages;
+
+// Returns the size of a VBIOS image at `offset` as stored in its header, or
+// zero if the given `buf` is not a VBIOS or the image doesn't fit into it.
+function imageSizeOf(buf, offset) {
+  if (!isVBIOS(buf, offset))
+    return 0;
+
+  const size = buf[offset + 2] * 512;
+  if (size <= vbios.VBIOS_CHECKSUM_OFFSET || offset + size > buf.length)
+    return 0;
+
+  return size;
+}
+
+// Returns an 8-bit sum of all bytes of the VBIOS image.
+function checksumOf(buf, offset, size) {
+  var sum = 0;
+  for (var i = 0; i < size; i++)
+    sum = (sum + buf[offset + i]) & 0xFF;
+  return sum;
+}
+
+// Verify the checksum of a VBIOS image (buffer) - all bytes of the image must
+// sum to zero (modulo 256).
+//
+// Returns `false` if the checksum doesn't match or if the given `buf` is not
+// a VBIOS.
+function verifyChecksum(buf, offset) {
+  offset = offset || 0;
+
+  const size = imageSizeOf(buf, offset);
+  if (!size)
+    return false;
+
+  return checksumOf(buf, offset, size) === 0;
+}
+vbios.verifyChecksum = verifyChecksum;
+
+// Update the checksum byte of a VBIOS image (buffer) in place, so the image
+// can be flashed after it was modified.
+//
+// Returns `false` if the given `buf` is not a VBIOS.
+function updateChecksum(buf, offset) {
+  offset = offset || 0;
+
+  const size = imageSizeOf(buf, offset);
+  if (!size)
+    return false;
+
+  const at = offset + vbios.VBIOS_CHECKSUM_OFFSET;
+  buf[at] = (buf[at] - checksumOf(buf, offset, size)) & 0xFF;
+  return true;
+}
+vbios.updateChecksum = updateChecksum;
+
 // ============================================================================
 // [Common]
 // ============================================================================
@@ -191,7 +544,7 @@ vbios.$define({
   $name: "CommonTableHeader",
   $verInfo: ["TableFormatRevision", "TableContentRevision"],
   $members: [
-    { $name: "StructureSize"                  , $type: U16 },
+    { $name: "StructureSize"                  , $type: U16 , $flags: SIZE_OF },
     { $name: "TableFormatRevision"            , $type: U8  },
     { $name: "TableContentRevision"           , $type: U8  }
   ]
@@ -504,6 +857,136 @@ vbios.$define({
   ]
 });
 
+// ATOM_FIRMWARE_INFO_V3_1
+vbios.$define({
+  $extend: vbios.FirmwareInfo,
+  $version: [3, 1],
+  $members: [
+    { $name: "FirmwareRevision"               , $type: U32 },
+    { $name: "BootupEngineClock"              , $type: U32 }, // In [10Khz] unit.
+    { $name: "BootupMemoryClock"              , $type: U32 }, // In [10Khz] unit.
+    { $name: "FirmwareCapability"             , $type: U32 }, // ATOM_FIRMWARE_CAP_XXX flags.
+    { $name: "MainCallParserEntry"            , $type: U32 }, // Direct address of main parser call in VBIOS binary.
+    { $name: "BIOSScratchRegStartAddr"        , $type: U32 }, // DWORD address of the first BIOS scratch register.
+    { $name: "BootupVddcVoltage"              , $type: U16 }, // In [mV] unit.
+    { $name: "BootupVddciVoltage"             , $type: U16 }, // In [mV] unit.
+    { $name: "BootupMvddcVoltage"             , $type: U16 }, // In [mV] unit.
+    { $name: "BootupVddGfxVoltage"            , $type: U16 }, // In [mV] unit.
+    { $name: "MemoryModuleId"                 , $type: U8  },
+    { $name: "CoolingSolutionId"              , $type: U8  }, // 0 - Air cooling, 1 - Liquid cooling.
+    { $name: "Reserved1"                      , $type: U16 },
+    { $name: "MCBaseAddrHigh"                 , $type: U32 },
+    { $name: "MCBaseAddrLow"                  , $type: U32 },
+    { $name: "Reserved2"                      , $type: Arr, $ref: U32, $length: 6 }
+  ]
+});
+
+// ATOM_FIRMWARE_INFO_V3_2
+vbios.$define({
+  $extend: vbios.FirmwareInfo,
+  $version: [3, 2],
+  $members: [
+    { $name: "FirmwareRevision"               , $type: U32 },
+    { $name: "BootupEngineClock"              , $type: U32 }, // In [10Khz] unit.
+    { $name: "BootupMemoryClock"              , $type: U32 }, // In [10Khz] unit.
+    { $name: "FirmwareCapability"             , $type: U32 }, // ATOM_FIRMWARE_CAP_XXX flags.
+    { $name: "MainCallParserEntry"            , $type: U32 }, // Direct address of main parser call in VBIOS binary.
+    { $name: "BIOSScratchRegStartAddr"        , $type: U32 }, // DWORD address of the first BIOS scratch register.
+    { $name: "BootupVddcVoltage"              , $type: U16 }, // In [mV] unit.
+    { $name: "BootupVddciVoltage"             , $type: U16 }, // In [mV] unit.
+    { $name: "BootupMvddcVoltage"             , $type: U16 }, // In [mV] unit.
+    { $name: "BootupVddGfxVoltage"            , $type: U16 }, // In [mV] unit.
+    { $name: "MemoryModuleId"                 , $type: U8  },
+    { $name: "CoolingSolutionId"              , $type: U8  }, // 0 - Air cooling, 1 - Liquid cooling.
+    { $name: "Reserved1"                      , $type: U16 },
+    { $name: "MCBaseAddrHigh"                 , $type: U32 },
+    { $name: "MCBaseAddrLow"                  , $type: U32 },
+    { $name: "BoardI2CFeatureId"              , $type: U8  },
+    { $name: "BoardI2CFeatureGPIOId"          , $type: U8  },
+    { $name: "BoardI2CFeatureSlaveAddr"       , $type: U8  },
+    { $name: "Reserved3"                      , $type: U8  },
+    { $name: "BootupMvddqVoltage"             , $type: U16 }, // In [mV] unit.
+    { $name: "BootupMvppVoltage"              , $type: U16 }, // In [mV] unit.
+    { $name: "ZFBStartAddrIn16MB"             , $type: U32 },
+    { $name: "Reserved2"                      , $type: Arr, $ref: U32, $length: 3 }
+  ]
+});
+
+// ATOM_FIRMWARE_INFO_V3_3
+vbios.$define({
+  $extend: vbios.FirmwareInfo,
+  $version: [3, 3],
+  $members: [
+    { $name: "FirmwareRevision"               , $type: U32 },
+    { $name: "BootupEngineClock"              , $type: U32 }, // In [10Khz] unit.
+    { $name: "BootupMemoryClock"              , $type: U32 }, // In [10Khz] unit.
+    { $name: "FirmwareCapability"             , $type: U32 }, // ATOM_FIRMWARE_CAP_XXX flags.
+    { $name: "MainCallParserEntry"            , $type: U32 }, // Direct address of main parser call in VBIOS binary.
+    { $name: "BIOSScratchRegStartAddr"        , $type: U32 }, // DWORD address of the first BIOS scratch register.
+    { $name: "BootupVddcVoltage"              , $type: U16 }, // In [mV] unit.
+    { $name: "BootupVddciVoltage"             , $type: U16 }, // In [mV] unit.
+    { $name: "BootupMvddcVoltage"             , $type: U16 }, // In [mV] unit.
+    { $name: "BootupVddGfxVoltage"            , $type: U16 }, // In [mV] unit.
+    { $name: "MemoryModuleId"                 , $type: U8  },
+    { $name: "CoolingSolutionId"              , $type: U8  }, // 0 - Air cooling, 1 - Liquid cooling.
+    { $name: "Reserved1"                      , $type: U16 },
+    { $name: "MCBaseAddrHigh"                 , $type: U32 },
+    { $name: "MCBaseAddrLow"                  , $type: U32 },
+    { $name: "BoardI2CFeatureId"              , $type: U8  },
+    { $name: "BoardI2CFeatureGPIOId"          , $type: U8  },
+    { $name: "BoardI2CFeatureSlaveAddr"       , $type: U8  },
+    { $name: "Reserved3"                      , $type: U8  },
+    { $name: "BootupMvddqVoltage"             , $type: U16 }, // In [mV] unit.
+    { $name: "BootupMvppVoltage"              , $type: U16 }, // In [mV] unit.
+    { $name: "ZFBStartAddrIn16MB"             , $type: U32 },
+    { $name: "PPLibPPTableId"                 , $type: U32 }, // If non-zero the driver uses its own PowerPlay table instead of VBIOS one.
+    { $name: "Reserved2"                      , $type: Arr, $ref: U32, $length: 2 }
+  ]
+});
+
+// ATOM_FIRMWARE_INFO_V3_4
+vbios.$define({
+  $extend: vbios.FirmwareInfo,
+  $version: [3, 4],
+  $members: [
+    { $name: "FirmwareRevision"               , $type: U32 },
+    { $name: "BootupEngineClock"              , $type: U32 }, // In [10Khz] unit.
+    { $name: "BootupMemoryClock"              , $type: U32 }, // In [10Khz] unit.
+    { $name: "FirmwareCapability"             , $type: U32 }, // ATOM_FIRMWARE_CAP_XXX flags.
+    { $name: "MainCallParserEntry"            , $type: U32 }, // Direct address of main parser call in VBIOS binary.
+    { $name: "BIOSScratchRegStartAddr"        , $type: U32 }, // DWORD address of the first BIOS scratch register.
+    { $name: "BootupVddcVoltage"              , $type: U16 }, // In [mV] unit.
+    { $name: "BootupVddciVoltage"             , $type: U16 }, // In [mV] unit.
+    { $name: "BootupMvddcVoltage"             , $type: U16 }, // In [mV] unit.
+    { $name: "BootupVddGfxVoltage"            , $type: U16 }, // In [mV] unit.
+    { $name: "MemoryModuleId"                 , $type: U8  },
+    { $name: "CoolingSolutionId"              , $type: U8  }, // 0 - Air cooling, 1 - Liquid cooling.
+    { $name: "Reserved1"                      , $type: U16 },
+    { $name: "MCBaseAddrHigh"                 , $type: U32 },
+    { $name: "MCBaseAddrLow"                  , $type: U32 },
+    { $name: "BoardI2CFeatureId"              , $type: U8  },
+    { $name: "BoardI2CFeatureGPIOId"          , $type: U8  },
+    { $name: "BoardI2CFeatureSlaveAddr"       , $type: U8  },
+    { $name: "Reserved3"                      , $type: U8  },
+    { $name: "BootupMvddqVoltage"             , $type: U16 }, // In [mV] unit.
+    { $name: "BootupMvppVoltage"              , $type: U16 }, // In [mV] unit.
+    { $name: "ZFBStartAddrIn16MB"             , $type: U32 },
+    { $name: "PPLibPPTableId"                 , $type: U32 }, // If non-zero the driver uses its own PowerPlay table instead of VBIOS one.
+    { $name: "MvddRatio"                      , $type: U32 },
+    { $name: "HWBootupVddGfxVoltage"          , $type: U16 }, // In [mV] unit.
+    { $name: "HWBootupVddcVoltage"            , $type: U16 }, // In [mV] unit.
+    { $name: "HWBootupMvddcVoltage"           , $type: U16 }, // In [mV] unit.
+    { $name: "HWBootupVddciVoltage"           , $type: U16 }, // In [mV] unit.
+    { $name: "MacoPowerLimit"                 , $type: U32 }, // In [mW] unit.
+    { $name: "USBPowerLimit"                  , $type: U32 }, // In [mW] unit.
+    { $name: "FWReservedSizeInKB"             , $type: U32 },
+    { $name: "PSPBLInitDoneRegAddr"           , $type: U32 },
+    { $name: "PSPBLInitDoneValue"             , $type: U32 },
+    { $name: "PSPBLInitDoneCheckTimeout"      , $type: U32 }, // In [us] unit.
+    { $name: "Reserved2"                      , $type: Arr, $ref: U32, $length: 2 }
+  ]
+});
+
 // ============================================================================
 // [Multimedia Capability]
 // ============================================================================
@@ -766,19 +1249,317 @@ vbios.$define({
   ]
 });
 
+// ATOM_SMU_INFO_V3_1
+vbios.$define({
+  $extend: vbios.SMUInfo,
+  $version: [3, 1],
+  $members: [
+    { $name: "SMUIPMinVer"                    , $type: U8  },
+    { $name: "SMUIPMaxVer"                    , $type: U8  },
+    { $name: "Reserved1"                      , $type: U8  },
+    { $name: "GPUClockSSMode"                 , $type: U8  },
+    { $name: "SocClockSSPercentage"           , $type: U16 },
+    { $name: "SocClockSSRate"                 , $type: U16 }, // In [10Hz] unit.
+    { $name: "GPUClockSSPercentage"           , $type: U16 }, // In [0.001%] unit.
+    { $name: "GPUClockSSRate"                 , $type: U16 }, // In [10Hz] unit.
+    { $name: "CoreReferenceClock"             , $type: U32 }, // In [10Khz] unit.
+    { $name: "ACDCGPIOBit"                    , $type: U8  }, // 0xFF means invalid.
+    { $name: "ACDCPolarity"                   , $type: U8  },
+    { $name: "VR0HotGPIOBit"                  , $type: U8  }, // 0xFF means invalid.
+    { $name: "VR0HotPolarity"                 , $type: U8  },
+    { $name: "VR1HotGPIOBit"                  , $type: U8  }, // 0xFF means invalid.
+    { $name: "VR1HotPolarity"                 , $type: U8  },
+    { $name: "FWCTFGPIOBit"                   , $type: U8  }, // 0xFF means invalid.
+    { $name: "FWCTFPolarity"                  , $type: U8  }
+  ]
+});
+
+// ATOM_SMU_INFO_V3_2
+vbios.$define({
+  $extend: vbios.SMUInfo,
+  $version: [3, 2],
+  $members: [
+    { $name: "SMUIPMinVer"                    , $type: U8  },
+    { $name: "SMUIPMaxVer"                    , $type: U8  },
+    { $name: "Reserved1"                      , $type: U8  },
+    { $name: "GPUClockSSMode"                 , $type: U8  },
+    { $name: "SocClockSSPercentage"           , $type: U16 },
+    { $name: "SocClockSSRate"                 , $type: U16 }, // In [10Hz] unit.
+    { $name: "GPUClockSSPercentage"           , $type: U16 }, // In [0.001%] unit.
+    { $name: "GPUClockSSRate"                 , $type: U16 }, // In [10Hz] unit.
+    { $name: "CoreReferenceClock"             , $type: U32 }, // In [10Khz] unit.
+    { $name: "ACDCGPIOBit"                    , $type: U8  }, // 0xFF means invalid.
+    { $name: "ACDCPolarity"                   , $type: U8  },
+    { $name: "VR0HotGPIOBit"                  , $type: U8  }, // 0xFF means invalid.
+    { $name: "VR0HotPolarity"                 , $type: U8  },
+    { $name: "VR1HotGPIOBit"                  , $type: U8  }, // 0xFF means invalid.
+    { $name: "VR1HotPolarity"                 , $type: U8  },
+    { $name: "FWCTFGPIOBit"                   , $type: U8  }, // 0xFF means invalid.
+    { $name: "FWCTFPolarity"                  , $type: U8  },
+    { $name: "PCCGPIOBit"                     , $type: U8  }, // 0xFF means invalid.
+    { $name: "PCCGPIOPolarity"                , $type: U8  },
+    { $name: "SMUGoldenOffset"                , $type: U16 },
+    { $name: "GPUPLLVCOFreq"                  , $type: U32 }, // In [10Khz] unit.
+    { $name: "BootupSmnClock"                 , $type: U32 }, // In [10Khz] unit.
+    { $name: "BootupSocClock"                 , $type: U32 }, // In [10Khz] unit.
+    { $name: "BootupMp0Clock"                 , $type: U32 }, // In [10Khz] unit.
+    { $name: "BootupMp1Clock"                 , $type: U32 }, // In [10Khz] unit.
+    { $name: "BootupLClock"                   , $type: U32 }, // In [10Khz] unit.
+    { $name: "BootupDcefClock"                , $type: U32 }, // In [10Khz] unit.
+    { $name: "CTFThresholdOverrideValue"      , $type: U32 },
+    { $name: "Reserved2"                      , $type: Arr, $ref: U32, $length: 5 }
+  ]
+});
+
+// ATOM_SMU_INFO_V3_3
+vbios.$define({
+  $extend: vbios.SMUInfo,
+  $version: [3, 3],
+  $members: [
+    { $name: "SMUIPMinVer"                    , $type: U8  },
+    { $name: "SMUIPMaxVer"                    , $type: U8  },
+    { $name: "Reserved1"                      , $type: U8  },
+    { $name: "GPUClockSSMode"                 , $type: U8  },
+    { $name: "SocClockSSPercentage"           , $type: U16 },
+    { $name: "SocClockSSRate"                 , $type: U16 }, // In [10Hz] unit.
+    { $name: "GPUClockSSPercentage"           , $type: U16 }, // In [0.001%] unit.
+    { $name: "GPUClockSSRate"                 , $type: U16 }, // In [10Hz] unit.
+    { $name: "CoreReferenceClock"             , $type: U32 }, // In [10Khz] unit.
+    { $name: "ACDCGPIOBit"                    , $type: U8  }, // 0xFF means invalid.
+    { $name: "ACDCPolarity"                   , $type: U8  },
+    { $name: "VR0HotGPIOBit"                  , $type: U8  }, // 0xFF means invalid.
+    { $name: "VR0HotPolarity"                 , $type: U8  },
+    { $name: "VR1HotGPIOBit"                  , $type: U8  }, // 0xFF means invalid.
+    { $name: "VR1HotPolarity"                 , $type: U8  },
+    { $name: "FWCTFGPIOBit"                   , $type: U8  }, // 0xFF means invalid.
+    { $name: "FWCTFPolarity"                  , $type: U8  },
+    { $name: "PCCGPIOBit"                     , $type: U8  }, // 0xFF means invalid.
+    { $name: "PCCGPIOPolarity"                , $type: U8  },
+    { $name: "SMUGoldenOffset"                , $type: U16 },
+    { $name: "GPUPLLVCOFreq"                  , $type: U32 }, // In [10Khz] unit.
+    { $name: "BootupSmnClock"                 , $type: U32 }, // In [10Khz] unit.
+    { $name: "BootupSocClock"                 , $type: U32 }, // In [10Khz] unit.
+    { $name: "BootupMp0Clock"                 , $type: U32 }, // In [10Khz] unit.
+    { $name: "BootupMp1Clock"                 , $type: U32 }, // In [10Khz] unit.
+    { $name: "BootupLClock"                   , $type: U32 }, // In [10Khz] unit.
+    { $name: "BootupDcefClock"                , $type: U32 }, // In [10Khz] unit.
+    { $name: "CTFThresholdOverrideValue"      , $type: U32 },
+    { $name: "SysPLL3_0VCOFreq"               , $type: U32 }, // In [10Khz] unit.
+    { $name: "SysPLL3_1VCOFreq"               , $type: U32 }, // In [10Khz] unit.
+    { $name: "BootupFClock"                   , $type: U32 }, // In [10Khz] unit.
+    { $name: "BootupWaflClock"                , $type: U32 }, // In [10Khz] unit.
+    { $name: "SMUInfoCaps"                    , $type: U32 },
+    { $name: "WaflClockSSPercentage"          , $type: U16 }, // In [0.001%] unit.
+    { $name: "SMUInitOffset"                  , $type: U16 },
+    { $name: "Reserved2"                      , $type: U32 }
+  ]
+});
+
 // ============================================================================
 // [VRAM Information]
 // ============================================================================
 
+// MC_SEQ_WR_CTL_D1
+vbios.$define({
+  $name: "MCSeqWrCtlD1",
+  $members: [
+    { $name: "DAT_DLY"                        , $type: U32, $bitSize: 4 },
+    { $name: "DQS_DLY"                        , $type: U32, $bitSize: 4 },
+    { $name: "DQS_XTR"                        , $type: U32, $bitSize: 1 },
+    { $name: "DAT_2Y_DLY"                     , $type: U32, $bitSize: 1 },
+    { $name: "ADR_2Y_DLY"                     , $type: U32, $bitSize: 1 },
+    { $name: "CMD_2Y_DLY"                     , $type: U32, $bitSize: 1 },
+    { $name: "OEN_DLY"                        , $type: U32, $bitSize: 4 },
+    { $name: "OEN_EXT"                        , $type: U32, $bitSize: 4 },
+    { $name: "OEN_SEL"                        , $type: U32, $bitSize: 2 },
+    { $name: "Reserved1"                      , $type: U32, $bitSize: 2 },
+    { $name: "ODT_DLY"                        , $type: U32, $bitSize: 4 },
+    { $name: "ODT_EXT"                        , $type: U32, $bitSize: 1 },
+    { $name: "ADR_DLY"                        , $type: U32, $bitSize: 1 },
+    { $name: "CMD_DLY"                        , $type: U32, $bitSize: 1 },
+    { $name: "Reserved2"                      , $type: U32, $bitSize: 1 }
+  ]
+});
+
+// MC_SEQ_WR_CTL_2
+vbios.$define({
+  $name: "MCSeqWrCtl2",
+  $members: [
+    { $name: "DAT_DLY_H_D0"                   , $type: U32, $bitSize: 1 },
+    { $name: "DQS_DLY_H_D0"                   , $type: U32, $bitSize: 1 },
+    { $name: "OEN_DLY_H_D0"                   , $type: U32, $bitSize: 1 },
+    { $name: "DAT_DLY_H_D1"                   , $type: U32, $bitSize: 1 },
+    { $name: "DQS_DLY_H_D1"                   , $type: U32, $bitSize: 1 },
+    { $name: "OEN_DLY_H_D1"                   , $type: U32, $bitSize: 1 },
+    { $name: "WCDR_EN"                        , $type: U32, $bitSize: 1 },
+    { $name: "Reserved1"                      , $type: U32, $bitSize: 25 }
+  ]
+});
+
+// MC_SEQ_PMG_TIMING
+vbios.$define({
+  $name: "MCSeqPMGTiming",
+  $members: [
+    { $name: "TCKSRE"                         , $type: U32, $bitSize: 3 },
+    { $name: "Reserved1"                      , $type: U32, $bitSize: 1 },
+    { $name: "TCKSRX"                         , $type: U32, $bitSize: 3 },
+    { $name: "Reserved2"                      , $type: U32, $bitSize: 1 },
+    { $name: "TCKE_PULSE"                     , $type: U32, $bitSize: 4 },
+    { $name: "TCKE"                           , $type: U32, $bitSize: 6 },
+    { $name: "SEQ_IDLE"                       , $type: U32, $bitSize: 3 },
+    { $name: "Reserved3"                      , $type: U32, $bitSize: 2 },
+    { $name: "TCKE_PULSE_MSB"                 , $type: U32, $bitSize: 1 },
+    { $name: "SEQ_IDLE_SS"                    , $type: U32, $bitSize: 8 }
+  ]
+});
+
+// MC_SEQ_RAS_TIMING
+vbios.$define({
+  $name: "MCSeqRASTiming",
+  $members: [
+    { $name: "TRCDW"                          , $type: U32, $bitSize: 5 },
+    { $name: "TRCDWA"                         , $type: U32, $bitSize: 5 },
+    { $name: "TRCDR"                          , $type: U32, $bitSize: 5 },
+    { $name: "TRCDRA"                         , $type: U32, $bitSize: 5 },
+    { $name: "TRRD"                           , $type: U32, $bitSize: 4 },
+    { $name: "TRC"                            , $type: U32, $bitSize: 7 },
+    { $name: "Reserved1"                      , $type: U32, $bitSize: 1 }
+  ]
+});
+
+// MC_SEQ_CAS_TIMING
+vbios.$define({
+  $name: "MCSeqCASTiming",
+  $members: [
+    { $name: "TNOPW"                          , $type: U32, $bitSize: 2 },
+    { $name: "TNOPR"                          , $type: U32, $bitSize: 2 },
+    { $name: "TR2W"                           , $type: U32, $bitSize: 5 },
+    { $name: "TCCDL"                          , $type: U32, $bitSize: 3 },
+    { $name: "TR2R"                           , $type: U32, $bitSize: 4 },
+    { $name: "TW2R"                           , $type: U32, $bitSize: 5 },
+    { $name: "Reserved1"                      , $type: U32, $bitSize: 3 },
+    { $name: "TCL"                            , $type: U32, $bitSize: 5 },
+    { $name: "Reserved2"                      , $type: U32, $bitSize: 3 }
+  ]
+});
+
+// MC_SEQ_MISC_TIMING
+vbios.$define({
+  $name: "MCSeqMiscTiming",
+  $members: [
+    { $name: "TRP_WRA"                        , $type: U32, $bitSize: 6 },
+    { $name: "Reserved1"                      , $type: U32, $bitSize: 2 },
+    { $name: "TRP_RDA"                        , $type: U32, $bitSize: 6 },
+    { $name: "Reserved2"                      , $type: U32, $bitSize: 1 },
+    { $name: "TRP"                            , $type: U32, $bitSize: 5 },
+    { $name: "TRFC"                           , $type: U32, $bitSize: 9 },
+    { $name: "Reserved3"                      , $type: U32, $bitSize: 3 }
+  ]
+});
+
+// MC_SEQ_MISC_TIMING2
+vbios.$define({
+  $name: "MCSeqMiscTiming2",
+  $members: [
+    { $name: "PA2RDATA"                       , $type: U32, $bitSize: 3 },
+    { $name: "Reserved1"                      , $type: U32, $bitSize: 1 },
+    { $name: "PA2WDATA"                       , $type: U32, $bitSize: 3 },
+    { $name: "Reserved2"                      , $type: U32, $bitSize: 1 },
+    { $name: "TFAW"                           , $type: U32, $bitSize: 5 },
+    { $name: "TCRCRL"                         , $type: U32, $bitSize: 3 },
+    { $name: "TCRCWL"                         , $type: U32, $bitSize: 5 },
+    { $name: "TFAW32"                         , $type: U32, $bitSize: 5 },
+    { $name: "Reserved3"                      , $type: U32, $bitSize: 6 }
+  ]
+});
+
+// MC_ARB_DRAM_TIMING
+vbios.$define({
+  $name: "MCArbDRAMTiming",
+  $members: [
+    { $name: "ACTRD"                          , $type: U8  },
+    { $name: "ACTWR"                          , $type: U8  },
+    { $name: "RASMACTRD"                      , $type: U8  },
+    { $name: "RASMACTWR"                      , $type: U8  }
+  ]
+});
+
+// MC_ARB_DRAM_TIMING2
+vbios.$define({
+  $name: "MCArbDRAMTiming2",
+  $members: [
+    { $name: "RAS2RAS"                        , $type: U8  },
+    { $name: "RP"                             , $type: U8  },
+    { $name: "WRPLUSRP"                       , $type: U8  }, // tWR + tRP.
+    { $name: "BUS_TURN"                       , $type: U8  }
+  ]
+});
+
 // ATOM_VRAM_TIMING_ENTRY
+//   - The layout of `Latency` (MC register values) depends on the memory type
+//     and ASIC, which is not stored in the table. Select it by passing
+//     `versions: { VRAMTimingEntry: "GDDR5" }` to reader, updater, and writer,
+//     otherwise `Latency` is an opaque hex string.
 vbios.$define({
   $name: "VRAMTimingEntry",
   $members: [
-    { $name: "CLKRange"                       , $type: U32 },
+    { $name: "CLKRange"                       , $type: U32 }, // Bits [23:0] - Memory clock [10kHz], bits [31:24] - VRAM module index.
     { $name: "Latency"                        , $type: Hex , $length: 48 }
   ]
 });
 
+// ATOM_VRAM_TIMING_ENTRY (GDDR5 strap used by Polaris)
+vbios.$define({
+  $name: "VRAMTimingEntry",
+  $version: ["GDDR5"],
+  $members: [
+    { $name: "CLKRange"                       , $type: U32 },
+    { $name: "SeqWrCtlD1"                     , $type: vbios.MCSeqWrCtlD1 },
+    { $name: "SeqWrCtl2"                      , $type: vbios.MCSeqWrCtl2 },
+    { $name: "SeqPMGTiming"                   , $type: vbios.MCSeqPMGTiming },
+    { $name: "SeqRASTiming"                   , $type: vbios.MCSeqRASTiming },
+    { $name: "SeqCASTiming"                   , $type: vbios.MCSeqCASTiming },
+    { $name: "SeqMiscTiming"                  , $type: vbios.MCSeqMiscTiming },
+    { $name: "SeqMiscTiming2"                 , $type: vbios.MCSeqMiscTiming2 },
+    { $name: "SeqMisc1"                       , $type: U32 }, // GDDR5 MR0 and MR1.
+    { $name: "SeqMisc3"                       , $type: U32 },
+    { $name: "SeqMisc8"                       , $type: U32 },
+    { $name: "ArbDRAMTiming"                  , $type: vbios.MCArbDRAMTiming },
+    { $name: "ArbDRAMTiming2"                 , $type: vbios.MCArbDRAMTiming2 }
+  ]
+});
+
+// ATOM_INIT_REG_INDEX_FORMAT
+vbios.$define({
+  $name: "InitRegIndexFormat",
+  $members: [
+    { $name: "RegIndex"                       , $type: U16 },
+    { $name: "PreRegDataLength"               , $type: U8  }
+  ]
+});
+
+// ATOM_INIT_REG_BLOCK
+//   - Followed by data blocks (ATOM_MEMORY_SETTING_DATA_BLOCK), each having
+//     `RegDataBlockSize` bytes. The list of data blocks ends with zero DWORD.
+vbios.$define({
+  $name: "InitRegBlock",
+  $members: [
+    { $name: "RegIndexTableSize"              , $type: U16 }, // Size of `RegIndices` [bytes], including the end marker.
+    { $name: "RegDataBlockSize"               , $type: U16 }, // Size of each data block [bytes].
+    { $name: "RegIndices"                     , $type: Arr, $ref: vbios.InitRegIndexFormat, $size: "RegIndexTableSize" }
+  ]
+});
+
+// Data blocks of a memory clock patch table (InitRegBlock referenced by
+// VRAMInfo v2.1 and v2.2) - VRAM timing straps, one per memory clock range
+// and VRAM module. Use `vbios.findVRAMTimings()` to get their offset.
+vbios.$define({
+  $name: "VRAMTimings",
+  $members: [
+    { $name: "Entries"                        , $type: Arr, $ref: vbios.VRAMTimingEntry, $terminator: 0 } // Ends with zero CLKRange.
+  ]
+});
+
 // ATOM_VRAM_MODULE - Dummy, used just to define a non-versioned type-name.
 vbios.$define({
   $name: "VRAMModule"
@@ -904,29 +1685,114 @@ vbios.$define({
     { $name: "ChannelMapCfg1"                 , $type: U32 },
     { $name: "BankMapCfg"                     , $type: U32 },
     { $name: "Reserved2"                      , $type: U32 },
-    { $name: "MemPNString"                    , $type: Hex , $length: 20 }
+    { $name: "MemPNString"                    , $type: Str, $length: 20 }
   ]
 });
 
-// ATOM_VRAM_INFO
+// ATOM_VRAM_MODULE_V9
 vbios.$define({
-  $name: "VRAMInfo",
-  $extend: vbios.CommonTableHeader
+  $extend: vbios.VRAMModule,
+  $version: [9],
+  $members: [
+    { $name: "MemorySize"                     , $type: U32 }, // In [MB] unit.
+    { $name: "ChannelEnable"                  , $type: U32 }, // Bit vector of enabled channels.
+    { $name: "MaxMemoryClock"                 , $type: U32 }, // In [10Khz] unit, zero if not defined.
+    { $name: "Reserved1"                      , $type: Arr, $ref: U16, $length: 3 },
+    { $name: "MemoryVoltage"                  , $type: U16 },
+    { $name: "ModuleSize"                     , $type: U16 , $flags: SIZE_OF },
+    { $name: "ExtMemoryId"                    , $type: U8  },
+    { $name: "MemoryType"                     , $type: U8  },
+    { $name: "ChannelNum"                     , $type: U8  },
+    { $name: "ChannelWidth"                   , $type: U8  },
+    { $name: "Density"                        , $type: U8  },
+    { $name: "TunningSetId"                   , $type: U8  },
+    { $name: "MemoryVendorId"                 , $type: U8  }, // [7:4] Revision, [3:0] Vendor code.
+    { $name: "RefreshRateFactor"              , $type: U8  },
+    { $name: "HBMVendorRevId"                 , $type: U8  },
+    { $name: "Reserved2"                      , $type: U8  },
+    { $name: "MemPNString"                    , $type: Str, $length: 20 }
+  ]
 });
 
+// ATOM_VRAM_MODULE_V10
 vbios.$define({
-  $name: "VRAMInfo",
-  $extend: vbios.VRAMInfo,
-  $version: [2, 1],
+  $extend: vbios.VRAMModule,
+  $version: [10],
   $members: [
-    { $name: "MemAdjustTableOffset"           , $type: U16 },
-    { $name: "MemClockPatchTableOffset"       , $type: U16 },
-    { $name: "PerBytePresetOffset"            , $type: U16 },
-    { $name: "Reserved1"                      , $type: U16 },
-    { $name: "Reserved2"                      , $type: U16 },
-    { $name: "Reserved3"                      , $type: U16 },
-    { $name: "NumVRAMModules"                 , $type: U8  }, // ucNumOfVRAMModule
-    { $name: "MemClockPatchTableVer"          , $type: U8  },
+    { $name: "MemorySize"                     , $type: U32 }, // In [MB] unit.
+    { $name: "ChannelEnable"                  , $type: U32 }, // Bit vector of enabled channels.
+    { $name: "MaxMemoryClock"                 , $type: U32 }, // In [10Khz] unit, zero if not defined.
+    { $name: "Reserved1"                      , $type: Arr, $ref: U16, $length: 3 },
+    { $name: "MemoryVoltage"                  , $type: U16 },
+    { $name: "ModuleSize"                     , $type: U16 , $flags: SIZE_OF },
+    { $name: "ExtMemoryId"                    , $type: U8  },
+    { $name: "MemoryType"                     , $type: U8  },
+    { $name: "ChannelNum"                     , $type: U8  },
+    { $name: "ChannelWidth"                   , $type: U8  },
+    { $name: "Density"                        , $type: U8  },
+    { $name: "TunningSetId"                   , $type: U8  },
+    { $name: "MemoryVendorId"                 , $type: U8  }, // [7:4] Revision, [3:0] Vendor code.
+    { $name: "RefreshRateFactor"              , $type: U8  },
+    { $name: "VRAMFlags"                      , $type: U8  }, // Bit 0 - Bank group enable.
+    { $name: "Reserved2"                      , $type: U8  },
+    { $name: "GDDR6MR10"                      , $type: U16 },
+    { $name: "GDDR6MR1"                       , $type: U16 },
+    { $name: "GDDR6MR2"                       , $type: U16 },
+    { $name: "GDDR6MR7"                       , $type: U16 },
+    { $name: "MemPNString"                    , $type: Str, $length: 20 }
+  ]
+});
+
+// ATOM_VRAM_MODULE_V11
+vbios.$define({
+  $extend: vbios.VRAMModule,
+  $version: [11],
+  $members: [
+    { $name: "MemorySize"                     , $type: U32 }, // In [MB] unit.
+    { $name: "ChannelEnable"                  , $type: U32 }, // Bit vector of enabled channels.
+    { $name: "MemoryVoltage"                  , $type: U16 },
+    { $name: "ModuleSize"                     , $type: U16 , $flags: SIZE_OF },
+    { $name: "ExtMemoryId"                    , $type: U8  },
+    { $name: "MemoryType"                     , $type: U8  },
+    { $name: "ChannelNum"                     , $type: U8  },
+    { $name: "ChannelWidth"                   , $type: U8  },
+    { $name: "Density"                        , $type: U8  },
+    { $name: "TunningSetId"                   , $type: U8  },
+    { $name: "Reserved1"                      , $type: Arr, $ref: U16, $length: 4 },
+    { $name: "MemoryVendorId"                 , $type: U8  }, // [7:4] Revision, [3:0] Vendor code.
+    { $name: "RefreshRateFactor"              , $type: U8  },
+    { $name: "VRAMFlags"                      , $type: U8  }, // Bit 0 - Bank group enable.
+    { $name: "Reserved2"                      , $type: U8  },
+    { $name: "GDDR6MR10"                      , $type: U16 },
+    { $name: "GDDR6MR0"                       , $type: U16 },
+    { $name: "GDDR6MR1"                       , $type: U16 },
+    { $name: "GDDR6MR2"                       , $type: U16 },
+    { $name: "GDDR6MR4"                       , $type: U16 },
+    { $name: "GDDR6MR7"                       , $type: U16 },
+    { $name: "GDDR6MR8"                       , $type: U16 },
+    { $name: "MemPNString"                    , $type: Str, $length: 40 }
+  ]
+});
+
+// ATOM_VRAM_INFO
+vbios.$define({
+  $name: "VRAMInfo",
+  $extend: vbios.CommonTableHeader
+});
+
+vbios.$define({
+  $name: "VRAMInfo",
+  $extend: vbios.VRAMInfo,
+  $version: [2, 1],
+  $members: [
+    { $name: "MemAdjustTableOffset"           , $type: U16 },
+    { $name: "MemClockPatchTable"             , $type: U16, $ref: vbios.InitRegBlock },
+    { $name: "PerBytePresetOffset"            , $type: U16 },
+    { $name: "Reserved1"                      , $type: U16 },
+    { $name: "Reserved2"                      , $type: U16 },
+    { $name: "Reserved3"                      , $type: U16 },
+    { $name: "NumVRAMModules"                 , $type: U8  }, // ucNumOfVRAMModule
+    { $name: "MemClockPatchTableVer"          , $type: U8  },
     { $name: "VRAMModuleVer"                  , $type: U8  },
     { $name: "Reserved4"                      , $type: U8  },
     { $name: "VRAMModules"                    , $type: Arr, $ref: vbios.VRAMModule, $length: "NumVRAMModules", $version: "VRAMModuleVer" }
@@ -939,7 +1805,7 @@ vbios.$define({
   $version: [2, 2],
   $members: [
     { $name: "MemAdjustTableOffset"           , $type: U16 },
-    { $name: "MemClockPatchTableOffset"       , $type: U16 },
+    { $name: "MemClockPatchTable"             , $type: U16, $ref: vbios.InitRegBlock },
     { $name: "McAdjustPerTileTableOffset"     , $type: U16 },
     { $name: "McPhyInitTableOffset"           , $type: U16 },
     { $name: "DRAMDataRemapTableOffset"       , $type: U16 },
@@ -952,6 +1818,94 @@ vbios.$define({
   ]
 });
 
+// ATOM_VRAM_INFO_HEADER_V2_3
+vbios.$define({
+  $name: "VRAMInfo",
+  $extend: vbios.VRAMInfo,
+  $version: [2, 3],
+  $members: [
+    { $name: "MemAdjustTableOffset"           , $type: U16 },
+    { $name: "MemClockPatchTableOffset"       , $type: U16 },
+    { $name: "McAdjustPerTileTableOffset"     , $type: U16 },
+    { $name: "McPhyInitTableOffset"           , $type: U16 },
+    { $name: "DRAMDataRemapTableOffset"       , $type: U16 },
+    { $name: "TMRSSeqOffset"                  , $type: U16 },
+    { $name: "PostUcodeInitOffset"            , $type: U16 },
+    { $name: "Reserved1"                      , $type: U16 },
+    { $name: "NumVRAMModules"                 , $type: U8  }, // vram_module_num
+    { $name: "UMCIPMinVer"                    , $type: U8  },
+    { $name: "UMCIPMaxVer"                    , $type: U8  },
+    { $name: "McPhyTileNum"                   , $type: U8  },
+    { $name: "VRAMModules"                    , $type: Arr, $ref: vbios.VRAMModule$9, $length: "NumVRAMModules" }
+  ]
+});
+
+// ATOM_VRAM_INFO_HEADER_V2_4
+vbios.$define({
+  $name: "VRAMInfo",
+  $extend: vbios.VRAMInfo,
+  $version: [2, 4],
+  $members: [
+    { $name: "MemAdjustTableOffset"           , $type: U16 },
+    { $name: "MemClockPatchTableOffset"       , $type: U16 },
+    { $name: "McAdjustPerTileTableOffset"     , $type: U16 },
+    { $name: "McPhyInitTableOffset"           , $type: U16 },
+    { $name: "DRAMDataRemapTableOffset"       , $type: U16 },
+    { $name: "Reserved1"                      , $type: U16 },
+    { $name: "PostUcodeInitOffset"            , $type: U16 },
+    { $name: "Reserved2"                      , $type: U16 },
+    { $name: "NumVRAMModules"                 , $type: U8  }, // vram_module_num
+    { $name: "UMCIPMinVer"                    , $type: U8  },
+    { $name: "UMCIPMaxVer"                    , $type: U8  },
+    { $name: "McPhyTileNum"                   , $type: U8  },
+    { $name: "VRAMModules"                    , $type: Arr, $ref: vbios.VRAMModule$10, $length: "NumVRAMModules" }
+  ]
+});
+
+// ATOM_VRAM_INFO_HEADER_V2_5
+vbios.$define({
+  $name: "VRAMInfo",
+  $extend: vbios.VRAMInfo,
+  $version: [2, 5],
+  $members: [
+    { $name: "MemAdjustTableOffset"           , $type: U16 },
+    { $name: "GDDR6ACTimingOffset"            , $type: U16 },
+    { $name: "McAdjustPerTileTableOffset"     , $type: U16 },
+    { $name: "McPhyInitTableOffset"           , $type: U16 },
+    { $name: "DRAMDataRemapTableOffset"       , $type: U16 },
+    { $name: "Reserved1"                      , $type: U16 },
+    { $name: "PostUcodeInitOffset"            , $type: U16 },
+    { $name: "StrobeModePatchTableOffset"     , $type: U16 },
+    { $name: "NumVRAMModules"                 , $type: U8  }, // vram_module_num
+    { $name: "UMCIPMinVer"                    , $type: U8  },
+    { $name: "UMCIPMaxVer"                    , $type: U8  },
+    { $name: "McPhyTileNum"                   , $type: U8  },
+    { $name: "VRAMModules"                    , $type: Arr, $ref: vbios.VRAMModule$11, $length: "NumVRAMModules" }
+  ]
+});
+
+// ATOM_VRAM_INFO_HEADER_V2_6
+vbios.$define({
+  $name: "VRAMInfo",
+  $extend: vbios.VRAMInfo,
+  $version: [2, 6],
+  $members: [
+    { $name: "MemAdjustTableOffset"           , $type: U16 },
+    { $name: "MemClockPatchTableOffset"       , $type: U16 },
+    { $name: "McAdjustPerTileTableOffset"     , $type: U16 },
+    { $name: "McPhyInitTableOffset"           , $type: U16 },
+    { $name: "DRAMDataRemapTableOffset"       , $type: U16 },
+    { $name: "TMRSSeqOffset"                  , $type: U16 },
+    { $name: "PostUcodeInitOffset"            , $type: U16 },
+    { $name: "Reserved1"                      , $type: U16 },
+    { $name: "NumVRAMModules"                 , $type: U8  }, // vram_module_num
+    { $name: "UMCIPMinVer"                    , $type: U8  },
+    { $name: "UMCIPMaxVer"                    , $type: U8  },
+    { $name: "McPhyTileNum"                   , $type: U8  },
+    { $name: "VRAMModules"                    , $type: Arr, $ref: vbios.VRAMModule$9, $length: "NumVRAMModules" }
+  ]
+});
+
 // ============================================================================
 // [Display Object / Object Information]
 // ============================================================================
@@ -1618,6 +2572,7 @@ vbios.VOLTAGE_OBJ_VR_I2C_INIT_SEQ          = 3;
 vbios.VOLTAGE_OBJ_PHASE_LUT                = 4;
 vbios.VOLTAGE_OBJ_SVID2                    = 7;
 vbios.VOLTAGE_OBJ_EVV                      = 8;
+vbios.VOLTAGE_OBJ_MERGED_POWER             = 9;
 vbios.VOLTAGE_OBJ_POWER_BOOST_LEAKAGE_LUT  = 16;
 vbios.VOLTAGE_OBJ_HIGH_STATE_LEAKAGE_LUT   = 17;
 vbios.VOLTAGE_OBJ_HIGH1_STATE_LEAKAGE_LUT  = 18;
@@ -1686,7 +2641,7 @@ vbios.$define({
   $name: "VoltageObjectV1",
   $members: [
     { $name: "VoltageType"                    , $type: U8  },                   // Indicates Voltage Source: Vddc, Mvddc, Mvddq or Mvddci.
-    { $name: "Size"                           , $type: U8  },                   // Size of the Object.
+    { $name: "Size"                           , $type: U8  , $flags: SIZE_OF }, // Size of the Object.
     { $name: "Control"                        , $type: vbios.VoltageControl   }, // Describes how to control.
     { $name: "Formula"                        , $type: vbios.VoltageFormula$1 }  // Indicate How to convert real Voltage to VID.
   ]
@@ -1697,7 +2652,7 @@ vbios.$define({
   $name: "VoltageObjectV2",
   $members: [
     { $name: "VoltageType"                    , $type: U8  },
-    { $name: "Size"                           , $type: U8  },
+    { $name: "Size"                           , $type: U8  , $flags: SIZE_OF },
     { $name: "Control"                        , $type: vbios.VoltageControl },
     { $name: "Formula"                        , $type: vbios.VoltageFormula$2 }
   ]
@@ -1717,10 +2672,8 @@ vbios.$define({
     { $name: "DefaultVoltageEntry"            , $type: U8  },
     { $name: "VoltageControlI2CLine"          , $type: U8  },
     { $name: "VoltageControlAddress"          , $type: U8  },
-    { $name: "VoltageControlOffset"           , $type: U8  }
-    // TODO?
-    // The actual number of entry is present at NumOfVoltageEntries*BytesPerVoltageEntry
-    // { $name: "Entries"                        , $type: Arr }
+    { $name: "VoltageControlOffset"           , $type: U8  },
+    { $name: "Entries"                        , $type: Arr , $ref: U8, $size: "NumEntries * BytesPerVoltageEntry" }
   ]
 });
 
@@ -1731,7 +2684,7 @@ vbios.$define({
   $members: [
     { $name: "VoltageType"                    , $type: U8  }, // Indicates voltage source [Vddc, Mvddc, Mvddq, or Mvddci].
     { $name: "VoltageMode"                    , $type: U8  }, // Indicates voltage control mode [Init, Set, Leakage, Set phase].
-    { $name: "Size"                           , $type: U16 }  // Size of the object.
+    { $name: "Size"                           , $type: U16 , $flags: SIZE_OF }  // Size of the object.
   ]
 });
 
@@ -1746,8 +2699,7 @@ vbios.$define({
     { $name: "VoltageControlOffset"           , $type: U8  },
     { $name: "VoltageControlFlag"             , $type: U8  },
     { $name: "Reserved1"                      , $type: U24 },
-    // TODO: Length not implemented, ends with 0xFF.
-    { $name: "LUTEntries"                     , $type: Arr, $ref: vbios.VoltageLUTEntry$1, $length: 1 }
+    { $name: "LUTEntries"                     , $type: Arr, $ref: vbios.VoltageLUTEntry$1, $terminator: 0xFF, $size: "Size - $offset" } // Ends with 0xFF.
   ]
 });
 
@@ -1762,8 +2714,7 @@ vbios.$define({
     { $name: "PhaseDelay"                     , $type: U8  },
     { $name: "Reserved1"                      , $type: U8  },
     { $name: "GPIOMaskVal"                    , $type: U32 },
-    // TODO: Length not implemented.
-    { $name: "LUTEntries"                     , $type: Arr, $ref: vbios.VoltageLUTEntry$2, $length: 1 }
+    { $name: "LUTEntries"                     , $type: Arr, $ref: vbios.VoltageLUTEntry$2, $length: "GPIOEntryNum" }
   ]
 });
 
@@ -1781,8 +2732,7 @@ vbios.$define({
     { $name: "LeakageEntryNum"                , $type: U8  },
     { $name: "Reserved1"                      , $type: U16 },
     { $name: "MaxVoltageLevel"                , $type: U32 },
-    // TODO: Length not implemented.
-    { $name: "LUTEntries"                     , $type: Arr, $ref: vbios.VoltageLUTEntry$2, $length: 1 }
+    { $name: "LUTEntries"                     , $type: Arr, $ref: vbios.VoltageLUTEntry$2, $length: "LeakageEntryNum" }
   ]
 });
 
@@ -1818,6 +2768,77 @@ vbios.$define({
   ]
 });
 
+// ATOM_VOLTAGE_OBJECT_HEADER_V4
+vbios.$define({
+  $name: "VoltageObjectV4",
+  $verInfo: ["VoltageMode"],
+  $members: [
+    { $name: "VoltageType"                    , $type: U8  }, // Indicates voltage source [Vddc, Mvddc, Mvddq, or Mvddci].
+    { $name: "VoltageMode"                    , $type: U8  }, // Indicates voltage control mode [GPIO, I2C, Phase, SVID2, Merged].
+    { $name: "Size"                           , $type: U16 , $flags: SIZE_OF }  // Size of the object.
+  ]
+});
+
+// ATOM_I2C_VOLTAGE_OBJECT_V4
+vbios.$define({
+  $extend: vbios.VoltageObjectV4,
+  $version: [vbios.VOLTAGE_OBJ_VR_I2C_INIT_SEQ],
+  $members: [
+    { $name: "RegulatorId"                    , $type: U8  },
+    { $name: "I2CId"                          , $type: U8  },
+    { $name: "I2CSlaveAddr"                   , $type: U8  },
+    { $name: "I2CControlOffset"               , $type: U8  },
+    { $name: "I2CFlag"                        , $type: U8  }, // Bit 0 - 0 means one byte data, 1 means two byte data.
+    { $name: "I2CSpeed"                       , $type: U8  }, // In [kHz] unit, zero means default speed.
+    { $name: "Reserved1"                      , $type: U16 },
+    { $name: "LUTEntries"                     , $type: Arr, $ref: vbios.VoltageLUTEntry$1, $terminator: 0xFF, $size: "Size - $offset" } // Ends with 0xFF.
+  ]
+});
+
+// ATOM_GPIO_VOLTAGE_OBJECT_V4
+vbios.$define({
+  $extend: vbios.VoltageObjectV4,
+  $version: [vbios.VOLTAGE_OBJ_GPIO_LUT],
+  $members: [
+    { $name: "GPIOControlId"                  , $type: U8  },
+    { $name: "GPIOEntryNum"                   , $type: U8  },
+    { $name: "PhaseDelay"                     , $type: U8  }, // In [us] unit.
+    { $name: "Reserved1"                      , $type: U8  },
+    { $name: "GPIOMaskVal"                    , $type: U32 },
+    { $name: "LUTEntries"                     , $type: Arr, $ref: vbios.VoltageLUTEntry$2, $length: "GPIOEntryNum" }
+  ]
+});
+
+vbios.$define({
+  $extend: vbios["VoltageObjectV4$" + vbios.VOLTAGE_OBJ_GPIO_LUT],
+  $version: [vbios.VOLTAGE_OBJ_PHASE_LUT]
+});
+
+// ATOM_SVID2_VOLTAGE_OBJECT_V4
+vbios.$define({
+  $extend: vbios.VoltageObjectV4,
+  $version: [vbios.VOLTAGE_OBJ_SVID2],
+  $members: [
+    { $name: "LoadLinePSI1"                   , $type: U8  }, // [4:0] Load line setting, [5] PSI1_L enable.
+    { $name: "PSI0LVIDThreshold"              , $type: U8  },
+    { $name: "PSI0Enable"                     , $type: U8  },
+    { $name: "MaxVStep"                       , $type: U8  },
+    { $name: "TelemetryOffset"                , $type: U8  },
+    { $name: "TelemetryGain"                  , $type: U8  },
+    { $name: "Reserved1"                      , $type: U16 }
+  ]
+});
+
+// ATOM_MERGED_VOLTAGE_OBJECT_V4
+vbios.$define({
+  $extend: vbios.VoltageObjectV4,
+  $version: [vbios.VOLTAGE_OBJ_MERGED_POWER],
+  $members: [
+    { $name: "MergedPowerRailType"            , $type: U8  },
+    { $name: "Reserved1"                      , $type: U24 }
+  ]
+});
+
 /*
 // ATOM_EVV_DPM_INFO
 vbios.$define({
@@ -1872,6 +2893,15 @@ vbios.$define({
   ]
 });
 
+// ATOM_VOLTAGE_OBJECTS_INFO_V4_1
+vbios.$define({
+  $extend: vbios.VoltageObjectInfo,
+  $version: [4, 1],
+  $members: [
+    { $name: "Entries"                        , $type: Arr, $ref: vbios.VoltageObjectV4, $length: 3 }
+  ]
+});
+
 // ============================================================================
 // [ASIC Profiling Information]
 // ============================================================================
@@ -3056,6 +4086,293 @@ vbios.$define({
   ]
 });
 
+// ATOM_PPLIB_R600_CLOCK_INFO
+// ATOM_PPLIB_RS780_CLOCK_INFO
+// ATOM_PPLIB_EVERGREEN_CLOCK_INFO
+// ATOM_PPLIB_SI_CLOCK_INFO
+// ATOM_PPLIB_CI_CLOCK_INFO
+// ATOM_PPLIB_SUMO_CLOCK_INFO
+// ATOM_PPLIB_KV_CLOCK_INFO
+// ATOM_PPLIB_CZ_CLOCK_INFO
+//   - A union, the layout depends on ASIC family, which is not stored in the
+//     table. Select it by passing `versions: { ClockInfo: "SI" }` to reader,
+//     updater, and writer, otherwise ClockInfo entries have no members.
+vbios.$define({
+  $name: "ClockInfo",
+  $members: []
+});
+
+vbios.$define({
+  $extend: vbios.ClockInfo,
+  $version: ["R600"],
+  $members: [
+    { $name: "SocClockLow"                    , $type: U16 },
+    { $name: "SocClockHigh"                   , $type: U8  },
+    { $name: "MemClockLow"                    , $type: U16 },
+    { $name: "MemClockHigh"                   , $type: U8  },
+    { $name: "Vddc"                           , $type: U16 },
+    { $name: "Reserved1"                      , $type: U16 },
+    { $name: "Reserved2"                      , $type: U16 },
+    { $name: "Flags"                          , $type: U32 }
+  ]
+});
+
+vbios.$define({
+  $extend: vbios.ClockInfo,
+  $version: ["RS780"],
+  $members: [
+    { $name: "LowSocClockLow"                 , $type: U16 },
+    { $name: "LowSocClockHigh"                , $type: U8  },
+    { $name: "HighSocClockLow"                , $type: U16 },
+    { $name: "HighSocClockHigh"               , $type: U8  },
+    { $name: "MemClockLow"                    , $type: U16 },
+    { $name: "MemClockHigh"                   , $type: U8  },
+    { $name: "Reserved1"                      , $type: U8  },
+    { $name: "Vddc"                           , $type: U16 },
+    { $name: "MaxHTLinkWidth"                 , $type: U8  },
+    { $name: "MinHTLinkWidth"                 , $type: U8  },
+    { $name: "HTLinkFreq"                     , $type: U16 },
+    { $name: "Flags"                          , $type: U32 }
+  ]
+});
+
+vbios.$define({
+  $extend: vbios.ClockInfo,
+  $version: ["Evergreen"],
+  $members: [
+    { $name: "SocClockLow"                    , $type: U16 },
+    { $name: "SocClockHigh"                   , $type: U8  },
+    { $name: "MemClockLow"                    , $type: U16 },
+    { $name: "MemClockHigh"                   , $type: U8  },
+    { $name: "Vddc"                           , $type: U16 },
+    { $name: "Vddci"                          , $type: U16 },
+    { $name: "Reserved1"                      , $type: U16 },
+    { $name: "Flags"                          , $type: U32 }
+  ]
+});
+
+vbios.$define({
+  $extend: vbios.ClockInfo,
+  $version: ["SI"],
+  $members: [
+    { $name: "SocClockLow"                    , $type: U16 },
+    { $name: "SocClockHigh"                   , $type: U8  },
+    { $name: "MemClockLow"                    , $type: U16 },
+    { $name: "MemClockHigh"                   , $type: U8  },
+    { $name: "Vddc"                           , $type: U16 },
+    { $name: "Vddci"                          , $type: U16 },
+    { $name: "PCIEGen"                        , $type: U8  },
+    { $name: "Reserved1"                      , $type: U8  },
+    { $name: "Flags"                          , $type: U32 }
+  ]
+});
+
+vbios.$define({
+  $extend: vbios.ClockInfo,
+  $version: ["CI"],
+  $members: [
+    { $name: "SocClockLow"                    , $type: U16 },
+    { $name: "SocClockHigh"                   , $type: U8  },
+    { $name: "MemClockLow"                    , $type: U16 },
+    { $name: "MemClockHigh"                   , $type: U8  },
+    { $name: "PCIEGen"                        , $type: U8  },
+    { $name: "PCIELane"                       , $type: U16 }
+  ]
+});
+
+vbios.$define({
+  $extend: vbios.ClockInfo,
+  $version: ["Sumo"],
+  $members: [
+    { $name: "SocClockLow"                    , $type: U16 }, // In [10kHz] unit.
+    { $name: "SocClockHigh"                   , $type: U8  },
+    { $name: "VddcIndex"                      , $type: U8  }, // 2-bit Vddc index.
+    { $name: "TDPLimit"                       , $type: U16 },
+    { $name: "Reserved1"                      , $type: U16 },
+    { $name: "Reserved2"                      , $type: U32 },
+    { $name: "Reserved3"                      , $type: U32 }
+  ]
+});
+
+vbios.$define({
+  $extend: vbios["ClockInfo$Sumo"],
+  $version: ["KV"]
+});
+
+vbios.$define({
+  $extend: vbios.ClockInfo,
+  $version: ["CZ"],
+  $members: [
+    { $name: "Index"                          , $type: U8  },
+    { $name: "Reserved1"                      , $type: U24 }
+  ]
+});
+
+// ATOM_PPLIB_NONCLOCK_INFO
+vbios.$define({
+  $name: "NonClockInfo",
+  $members: [
+    { $name: "Classification"                 , $type: U16 },
+    { $name: "MinTemperature"                 , $type: U8  },
+    { $name: "MaxTemperature"                 , $type: U8  },
+    { $name: "CapsAndSettings"                , $type: U32 },
+    { $name: "RequiredPower"                  , $type: U8  },
+    { $name: "Classification2"                , $type: U16 },
+    { $name: "VCLK"                           , $type: U32 },
+    { $name: "DCLK"                           , $type: U32 },
+    { $name: "Reserved1"                      , $type: U8  },
+    { $name: "Reserved2"                      , $type: U32 }
+  ]
+});
+
+// Returns the number of entries of a legacy ClockInfo / NonClockInfo table,
+// which is not stored in the table. It's deduced from indexes used by states
+// of the PowerPlay table, which is the parent of the table.
+function legacyInfoCount(parents, indexesOf) {
+  const pp = parents[parents.length - 1];
+  const states = pp && pp.StateTable && pp.StateTable.Entries;
+
+  var count = 0;
+  if (states) {
+    states.forEach(function(state) {
+      indexesOf(state).forEach(function(index) { count = Math.max(count, index + 1); });
+    });
+  }
+  return count;
+}
+
+// ATOM_PPLIB_STATE
+vbios.$define({
+  $name: "LegacyStateEntry",
+  $members: [
+    { $name: "NonClockStateIndex"             , $type: U8  },
+    { $name: "ClockStateIndices"              , $type: Arr, $ref: U8, $length: "$parent.$parent.StateEntrySize - 1" }
+  ]
+});
+
+vbios.$define({
+  $name: "LegacyStateTable",
+  $members: [
+    { $name: "Entries"                        , $type: Arr, $ref: vbios.LegacyStateEntry, $length: "$parent.NumStates", $stride: "$parent.StateEntrySize" }
+  ]
+});
+
+vbios.$define({
+  $name: "LegacyClockInfoTable",
+  $members: [
+    { $name: "Entries"                        , $type: Arr, $ref: vbios.ClockInfo, $stride: "$parent.ClockInfoSize", $length: function(object, parents) {
+      return legacyInfoCount(parents, function(state) { return state.ClockStateIndices; });
+    }}
+  ]
+});
+
+vbios.$define({
+  $name: "LegacyNonClockInfoTable",
+  $members: [
+    { $name: "Entries"                        , $type: Arr, $ref: vbios.NonClockInfo, $stride: "$parent.NonClockSize", $length: function(object, parents) {
+      return legacyInfoCount(parents, function(state) { return [state.NonClockStateIndex]; });
+    }}
+  ]
+});
+
+// ATOM_PPLIB_STATE_V2
+vbios.$define({
+  $name: "StateArrayEntry",
+  $members: [
+    { $name: "NumDPMLevels"                   , $type: U8  },
+    { $name: "NonClockInfoIndex"              , $type: U8  },
+    { $name: "ClockInfoIndices"               , $type: Arr, $ref: U8, $length: "NumDPMLevels" }
+  ]
+});
+
+// StateArray
+vbios.$define({
+  $name: "StateArray",
+  $members: [
+    { $name: "NumEntries"                     , $type: U8  },
+    { $name: "Entries"                        , $type: Arr, $ref: vbios.StateArrayEntry, $length: "NumEntries" }
+  ]
+});
+
+// ClockInfoArray
+vbios.$define({
+  $name: "ClockInfoArray",
+  $members: [
+    { $name: "NumEntries"                     , $type: U8  },
+    { $name: "EntrySize"                      , $type: U8  },
+    { $name: "Entries"                        , $type: Arr, $ref: vbios.ClockInfo, $length: "NumEntries", $stride: "EntrySize" }
+  ]
+});
+
+// NonClockInfoArray
+vbios.$define({
+  $name: "NonClockInfoArray",
+  $members: [
+    { $name: "NumEntries"                     , $type: U8  },
+    { $name: "EntrySize"                      , $type: U8  },
+    { $name: "Entries"                        , $type: Arr, $ref: vbios.NonClockInfo, $length: "NumEntries", $stride: "EntrySize" }
+  ]
+});
+
+// ATOM_PPLIB_Clock_Voltage_Dependency_Record
+vbios.$define({
+  $name: "ClockVoltageDependencyEntry",
+  $members: [
+    { $name: "ClockLow"                       , $type: U16 },
+    { $name: "ClockHigh"                      , $type: U8  },
+    { $name: "Voltage"                        , $type: U16 }
+  ]
+});
+
+// ATOM_PPLIB_Clock_Voltage_Dependency_Table
+vbios.$define({
+  $name: "ClockVoltageDependencyTable",
+  $members: [
+    { $name: "NumEntries"                     , $type: U8  },
+    { $name: "Entries"                        , $type: Arr, $ref: vbios.ClockVoltageDependencyEntry, $length: "NumEntries" }
+  ]
+});
+
+// ATOM_PPLIB_Clock_Voltage_Limit_Record
+vbios.$define({
+  $name: "ClockVoltageLimitEntry",
+  $members: [
+    { $name: "SocClockLow"                    , $type: U16 },
+    { $name: "SocClockHigh"                   , $type: U8  },
+    { $name: "MemClockLow"                    , $type: U16 },
+    { $name: "MemClockHigh"                   , $type: U8  },
+    { $name: "Vddc"                           , $type: U16 },
+    { $name: "Vddci"                          , $type: U16 }
+  ]
+});
+
+// ATOM_PPLIB_Clock_Voltage_Limit_Table
+vbios.$define({
+  $name: "ClockVoltageLimitTable",
+  $members: [
+    { $name: "NumEntries"                     , $type: U8  },
+    { $name: "Entries"                        , $type: Arr, $ref: vbios.ClockVoltageLimitEntry, $length: "NumEntries" }
+  ]
+});
+
+// ATOM_PPLIB_THERMAL_STATE
+vbios.$define({
+  $name: "ThermalState",
+  $members: [
+    { $name: "MinTemperature"                 , $type: U8  },
+    { $name: "MaxTemperature"                 , $type: U8  },
+    { $name: "ThermalAction"                  , $type: U8  }
+  ]
+});
+
+//   - The number of entries is stored in the PowerPlay table.
+vbios.$define({
+  $name: "CustomThermalPolicyTable",
+  $members: [
+    { $name: "Entries"                        , $type: Arr, $ref: vbios.ThermalState, $length: "$parent.NumCustomThermalPolicyEntries" }
+  ]
+});
+
 // ATOM_PPLIB_EXTENDEDHEADER
 //   - Only used by PowerPlay v6 and less.
 vbios.$define({
@@ -3092,16 +4409,16 @@ vbios.$define({
     { $name: "StateEntrySize"                 , $type: U8  },
     { $name: "ClockInfoSize"                  , $type: U8  },
     { $name: "NonClockSize"                   , $type: U8  },
-    { $name: "StateTable"                     , $type: U16, $ref: vbios.StateTable },
-    { $name: "ClockInfoTable"                 , $type: U16, $ref: TODO_UNDEFINED },
-    { $name: "NonClockInfoTable"              , $type: U16, $ref: TODO_UNDEFINED },
+    { $name: "StateTable"                     , $type: U16, $ref: vbios.LegacyStateTable },
+    { $name: "ClockInfoTable"                 , $type: U16, $ref: vbios.LegacyClockInfoTable },
+    { $name: "NonClockInfoTable"              , $type: U16, $ref: vbios.LegacyNonClockInfoTable },
     { $name: "BackBiasTime"                   , $type: U16 },
     { $name: "VoltageTime"                    , $type: U16 },
     { $name: "TableSize"                      , $type: U16 },
     { $name: "PlatformCaps"                   , $type: U32 },
     { $name: "ThermalController"              , $type: vbios.ThermalControllerNoHeader },
-    { $name: "BootClockTable"                 , $type: U16, $ref: TODO_UNDEFINED },
-    { $name: "BootNonClockTable"              , $type: U16, $ref: TODO_UNDEFINED }
+    { $name: "BootClockTable"                 , $type: U16, $ref: vbios.ClockInfo },
+    { $name: "BootNonClockTable"              , $type: U16, $ref: vbios.NonClockInfo }
   ]
 });
 
@@ -3111,7 +4428,7 @@ vbios.$define({
   $version: [2],
   $members: [
     { $name: "NumCustomThermalPolicyEntries"  , $type: U8  },
-    { $name: "CustomThermalPolicy"            , $type: U16, $ref: TODO_UNDEFINED }
+    { $name: "CustomThermalPolicy"            , $type: U16, $ref: vbios.CustomThermalPolicyTable }
   ]
 });
 
@@ -3133,12 +4450,12 @@ vbios.$define({
   $members: [
     { $name: "GoldenPPId"                     , $type: U32 },
     { $name: "GoldenRevision"                 , $type: U32 },
-    { $name: "VddcDependencyOnSCLK"           , $type: U16, $ref: TODO_UNDEFINED },
-    { $name: "VddciDependencyOnMCLK"          , $type: U16, $ref: TODO_UNDEFINED },
-    { $name: "VddcDependencyOnMCLK"           , $type: U16, $ref: TODO_UNDEFINED },
-    { $name: "MaxClockVoltageOnDC"            , $type: U16, $ref: TODO_UNDEFINED },
+    { $name: "VddcDependencyOnSCLK"           , $type: U16, $ref: vbios.ClockVoltageDependencyTable },
+    { $name: "VddciDependencyOnMCLK"          , $type: U16, $ref: vbios.ClockVoltageDependencyTable },
+    { $name: "VddcDependencyOnMCLK"           , $type: U16, $ref: vbios.ClockVoltageDependencyTable },
+    { $name: "MaxClockVoltageOnDC"            , $type: U16, $ref: vbios.ClockVoltageLimitTable },
     { $name: "VddcPhaseSheddingLimitsTable"   , $type: U16, $ref: vbios.PhaseSheddingLimitsTable },
-    { $name: "MvddDependencyOnMCLK"           , $type: U16, $ref: TODO_UNDEFINED }
+    { $name: "MvddDependencyOnMCLK"           , $type: U16, $ref: vbios.ClockVoltageDependencyTable }
   ]
 });
 
@@ -3157,6 +4474,52 @@ vbios.$define({
   ]
 });
 
+// ATOM_PPLIB_POWERPLAYTABLE5 (SI / CI)
+//   - Table format revision 6 uses the same layout as ATOM_PPLIB_POWERPLAYTABLE5,
+//     but states, clock infos, and non-clock infos are stored in StateArray,
+//     ClockInfoArray, and NonClockInfoArray.
+vbios.$define({
+  $extend: vbios.PowerPlayTable,
+  $version: [6],
+  $members: [
+    { $name: "RevisionId"                     , $type: U8  },
+    { $name: "NumStates"                      , $type: U8  },
+    { $name: "StateEntrySize"                 , $type: U8  },
+    { $name: "ClockInfoSize"                  , $type: U8  },
+    { $name: "NonClockSize"                   , $type: U8  },
+    { $name: "StateTable"                     , $type: U16, $ref: vbios.StateArray },
+    { $name: "ClockInfoTable"                 , $type: U16, $ref: vbios.ClockInfoArray },
+    { $name: "NonClockInfoTable"              , $type: U16, $ref: vbios.NonClockInfoArray },
+    { $name: "BackBiasTime"                   , $type: U16 },
+    { $name: "VoltageTime"                    , $type: U16 },
+    { $name: "TableSize"                      , $type: U16 },
+    { $name: "PlatformCaps"                   , $type: U32 },
+    { $name: "ThermalController"              , $type: vbios.ThermalControllerNoHeader },
+    { $name: "BootClockTable"                 , $type: U16, $ref: vbios.ClockInfo },
+    { $name: "BootNonClockTable"              , $type: U16, $ref: vbios.NonClockInfo },
+    { $name: "NumCustomThermalPolicyEntries"  , $type: U8  },
+    { $name: "CustomThermalPolicy"            , $type: U16, $ref: vbios.CustomThermalPolicyTable },
+    { $name: "FormatId"                       , $type: U16 },
+    { $name: "FanTable"                       , $type: U16, $ref: vbios.FanTable },
+    { $name: "ExtendedHeader"                 , $type: U16, $ref: vbios.PowerPlayExtendedTable },
+    { $name: "GoldenPPId"                     , $type: U32 },
+    { $name: "GoldenRevision"                 , $type: U32 },
+    { $name: "VddcDependencyOnSCLK"           , $type: U16, $ref: vbios.ClockVoltageDependencyTable },
+    { $name: "VddciDependencyOnMCLK"          , $type: U16, $ref: vbios.ClockVoltageDependencyTable },
+    { $name: "VddcDependencyOnMCLK"           , $type: U16, $ref: vbios.ClockVoltageDependencyTable },
+    { $name: "MaxClockVoltageOnDC"            , $type: U16, $ref: vbios.ClockVoltageLimitTable },
+    { $name: "VddcPhaseSheddingLimitsTable"   , $type: U16, $ref: vbios.PhaseSheddingLimitsTable },
+    { $name: "MvddDependencyOnMCLK"           , $type: U16, $ref: vbios.ClockVoltageDependencyTable },
+    { $name: "TDPLimit"                       , $type: U32 },
+    { $name: "NearTDPLimit"                   , $type: U32 },
+    { $name: "SQRampingThreshold"             , $type: U32 },
+    { $name: "CACLeakageTable"                , $type: U16, $ref: vbios.CACLeakageTable },
+    { $name: "CACLeakage"                     , $type: U32 },
+    { $name: "TDPODLimit"                     , $type: U16 },
+    { $name: "LoadLineSlope"                  , $type: U16 }  // In [mohm * 100].
+  ]
+});
+
 // _ATOM_Tonga_POWERPLAYTABLE
 vbios.$define({
   $extend: vbios.PowerPlayTable,
@@ -3248,6 +4611,433 @@ vbios.$define({
   ]
 });
 
+// ATOM_VEGA20_POWER_SAVING_CLOCK_RECORD
+vbios.$define({
+  $name: "Vega20PowerSavingClockTable",
+  $members: [
+    { $name: "TableRevision"                  , $type: U8  },
+    { $name: "PowerSavingClockCount"          , $type: U32 },
+    { $name: "PowerSavingClockMax"            , $type: Arr, $ref: U32, $length: 16 }, // In [MHz].
+    { $name: "PowerSavingClockMin"            , $type: Arr, $ref: U32, $length: 16 }  // In [MHz].
+  ]
+});
+
+// ATOM_VEGA20_OVERDRIVE8_RECORD
+vbios.$define({
+  $name: "Vega20OverDrive8Table",
+  $members: [
+    { $name: "ODTableRevision"                , $type: U8  },
+    { $name: "ODFeatureCount"                 , $type: U32 },
+    { $name: "ODFeatureCapabilities"          , $type: Arr, $ref: U8 , $length: 32 }, // Indexed by ATOM_VEGA20_ODFEATURE_ID.
+    { $name: "ODSettingCount"                 , $type: U32 },
+    { $name: "ODSettingsMax"                  , $type: Arr, $ref: U32, $length: 32 }, // Indexed by ATOM_VEGA20_ODSETTING_ID.
+    { $name: "ODSettingsMin"                  , $type: Arr, $ref: U32, $length: 32 }  // Indexed by ATOM_VEGA20_ODSETTING_ID.
+  ]
+});
+
+// smu_11_0_power_saving_clock_table
+vbios.$define({
+  $name: "SMU11PowerSavingClockTable",
+  $members: [
+    { $name: "Revision"                       , $type: U8  },
+    { $name: "Reserved"                       , $type: Arr, $ref: U8 , $length: 3 },
+    { $name: "Count"                          , $type: U32 },
+    { $name: "Max"                            , $type: Arr, $ref: U32, $length: 16 },
+    { $name: "Min"                            , $type: Arr, $ref: U32, $length: 16 }
+  ]
+});
+
+// smu_11_0_overdrive_table
+vbios.$define({
+  $name: "SMU11OverDriveTable",
+  $members: [
+    { $name: "Revision"                       , $type: U8  },
+    { $name: "Reserved"                       , $type: Arr, $ref: U8 , $length: 3 },
+    { $name: "FeatureCount"                   , $type: U32 },
+    { $name: "SettingCount"                   , $type: U32 },
+    { $name: "Cap"                            , $type: Arr, $ref: U8 , $length: 32 }, // Indexed by SMU_11_0_ODFEATURE_ID.
+    { $name: "Max"                            , $type: Arr, $ref: U32, $length: 32 }, // Indexed by SMU_11_0_ODSETTING_ID.
+    { $name: "Min"                            , $type: Arr, $ref: U32, $length: 32 }  // Indexed by SMU_11_0_ODSETTING_ID.
+  ]
+});
+
+// LinearInt_t
+vbios.$define({
+  $name: "SMULinearInt",
+  $members: [
+    { $name: "M"                              , $type: F32 },
+    { $name: "B"                              , $type: F32 }
+  ]
+});
+
+// QuadraticInt_t
+vbios.$define({
+  $name: "SMUQuadraticInt",
+  $members: [
+    { $name: "A"                              , $type: F32 },
+    { $name: "B"                              , $type: F32 },
+    { $name: "C"                              , $type: F32 }
+  ]
+});
+
+// DpmDescriptor_t (SMU11 - Vega20)
+vbios.$define({
+  $name: "Vega20DpmDescriptor",
+  $members: [
+    { $name: "VoltageMode"                    , $type: U8  }, // 0 - AVFS only, 1 - min(AVFS, SS), 2 - SS only.
+    { $name: "SnapToDiscrete"                 , $type: U8  }, // 0 - Fine grained DPM, 1 - Discrete DPM.
+    { $name: "NumDiscreteLevels"              , $type: U8  },
+    { $name: "Padding"                        , $type: U8  },
+    { $name: "ConversionToAvfsClk"            , $type: vbios.SMULinearInt },
+    { $name: "SsCurve"                        , $type: vbios.SMUQuadraticInt }
+  ]
+});
+
+// PPTable_t (SMU11 - Vega20)
+//   - Described up to the fan control parameters. AVFS, BTC, and board
+//     parameters that follow stay undecoded and are kept as is.
+vbios.$define({
+  $name: "Vega20PPTable",
+  $members: [
+    { $name: "Version"                        , $type: U32 },
+    { $name: "FeaturesToRun"                  , $type: Arr, $ref: U32, $length: 2 },
+    { $name: "SocketPowerLimitAc0"            , $type: U16 }, // In [W].
+    { $name: "SocketPowerLimitAc0Tau"         , $type: U16 }, // In [ms].
+    { $name: "SocketPowerLimitAc1"            , $type: U16 }, // In [W].
+    { $name: "SocketPowerLimitAc1Tau"         , $type: U16 }, // In [ms].
+    { $name: "SocketPowerLimitAc2"            , $type: U16 }, // In [W].
+    { $name: "SocketPowerLimitAc2Tau"         , $type: U16 }, // In [ms].
+    { $name: "SocketPowerLimitAc3"            , $type: U16 }, // In [W].
+    { $name: "SocketPowerLimitAc3Tau"         , $type: U16 }, // In [ms].
+    { $name: "SocketPowerLimitDc"             , $type: U16 }, // In [W].
+    { $name: "SocketPowerLimitDcTau"          , $type: U16 }, // In [ms].
+    { $name: "TdcLimitSoc"                    , $type: U16 }, // In [A].
+    { $name: "TdcLimitSocTau"                 , $type: U16 }, // In [ms].
+    { $name: "TdcLimitGfx"                    , $type: U16 }, // In [A].
+    { $name: "TdcLimitGfxTau"                 , $type: U16 }, // In [ms].
+    { $name: "TedgeLimit"                     , $type: U16 }, // In [C].
+    { $name: "ThotspotLimit"                  , $type: U16 }, // In [C].
+    { $name: "ThbmLimit"                      , $type: U16 }, // In [C].
+    { $name: "TvrGfxLimit"                    , $type: U16 }, // In [C].
+    { $name: "TvrMemLimit"                    , $type: U16 }, // In [C].
+    { $name: "Tliquid1Limit"                  , $type: U16 }, // In [C].
+    { $name: "Tliquid2Limit"                  , $type: U16 }, // In [C].
+    { $name: "TplxLimit"                      , $type: U16 }, // In [C].
+    { $name: "FitLimit"                       , $type: U32 },
+    { $name: "PpmPowerLimit"                  , $type: U16 },
+    { $name: "PpmTemperatureThreshold"        , $type: U16 },
+    { $name: "MemoryOnPackage"                , $type: U8  },
+    { $name: "Padding8Limits"                 , $type: U8  },
+    { $name: "TvrSocLimit"                    , $type: U16 }, // In [C].
+    { $name: "UlvVoltageOffsetSoc"            , $type: U16 }, // In [mV].
+    { $name: "UlvVoltageOffsetGfx"            , $type: U16 }, // In [mV].
+    { $name: "UlvSmnClockDid"                 , $type: U8  },
+    { $name: "UlvMp1ClockDid"                 , $type: U8  },
+    { $name: "UlvGfxClockBypass"              , $type: U8  },
+    { $name: "Padding234"                     , $type: U8  },
+    { $name: "MinVoltageGfx"                  , $type: U16 }, // In [mV * 4].
+    { $name: "MinVoltageSoc"                  , $type: U16 }, // In [mV * 4].
+    { $name: "MaxVoltageGfx"                  , $type: U16 }, // In [mV * 4].
+    { $name: "MaxVoltageSoc"                  , $type: U16 }, // In [mV * 4].
+    { $name: "LoadLineResistanceGfx"          , $type: U16 },
+    { $name: "LoadLineResistanceSoc"          , $type: U16 },
+    { $name: "DpmDescriptor"                  , $type: Arr, $ref: vbios.Vega20DpmDescriptor, $length: 11 }, // Indexed by PPCLK_e.
+    { $name: "FreqTableGfx"                   , $type: Arr, $ref: U16, $length: 16 }, // In [MHz].
+    { $name: "FreqTableVclk"                  , $type: Arr, $ref: U16, $length: 8  }, // In [MHz].
+    { $name: "FreqTableDclk"                  , $type: Arr, $ref: U16, $length: 8  }, // In [MHz].
+    { $name: "FreqTableEclk"                  , $type: Arr, $ref: U16, $length: 8  }, // In [MHz].
+    { $name: "FreqTableSocclk"                , $type: Arr, $ref: U16, $length: 8  }, // In [MHz].
+    { $name: "FreqTableUclk"                  , $type: Arr, $ref: U16, $length: 4  }, // In [MHz].
+    { $name: "FreqTableFclk"                  , $type: Arr, $ref: U16, $length: 8  }, // In [MHz].
+    { $name: "FreqTableDcefclk"               , $type: Arr, $ref: U16, $length: 8  }, // In [MHz].
+    { $name: "FreqTableDispclk"               , $type: Arr, $ref: U16, $length: 8  }, // In [MHz].
+    { $name: "FreqTablePixclk"                , $type: Arr, $ref: U16, $length: 8  }, // In [MHz].
+    { $name: "FreqTablePhyclk"                , $type: Arr, $ref: U16, $length: 8  }, // In [MHz].
+    { $name: "DcModeMaxFreq"                  , $type: Arr, $ref: U16, $length: 11 }, // In [MHz], indexed by PPCLK_e.
+    { $name: "Padding8Clks"                   , $type: U16 },
+    { $name: "Mp0clkFreq"                     , $type: Arr, $ref: U16, $length: 2  }, // In [MHz].
+    { $name: "Mp0DpmVoltage"                  , $type: Arr, $ref: U16, $length: 2  }, // In [mV * 4].
+    { $name: "GfxclkFidle"                    , $type: U16 }, // In [MHz].
+    { $name: "GfxclkSlewRate"                 , $type: U16 },
+    { $name: "CksEnableFreq"                  , $type: U16 },
+    { $name: "Padding789"                     , $type: U16 },
+    { $name: "CksVoltageOffset"               , $type: vbios.SMUQuadraticInt },
+    { $name: "Padding567"                     , $type: Arr, $ref: U8 , $length: 4  },
+    { $name: "GfxclkDsMaxFreq"                , $type: U16 }, // In [MHz].
+    { $name: "GfxclkSource"                   , $type: U8  }, // 0 - PLL, 1 - AFLL.
+    { $name: "Padding456"                     , $type: U8  },
+    { $name: "LowestUclkReservedForUlv"       , $type: U8  },
+    { $name: "Padding8Uclk"                   , $type: Arr, $ref: U8 , $length: 3  },
+    { $name: "PcieGenSpeed"                   , $type: Arr, $ref: U8 , $length: 2  }, // 0 - Gen1, 1 - Gen2, 2 - Gen3, 3 - Gen4.
+    { $name: "PcieLaneCount"                  , $type: Arr, $ref: U8 , $length: 2  }, // 1 - x1, 2 - x2, 3 - x4, 4 - x8, 5 - x12, 6 - x16.
+    { $name: "LclkFreq"                       , $type: Arr, $ref: U16, $length: 2  }, // In [MHz].
+    { $name: "EnableTdpm"                     , $type: U16 },
+    { $name: "TdpmHighHystTemperature"        , $type: U16 },
+    { $name: "TdpmLowHystTemperature"         , $type: U16 },
+    { $name: "GfxclkFreqHighTempLimit"        , $type: U16 }, // In [MHz].
+    { $name: "FanStopTemp"                    , $type: U16 }, // In [C].
+    { $name: "FanStartTemp"                   , $type: U16 }, // In [C].
+    { $name: "FanGainEdge"                    , $type: U16 },
+    { $name: "FanGainHotspot"                 , $type: U16 },
+    { $name: "FanGainLiquid"                  , $type: U16 },
+    { $name: "FanGainVrGfx"                   , $type: U16 },
+    { $name: "FanGainVrSoc"                   , $type: U16 },
+    { $name: "FanGainPlx"                     , $type: U16 },
+    { $name: "FanGainHbm"                     , $type: U16 },
+    { $name: "FanPwmMin"                      , $type: U16 },
+    { $name: "FanAcousticLimitRpm"            , $type: U16 },
+    { $name: "FanThrottlingRpm"               , $type: U16 },
+    { $name: "FanMaximumRpm"                  , $type: U16 },
+    { $name: "FanTargetTemperature"           , $type: U16 }, // In [C].
+    { $name: "FanTargetGfxclk"                , $type: U16 }, // In [MHz].
+    { $name: "FanZeroRpmEnable"               , $type: U8  },
+    { $name: "FanTachEdgePerRev"              , $type: U8  },
+    { $name: "FuzzyFanErrorSetDelta"          , $type: I16 },
+    { $name: "FuzzyFanErrorRateSetDelta"      , $type: I16 },
+    { $name: "FuzzyFanPwmSetDelta"            , $type: I16 },
+    { $name: "FuzzyFanReserved"               , $type: U16 }
+  ]
+});
+
+// PPTable_t (SMU11 - Navi10)
+//   - Only the leading part (features and limits) is described. Voltages,
+//     DPM descriptors, and the rest of the table stay undecoded and are kept
+//     as is.
+vbios.$define({
+  $name: "SMU11PPTable",
+  $members: [
+    { $name: "Version"                        , $type: U32 },
+    { $name: "FeaturesToRun"                  , $type: Arr, $ref: U32, $length: 2 },
+    { $name: "SocketPowerLimitAc"             , $type: Arr, $ref: U16, $length: 4 }, // In [W].
+    { $name: "SocketPowerLimitAcTau"          , $type: Arr, $ref: U16, $length: 4 }, // In [ms].
+    { $name: "SocketPowerLimitDc"             , $type: Arr, $ref: U16, $length: 4 }, // In [W].
+    { $name: "SocketPowerLimitDcTau"          , $type: Arr, $ref: U16, $length: 4 }, // In [ms].
+    { $name: "TdcLimitSoc"                    , $type: U16 }, // In [A].
+    { $name: "TdcLimitSocTau"                 , $type: U16 }, // In [ms].
+    { $name: "TdcLimitGfx"                    , $type: U16 }, // In [A].
+    { $name: "TdcLimitGfxTau"                 , $type: U16 }, // In [ms].
+    { $name: "TedgeLimit"                     , $type: U16 }, // In [C].
+    { $name: "ThotspotLimit"                  , $type: U16 }, // In [C].
+    { $name: "TmemLimit"                      , $type: U16 }, // In [C].
+    { $name: "TvrGfxLimit"                    , $type: U16 }, // In [C].
+    { $name: "TvrMem0Limit"                   , $type: U16 }, // In [C].
+    { $name: "TvrMem1Limit"                   , $type: U16 }, // In [C].
+    { $name: "TvrSocLimit"                    , $type: U16 }, // In [C].
+    { $name: "Tliquid0Limit"                  , $type: U16 }, // In [C].
+    { $name: "Tliquid1Limit"                  , $type: U16 }, // In [C].
+    { $name: "TplxLimit"                      , $type: U16 }, // In [C].
+    { $name: "FitLimit"                       , $type: U32 },
+    { $name: "PpmPowerLimit"                  , $type: U16 },
+    { $name: "PpmTemperatureThreshold"        , $type: U16 },
+    { $name: "ThrottlerControlMask"           , $type: U32 },
+    { $name: "FwDStateMask"                   , $type: U32 }
+  ]
+});
+
+// PPTable_t (SMU11 - Sienna Cichlid)
+//   - Only the leading part (features and limits) is described. The rest of
+//     the table stays undecoded and is kept as is.
+vbios.$define({
+  $name: "SiennaCichlidPPTable",
+  $members: [
+    { $name: "Version"                        , $type: U32 },
+    { $name: "FeaturesToRun"                  , $type: Arr, $ref: U32, $length: 2 },
+    { $name: "SocketPowerLimitAc"             , $type: Arr, $ref: U16, $length: 4 }, // In [W].
+    { $name: "SocketPowerLimitAcTau"          , $type: Arr, $ref: U16, $length: 4 }, // In [ms].
+    { $name: "SocketPowerLimitDc"             , $type: Arr, $ref: U16, $length: 4 }, // In [W].
+    { $name: "SocketPowerLimitDcTau"          , $type: Arr, $ref: U16, $length: 4 }, // In [ms].
+    { $name: "TdcLimit"                       , $type: Arr, $ref: U16, $length: 2 }, // In [A], indexed by TDC_THROTTLER_e (GFX, SOC).
+    { $name: "TdcLimitTau"                    , $type: Arr, $ref: U16, $length: 2 }, // In [ms].
+    { $name: "TemperatureLimit"               , $type: Arr, $ref: U16, $length: 10 }, // In [C], indexed by TEMP_e.
+    { $name: "FitLimit"                       , $type: U32 },
+    { $name: "PpmPowerLimit"                  , $type: U16 },
+    { $name: "PpmTemperatureThreshold"        , $type: U16 },
+    { $name: "ThrottlerControlMask"           , $type: U32 },
+    { $name: "FwDStateMask"                   , $type: U32 }
+  ]
+});
+
+// smu_11_0_7_overdrive_table
+vbios.$define({
+  $name: "SiennaCichlidOverDriveTable",
+  $members: [
+    { $name: "Revision"                       , $type: U8  },
+    { $name: "Reserved"                       , $type: Arr, $ref: U8 , $length: 3 },
+    { $name: "FeatureCount"                   , $type: U32 },
+    { $name: "SettingCount"                   , $type: U32 },
+    { $name: "Cap"                            , $type: Arr, $ref: U8 , $length: 32 }, // Indexed by SMU_11_0_7_ODFEATURE_CAP.
+    { $name: "Max"                            , $type: Arr, $ref: U32, $length: 64 }, // Indexed by SMU_11_0_7_ODSETTING_ID.
+    { $name: "Min"                            , $type: Arr, $ref: U32, $length: 64 }, // Indexed by SMU_11_0_7_ODSETTING_ID.
+    { $name: "PMSetting"                      , $type: Arr, $ref: I16, $length: 32 }  // Indexed by SMU_11_0_7_PWRMODE_SETTING.
+  ]
+});
+
+// PPTable_t (SMU13)
+//   - Only the leading part of SkuTable_t (features and power limits) is
+//     described. The rest of the table stays undecoded and is kept as is.
+vbios.$define({
+  $name: "SMU13PPTable",
+  $members: [
+    { $name: "Version"                        , $type: U32 },
+    { $name: "FeaturesToRun"                  , $type: Arr, $ref: U32, $length: 2 },
+    { $name: "TotalPowerConfig"               , $type: U8  },
+    { $name: "CustomerVariant"                , $type: U8  },
+    { $name: "MemoryTemperatureTypeMask"      , $type: U8  },
+    { $name: "SmartShiftVersion"              , $type: U8  },
+    { $name: "SocketPowerLimitAc"             , $type: Arr, $ref: U16, $length: 4 }, // In [W].
+    { $name: "SocketPowerLimitDc"             , $type: Arr, $ref: U16, $length: 4 }, // In [W].
+    { $name: "SocketPowerLimitSmartShift2"    , $type: U16 }, // In [W].
+    { $name: "EnableLegacyPptLimit"           , $type: U8  },
+    { $name: "UseInputTelemetry"              , $type: U8  },
+    { $name: "SmartShiftMinReportedPptinDcs"  , $type: U8  },
+    { $name: "PaddingPpt"                     , $type: U8  },
+    { $name: "VrTdcLimit"                     , $type: Arr, $ref: U16, $length: 2 }, // In [A].
+    { $name: "PlatformTdcLimit"               , $type: Arr, $ref: U16, $length: 2 }  // In [A].
+  ]
+});
+
+// smu_13_0_7_overdrive_table
+vbios.$define({
+  $name: "SMU13OverDriveTable",
+  $members: [
+    { $name: "Revision"                       , $type: U8  },
+    { $name: "Reserved"                       , $type: Arr, $ref: U8 , $length: 3 },
+    { $name: "Cap"                            , $type: Arr, $ref: U8 , $length: 32 }, // Indexed by SMU_13_0_7_ODFEATURE_CAP.
+    { $name: "Max"                            , $type: Arr, $ref: I32, $length: 64 }, // Indexed by SMU_13_0_7_ODSETTING_ID.
+    { $name: "Min"                            , $type: Arr, $ref: I32, $length: 64 }, // Indexed by SMU_13_0_7_ODSETTING_ID.
+    { $name: "PMSetting"                      , $type: Arr, $ref: I16, $length: 32 }  // Indexed by SMU_13_0_7_PWRMODE_SETTING.
+  ]
+});
+
+// ATOM_Vega20_POWERPLAYTABLE
+vbios.$define({
+  $extend: vbios.PowerPlayTable,
+  $version: [11],
+  $members: [
+    { $name: "RevisionId"                     , $type: U8  },
+    { $name: "TableSize"                      , $type: U16 }, // Size of the table without SMCPPTable.
+    { $name: "GoldenPPId"                     , $type: U32 },
+    { $name: "GoldenRevision"                 , $type: U32 },
+    { $name: "FormatId"                       , $type: U16 },
+    { $name: "PlatformCaps"                   , $type: U32 },
+    { $name: "ThermalControllerType"          , $type: U8  },
+    { $name: "SmallPowerLimit1"               , $type: U16 },
+    { $name: "SmallPowerLimit2"               , $type: U16 },
+    { $name: "BoostPowerLimit"                , $type: U16 },
+    { $name: "ODTurboPowerLimit"              , $type: U16 },
+    { $name: "ODPowerSavePowerLimit"          , $type: U16 },
+    { $name: "SoftwareShutdownTemp"           , $type: U16 },
+    { $name: "PowerSavingClockTable"          , $type: vbios.Vega20PowerSavingClockTable },
+    { $name: "OverDrive8Table"                , $type: vbios.Vega20OverDrive8Table },
+    { $name: "Reserved"                       , $type: Arr, $ref: U16, $length: 5 },
+    { $name: "SMCPPTable"                     , $type: vbios.Vega20PPTable }
+  ]
+});
+
+// smu_11_0_powerplay_table (Navi10, Navi12, Navi14)
+vbios.$define({
+  $extend: vbios.PowerPlayTable,
+  $version: [12],
+  $members: [
+    { $name: "RevisionId"                     , $type: U8  },
+    { $name: "TableSize"                      , $type: U16 }, // Size of the table without SMCPPTable.
+    { $name: "GoldenPPId"                     , $type: U32 },
+    { $name: "GoldenRevision"                 , $type: U32 },
+    { $name: "FormatId"                       , $type: U16 },
+    { $name: "PlatformCaps"                   , $type: U32 },
+    { $name: "ThermalControllerType"          , $type: U8  },
+    { $name: "SmallPowerLimit1"               , $type: U16 },
+    { $name: "SmallPowerLimit2"               , $type: U16 },
+    { $name: "BoostPowerLimit"                , $type: U16 },
+    { $name: "ODTurboPowerLimit"              , $type: U16 },
+    { $name: "ODPowerSavePowerLimit"          , $type: U16 },
+    { $name: "SoftwareShutdownTemp"           , $type: U16 },
+    { $name: "Reserved"                       , $type: Arr, $ref: U16, $length: 6 },
+    { $name: "PowerSavingClock"               , $type: vbios.SMU11PowerSavingClockTable },
+    { $name: "OverDriveTable"                 , $type: vbios.SMU11OverDriveTable },
+    { $name: "SMCPPTable"                     , $type: vbios.SMU11PPTable }
+  ]
+});
+
+// Table format revision 15 is shared by smu_11_0_7_powerplay_table (Navi21,
+// Navi22, Navi23) and smu_13_0_0 / smu_13_0_7_powerplay_table (Navi31, Navi32,
+// Navi33), which have different layouts. They are told apart by `TableSize`,
+// which is the offset of SMCPPTable and it's at a different offset in each of
+// them. Tables that match neither stay at `PowerPlayTable$15`, which only has
+// the common header.
+function powerPlayLayoutOf(object, buffer, offset) {
+  const layouts = ["SMU11", "SMU13"];
+
+  for (var i = 0; i < layouts.length; i++) {
+    const type = vbios[`PowerPlayTable$15.${layouts[i]}`];
+    const tableSize = type.SMCPPTable.$offset;
+
+    if (buffer) {
+      const sizeOffset = offset + type.TableSize.$offset;
+      if (sizeOffset + 2 <= buffer.byteLength && buffer.getUint16(sizeOffset, true) === tableSize)
+        return layouts[i];
+    }
+    else if (object.TableSize === tableSize) {
+      return layouts[i];
+    }
+  }
+
+  return "Unknown";
+}
+
+vbios.$define({
+  $extend: vbios.PowerPlayTable,
+  $version: [15],
+  $verInfo: ["TableFormatRevision", powerPlayLayoutOf]
+});
+
+// smu_11_0_7_powerplay_table (Navi21, Navi22, Navi23)
+vbios.$define({
+  $extend: vbios.PowerPlayTable$15,
+  $version: [15, "SMU11"],
+  $members: [
+    { $name: "RevisionId"                     , $type: U8  },
+    { $name: "TableSize"                      , $type: U16 }, // Size of the table without SMCPPTable.
+    { $name: "GoldenPPId"                     , $type: U32 },
+    { $name: "GoldenRevision"                 , $type: U32 },
+    { $name: "FormatId"                       , $type: U16 },
+    { $name: "PlatformCaps"                   , $type: U32 },
+    { $name: "ThermalControllerType"          , $type: U8  },
+    { $name: "SmallPowerLimit1"               , $type: U16 },
+    { $name: "SmallPowerLimit2"               , $type: U16 },
+    { $name: "BoostPowerLimit"                , $type: U16 },
+    { $name: "SoftwareShutdownTemp"           , $type: U16 },
+    { $name: "Reserved"                       , $type: Arr, $ref: U16, $length: 8 },
+    { $name: "PowerSavingClock"               , $type: vbios.SMU11PowerSavingClockTable },
+    { $name: "OverDriveTable"                 , $type: vbios.SiennaCichlidOverDriveTable },
+    { $name: "SMCPPTable"                     , $type: vbios.SiennaCichlidPPTable }
+  ]
+});
+
+// smu_13_0_0_powerplay_table / smu_13_0_7_powerplay_table (Navi31, Navi32, Navi33)
+vbios.$define({
+  $extend: vbios.PowerPlayTable$15,
+  $version: [15, "SMU13"],
+  $members: [
+    { $name: "RevisionId"                     , $type: U8  },
+    { $name: "Padding"                        , $type: U8  },
+    { $name: "TableSize"                      , $type: U16 }, // Size of the table without SMCPPTable.
+    { $name: "GoldenPPId"                     , $type: U32 },
+    { $name: "GoldenRevision"                 , $type: U32 },
+    { $name: "FormatId"                       , $type: U16 },
+    { $name: "PlatformCaps"                   , $type: U32 },
+    { $name: "ThermalControllerType"          , $type: U8  },
+    { $name: "SmallPowerLimit1"               , $type: U16 },
+    { $name: "SmallPowerLimit2"               , $type: U16 },
+    { $name: "BoostPowerLimit"                , $type: U16 },
+    { $name: "SoftwareShutdownTemp"           , $type: U16 },
+    { $name: "Reserved"                       , $type: Arr, $ref: U8 , $length: 143 },
+    { $name: "OverDriveTable"                 , $type: vbios.SMU13OverDriveTable },
+    { $name: "Padding1"                       , $type: U8  },
+    { $name: "SMCPPTable"                     , $type: vbios.SMU13PPTable }
+  ]
+});
+
 // ============================================================================
 // [MasterCommandTable]
 // ============================================================================
@@ -3378,7 +5168,12 @@ vbios.$define({
 // }
 vbios.$define({
   $name: "MasterDataTable",
-  $extend: vbios.CommonTableHeader,
+  $extend: vbios.CommonTableHeader
+});
+
+vbios.$define({
+  $extend: vbios.MasterDataTable,
+  $version: [1, 1],
   $members: [
     { $name: "UtilityPipeLine"                , $type: U16 },
     { $name: "MultimediaCapabilityInfo"       , $type: U16 , $ref: vbios.MultimediaCapabilityInfo, $flags: ABS_OFF },
@@ -3418,9 +5213,51 @@ vbios.$define({
   ]
 });
 
+// ATOM_MASTER_DATA_TABLE_V2_1 {
+//   ATOM_COMMON_TABLE_HEADER
+//   ATOM_MASTER_LIST_OF_DATA_TABLES_V2_1
+// }
+//   - Used by atomfirmware VBIOSes (Vega and newer).
 vbios.$define({
   $extend: vbios.MasterDataTable,
-  $version: [1, 1]
+  $version: [2, 1],
+  $members: [
+    { $name: "UtilityPipeLine"                , $type: U16 },
+    { $name: "MultimediaInfo"                 , $type: U16 },
+    { $name: "SMCDPMInfo"                     , $type: U16 },
+    { $name: "SWDataTable3"                   , $type: U16 },
+    { $name: "FirmwareInfo"                   , $type: U16 , $ref: vbios.FirmwareInfo            , $flags: ABS_OFF },
+    { $name: "SWDataTable5"                   , $type: U16 },
+    { $name: "LCDInfo"                        , $type: U16 },
+    { $name: "SWDataTable7"                   , $type: U16 },
+    { $name: "SMUInfo"                        , $type: U16 , $ref: vbios.SMUInfo                 , $flags: ABS_OFF },
+    { $name: "SWDataTable9"                   , $type: U16 },
+    { $name: "SWDataTable10"                  , $type: U16 },
+    { $name: "VRAMUsageByFirmware"            , $type: U16 },
+    { $name: "GPIOPinLUT"                     , $type: U16 },
+    { $name: "SWDataTable13"                  , $type: U16 },
+    { $name: "GfxInfo"                        , $type: U16 },
+    { $name: "PowerPlayTable"                 , $type: U16 , $ref: vbios.PowerPlayTable          , $flags: ABS_OFF },
+    { $name: "SWDataTable16"                  , $type: U16 },
+    { $name: "SWDataTable17"                  , $type: U16 },
+    { $name: "SWDataTable18"                  , $type: U16 },
+    { $name: "SWDataTable19"                  , $type: U16 },
+    { $name: "SWDataTable20"                  , $type: U16 },
+    { $name: "SWDataTable21"                  , $type: U16 },
+    { $name: "DisplayObjectInfo"              , $type: U16 },
+    { $name: "IndirectIOAccess"               , $type: U16 },
+    { $name: "UMCInfo"                        , $type: U16 },
+    { $name: "SWDataTable25"                  , $type: U16 },
+    { $name: "SWDataTable26"                  , $type: U16 },
+    { $name: "DCEInfo"                        , $type: U16 },
+    { $name: "VRAMInfo"                       , $type: U16 , $ref: vbios.VRAMInfo                , $flags: ABS_OFF },
+    { $name: "SWDataTable29"                  , $type: U16 },
+    { $name: "IntegratedSystemInfo"           , $type: U16 },
+    { $name: "ASICProfilingInfo"              , $type: U16 },
+    { $name: "VoltageObjectInfo"              , $type: U16 , $ref: vbios.VoltageObjectInfo       , $flags: ABS_OFF },
+    { $name: "SWDataTable33"                  , $type: U16 },
+    { $name: "SWDataTable34"                  , $type: U16 }
+  ]
 });
 
 // ============================================================================
@@ -3466,10 +5303,49 @@ vbios.$define({
   ]
 });
 
+// ATOM_ROM_HEADER_V2_2
+vbios.$define({
+  $extend: vbios["RomTable$2.1"],
+  $version: [2, 2]
+});
+
 // ============================================================================
 // [VBIOS]
 // ============================================================================
 
+// PCI_DATA_STRUCTURE
+vbios.$define({
+  $name: "PCIDataStructure",
+  $members: [
+    { $name: "Signature"                      , $type: Str, $length: 4 }, // "PCIR".
+    { $name: "VendorId"                       , $type: U16 },
+    { $name: "DeviceId"                       , $type: U16 },
+    { $name: "DeviceListOffset"               , $type: U16 },
+    { $name: "Length"                         , $type: U16 },
+    { $name: "Revision"                       , $type: U8  },
+    { $name: "ClassCode"                      , $type: U24 },
+    { $name: "ImageLength"                    , $type: U16 }, // In [512 bytes] unit.
+    { $name: "CodeRevision"                   , $type: U16 },
+    { $name: "CodeType"                       , $type: U8  }, // 0 - x86, 1 - OpenFirmware, 2 - PA-RISC, 3 - EFI.
+    { $name: "Indicator"                      , $type: U8  }, // Bit 7 - Last image in the ROM.
+    { $name: "MaxRuntimeImageLength"          , $type: U16 },
+    { $name: "ConfigUtilityCodeHeaderOffset"  , $type: U16 },
+    { $name: "DMTFCLPEntryPointOffset"        , $type: U16 }
+  ]
+});
+
+// PCI_EXPANSION_ROM_HEADER
+//   - Common header of all images (x86, EFI, ...) of a PCI expansion ROM.
+vbios.$define({
+  $name: "PCIRomHeader",
+  $flags: FLAGS.ISOLATE,
+  $members: [
+    { $name: "PCIRomSignature"                , $type: U16 },
+    { $name: "Reserved1"                      , $type: Arr, $length: 22, $ref: U8 },
+    { $name: "PCIDataStructure"               , $type: U16, $ref: vbios.PCIDataStructure, $flags: ABS_OFF }
+  ]
+});
+
 // VBIOS_ROM_HEADER
 vbios.$define({
   $name: "VBIOSTable",
@@ -3505,4 +5381,4 @@ vbios.$define({
 });
 
 }).apply(this, typeof module === "object" && module && module.exports
-  ? [module, "exports", require("./binlib.js")] : [this, "vbios", this.binlib]);
+  ? [module, "exports", require("./binlib.js"), require("./atombios.js")] : [this, "vbios", this.binlib, this.atombios]);
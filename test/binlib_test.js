@@ -131,6 +131,14 @@ ctx.$define({
 });
 assertSizeOf(ctx.StructG, 13);
 
+ctx.$define({
+  $name: "StructHex",
+  $members: [
+    { $name: "Data"         , $type: Hex, $length: 4 }
+  ]
+});
+assertSizeOf(ctx.StructHex, 4);
+
 ctx.$define({
   $name: "StructVer",
   $verInfo: ["Version"],
@@ -162,6 +170,96 @@ ctx.$define({
 });
 assertSizeOf(ctx.StructVer$2, 11);
 
+// Version 3 has two layouts, which are told apart by the byte that follows the
+// header - `Padding` is always zero, whereas `FieldA` never has a zero low byte.
+ctx.$define({
+  $extend: ctx.StructVer,
+  $version: [3],
+  $verInfo: ["Version", function(object, buffer, offset) {
+    if (buffer)
+      return buffer.getUint8(offset + 5) === 0 ? "Padded" : "Packed";
+    return hasOwn.call(object, "Padding") ? "Padded" : "Packed";
+  }]
+});
+assertSizeOf(ctx.StructVer$3, 5);
+
+ctx.$define({
+  $extend: ctx.StructVer$3,
+  $version: [3, "Packed"],
+  $members: [
+    { $name: "FieldA"       , $type: U16 }
+  ]
+});
+assertSizeOf(ctx["StructVer$3.Packed"], 7);
+
+ctx.$define({
+  $extend: ctx.StructVer$3,
+  $version: [3, "Padded"],
+  $members: [
+    { $name: "Padding"      , $type: U8  },
+    { $name: "FieldA"       , $type: U16 }
+  ]
+});
+assertSizeOf(ctx["StructVer$3.Padded"], 8);
+
+ctx.$define({
+  $name: "ComputedArray",
+  $members: [
+    { $name: "NumEntries"   , $type: U8  },
+    { $name: "BytesPerEntry", $type: U8  },
+    { $name: "Entries"      , $type: Arr, $ref: U8, $size: "NumEntries * BytesPerEntry" }
+  ]
+});
+assertSizeOf(ctx.ComputedArray, 2);
+
+ctx.$define({
+  $name: "ComputedInner",
+  $members: [
+    { $name: "TextSize"     , $type: U8  },
+    { $name: "Text"         , $type: Str, $length: "TextSize + 1" }
+  ]
+});
+assertSizeOf(ctx.ComputedInner, 1);
+
+ctx.$define({
+  $name: "ComputedOuter",
+  $members: [
+    { $name: "Count"        , $type: U8  },
+    { $name: "Inner"        , $type: U16, $ref: ctx.ComputedInner, $flags: FLAGS.RELATIVE_OFFSET },
+    { $name: "Items"        , $type: Arr, $ref: U8, $length: function(object) { return object.Count * 2; } }
+  ]
+});
+assertSizeOf(ctx.ComputedOuter, 3);
+
+ctx.$define({
+  $name: "TerminatedArray",
+  $members: [
+    { $name: "Size"         , $type: U8 , $flags: FLAGS.STRUCT_SIZE },
+    { $name: "Entries"      , $type: Arr, $ref: U8, $terminator: 0xFF, $size: "Size - $offset" }
+  ]
+});
+assertSizeOf(ctx.TerminatedArray, 1);
+
+ctx.$define({
+  $name: "ResizeArray",
+  $members: [
+    { $name: "NumEntries"   , $type: U8  },
+    { $name: "Entries"      , $type: Arr, $ref: U16, $length: "NumEntries" }
+  ]
+});
+assertSizeOf(ctx.ResizeArray, 1);
+
+ctx.$define({
+  $name: "ResizeRoot",
+  $flags: FLAGS.ISOLATE,
+  $members: [
+    { $name: "Size"         , $type: U16, $flags: FLAGS.STRUCT_SIZE },
+    { $name: "First"        , $type: U16, $ref: ctx.ResizeArray },
+    { $name: "Second"       , $type: U16, $ref: ctx.ResizeArray }
+  ]
+});
+assertSizeOf(ctx.ResizeRoot, 6);
+
 // ============================================================================
 // [Read / Write]
 // ============================================================================
@@ -284,6 +382,15 @@ assertSizeOf(ctx.StructVer$2, 11);
   assert(buf.readUInt8(6) === 0);
   assert(buf.readUInt8(7) === 0);
   assert(buf.readUInt8(8) === 0);
+
+  // Hex strings.
+  const hexBuf = new Buffer([0x01, 0xAB, 0xCD, 0xEF]);
+  const hexObj = ctx.$readObject({ buffer: hexBuf, type: ctx.StructHex });
+  assertMember(hexObj, "Data", "01ABCDEF");
+
+  hexObj.Data = "FEDC";
+  ctx.$updateObject({ buffer: hexBuf, object: hexObj });
+  assert(hexBuf.readUInt32BE(0) === 0xFEDC0000, `Updated hex string doesn't match, got '${hexBuf.toString("hex")}'`);
 })();
 
 (function() {
@@ -321,6 +428,250 @@ assertSizeOf(ctx.StructVer$2, 11);
   assertMember(obj2, "FieldC", 4);
 })();
 
+(function() {
+  console.log("Testing struct sub-versioning");
+
+  const packed = Buffer.from([0x03, 0xFF, 0x00, 0x00, 0x00, 0x22, 0x03]);
+  const padded = Buffer.from([0x03, 0xFF, 0x00, 0x00, 0x00, 0x00, 0x13, 0x03]);
+
+  const obj1 = ctx.$readObject({ buffer: packed, type: ctx.StructVer });
+  assertObject(obj1, ctx["StructVer$3.Packed"]);
+  assertMember(obj1, "FieldA", 0x0322);
+
+  const obj2 = ctx.$readObject({ buffer: padded, type: ctx.StructVer });
+  assertObject(obj2, ctx["StructVer$3.Padded"]);
+  assertMember(obj2, "FieldA", 0x0313);
+
+  // Unknown versions only have the common part decoded.
+  const obj3 = ctx.$readObject({ buffer: Buffer.from([0x04, 0xFF, 0x00, 0x00, 0x00]), type: ctx.StructVer });
+  assert(binlib.utils.isVersionResolved(obj1) && binlib.utils.isVersionResolved(obj2), "Sub-versioned objects must be resolved");
+  assert(!binlib.utils.isVersionResolved(obj3), "StructVer$4 must not be resolved");
+
+  obj2.FieldA = 0x0314;
+  ctx.$updateObject({ buffer: padded, object: obj2 });
+  assert(padded.readUInt16LE(6) === 0x0314, "StructVer$3.Padded.FieldA - failed to update");
+
+  // Sub-version of objects that were not read is selected by their members.
+  const buf = ctx.$writeObject({ type: ctx.StructVer, object: { Version: 3, Something: 0xFF, Padding: 0, FieldA: 0x0313 } });
+  assert(buf.equals(Buffer.from([0x03, 0xFF, 0x00, 0x00, 0x00, 0x00, 0x13, 0x03])), `Written buffer doesn't match, got '${buf.toString("hex")}'`);
+})();
+
+(function() {
+  console.log("Testing computed lengths");
+
+  const buf = new Buffer([
+    0x02,                   // ComputedArray.NumEntries
+    0x03,                   // ComputedArray.BytesPerEntry
+    0x01, 0x02, 0x03,       // ComputedArray.Entries[0..2]
+    0x04, 0x05, 0x06,       // ComputedArray.Entries[3..5]
+    0xFF
+  ]);
+
+  const obj = ctx.$readObject({ buffer: buf, type: ctx.ComputedArray });
+  assert(obj.Entries.length === 6, `ComputedArray.Entries must have 6 entries, not ${obj.Entries.length}`);
+  assert(obj.Entries[5] === 6, `ComputedArray.Entries[5] must be 6, not ${obj.Entries[5]}`);
+
+  obj.Entries[5] = 0x42;
+  ctx.$updateObject({ buffer: buf, object: obj });
+  assert(buf.readUInt8(7) === 0x42, "ComputedArray.Entries[5] - failed to update");
+  assert(buf.readUInt8(8) === 0xFF, "Updater cannot change bytes not used by any structure");
+
+  const buf2 = new Buffer([
+    0x01,                   // ComputedOuter.Count
+    0x05, 0x00,             // ComputedOuter.Inner (Offset to Inner)
+    0x0A, 0x0B,             // ComputedOuter.Items[0..1]
+    0x02, 0x41, 0x42, 0x43  // ComputedInner.TextSize & ComputedInner.Text
+  ]);
+
+  const obj2 = ctx.$readObject({ buffer: buf2, type: ctx.ComputedOuter });
+  assert(obj2.Items.length === 2 && obj2.Items[1] === 0x0B, "ComputedOuter.Items - failed to read");
+  assertMember(obj2.Inner, "Text", "ABC");
+
+  // Paths can access parents (the array is inside a struct that is inlined).
+  const parentType = new binlib.Struct({
+    $name: "ComputedParent",
+    $members: [
+      { $name: "Count"      , $type: U8  },
+      { $name: "Child"      , $type: new binlib.Struct({ $name: "ComputedChild", $members: [
+        { $name: "Entries"  , $type: Arr, $ref: U8, $length: "$parent.Count - 1" }
+      ]}) }
+    ]
+  });
+
+  const obj3 = ctx.$readObject({ buffer: Buffer.from([0x03, 0x07, 0x08, 0x09]), type: parentType });
+  assert(obj3.Child.Entries.length === 2 && obj3.Child.Entries[1] === 0x08, "ComputedChild.Entries - failed to read");
+
+  // Invalid expressions must fail when defining a struct.
+  var failed = false;
+  try {
+    new binlib.Struct({ $name: "Invalid", $members: [{ $name: "A", $type: Arr, $ref: U8, $length: "Count *" }] });
+  }
+  catch (ex) {
+    failed = true;
+  }
+  assert(failed, "Invalid expression must fail");
+
+  assert(binlib.compileExpression("(A + 2) * -B / 4")({ A: 4, B: 3 }, []) === -5, "compileExpression() - failed to evaluate");
+})();
+
+(function() {
+  console.log("Testing terminated arrays");
+
+  const buf = Buffer.from([
+    0x05,                   // TerminatedArray.Size
+    0x01, 0x02, 0x03,       // TerminatedArray.Entries[0..2]
+    0xFF,                   // Terminator
+    0xAA                    // Data not described by any struct
+  ]);
+
+  const obj = ctx.$readObject({ buffer: buf, type: ctx.TerminatedArray });
+  assert(obj.Entries.length === 3 && obj.Entries[2] === 3, "TerminatedArray.Entries - failed to read");
+
+  // Size bounds the array if the terminator is missing.
+  const obj2 = ctx.$readObject({ buffer: Buffer.from([0x03, 0x01, 0x02, 0x03]), type: ctx.TerminatedArray });
+  assert(obj2.Entries.length === 2, `TerminatedArray.Entries - must be bounded by Size, got ${obj2.Entries.length} entries`);
+
+  // Update keeps the terminator.
+  obj.Entries[2] = 0x33;
+  ctx.$updateObject({ buffer: buf, object: obj });
+  assert(buf.equals(Buffer.from([0x05, 0x01, 0x02, 0x33, 0xFF, 0xAA])), `Updated buffer doesn't match, got '${buf.toString("hex")}'`);
+
+  // Resize moves the terminator.
+  obj.Entries.shift();
+  const shrunk = ctx.$updateObject({ buffer: buf, object: obj, resize: true });
+  assert(shrunk.equals(Buffer.from([0x04, 0x02, 0x33, 0xFF, 0xAA])), `Shrunk buffer doesn't match, got '${shrunk.toString("hex")}'`);
+
+  // Writer adds the terminator.
+  const written = ctx.$writeObject({ type: ctx.TerminatedArray, object: { Entries: [0x07, 0x08] } });
+  assert(written.equals(Buffer.from([0x04, 0x07, 0x08, 0xFF])), `Written buffer doesn't match, got '${written.toString("hex")}'`);
+})();
+
+(function() {
+  console.log("Testing array resizing");
+
+  const buf = Buffer.from([
+    // ---- ResizeRoot ----
+    0x0F, 0x00,             // ResizeRoot.Size
+    0x06, 0x00,             // ResizeRoot.First (Offset to First)
+    0x0B, 0x00,             // ResizeRoot.Second (Offset to Second)
+
+    // ---- First ----
+    0x02,                   // First.NumEntries
+    0x01, 0x00,             // First.Entries[0]
+    0x02, 0x00,             // First.Entries[1]
+
+    // ---- Second ----
+    0x01,                   // Second.NumEntries
+    0x03, 0x00,             // Second.Entries[0]
+
+    0xFF                    // Data not described by any struct
+  ]);
+
+  // Resizing without changes must return the input buffer.
+  const obj = ctx.$readObject({ buffer: buf, type: ctx.ResizeRoot });
+  assert(ctx.$updateObject({ buffer: buf, object: obj, resize: true }) === buf, "Resize without changes must return the input buffer");
+
+  // Not resizing must keep the buffer as is.
+  obj.First.Entries.push(0x04);
+  ctx.$updateObject({ buffer: buf, object: obj });
+  assert(buf.readUInt8(6) === 2, "First.NumEntries - Must not change if not resizing");
+
+  // Grow.
+  const grown = ctx.$updateObject({ buffer: buf, object: obj, resize: true });
+  assert(grown.length === 17, `Resized buffer should be 17 bytes long, not ${grown.length}`);
+  assert(grown.readUInt16LE(0) === 17, "ResizeRoot.Size - failed to update");
+  assert(grown.readUInt16LE(2) === 6, "ResizeRoot.First - must not move");
+  assert(grown.readUInt16LE(4) === 13, "ResizeRoot.Second - failed to relocate");
+  assert(grown.readUInt8(6) === 3, "First.NumEntries - failed to update");
+  assert(grown.readUInt16LE(11) === 4, "First.Entries[2] - failed to insert");
+  assert(grown.readUInt16LE(14) === 3, "Second.Entries[0] - corrupted");
+  assert(grown.readUInt8(16) === 0xFF, "Data not described by any struct must be kept");
+  assertObject(obj.Second, ctx.ResizeArray, { absOffset: 13, rawOffset: 13 });
+
+  // Shrink.
+  obj.First.Entries.length = 0;
+  obj.Second.Entries.push(0x05);
+  const shrunk = ctx.$updateObject({ buffer: grown, object: obj, resize: true });
+  const expected = Buffer.from([0x0D, 0x00, 0x06, 0x00, 0x07, 0x00, 0x00, 0x02, 0x03, 0x00, 0x05, 0x00, 0xFF]);
+  assert(shrunk.equals(expected), `Shrunk buffer doesn't match, got '${shrunk.toString("hex")}'`);
+
+  const obj2 = ctx.$readObject({ buffer: shrunk, type: ctx.ResizeRoot });
+  assertMember(obj2, "Size", 13);
+  assert(obj2.First.Entries.length === 0, "First.Entries - must be empty");
+  assert(obj2.Second.Entries.length === 2 && obj2.Second.Entries[1] === 5, "Second.Entries - failed to read back");
+})();
+
+(function() {
+  console.log("Testing key access");
+
+  const obj = { Table: { Entries: [{ Clock: 300 }, { Clock: 600 }], Values: [1, 2, 3] } };
+
+  assert(binlib.utils.getKey(obj, "Table.Values[1]") === 2, "Table.Values[1] - failed to get an array element");
+  assert(binlib.utils.getKey(obj, "Table.Entries[1]") === obj.Table.Entries[1], "Table.Entries[1] - failed to get an array element");
+  assert(binlib.utils.getKey(obj, "Table.Entries[1].Clock") === 600, "Table.Entries[1].Clock - failed to get a member of an array element");
+  assert.throws(function() { binlib.utils.getKey(obj, "Table.Values[3]"); }, TypeError, "Table.Values[3] - must be out of range");
+
+  binlib.utils.setKey(obj, "Table.Values[2]", 5);
+  binlib.utils.setKey(obj, "Table.Entries[0].Clock", 400);
+  assert(obj.Table.Values[2] === 5 && obj.Table.Entries[0].Clock === 400, "setKey() - failed to set array elements");
+})();
+
+(function() {
+  console.log("Testing field diffs");
+
+  const buf = Buffer.from([0x0F, 0x00, 0x06, 0x00, 0x0B, 0x00, 0x02, 0x01, 0x00, 0x02, 0x00, 0x01, 0x03, 0x00, 0xFF]);
+  const obj = ctx.$readObject({ buffer: buf, type: ctx.ResizeRoot });
+
+  const fields = binlib.utils.mapFields(obj);
+  assert(fields.map(function(f) { return `${f.path}@${f.offset}`; }).join(",") ===
+    "Size@0,First@2,First.NumEntries@6,First.Entries[0]@7,First.Entries[1]@9,Second@4,Second.NumEntries@11,Second.Entries[0]@12",
+    `Mapped fields don't match, got '${fields.map(function(f) { return f.path; }).join(",")}'`);
+
+  // Grow `First`, which relocates `Second`, and change `Second.Entries[0]`.
+  obj.First.Entries.push(0x04);
+  obj.Second.Entries[0] = 0x05;
+  const grown = ctx.$updateObject({ buffer: Buffer.from(buf), object: obj, resize: true });
+
+  const oldObj = ctx.$readObject({ buffer: buf, type: ctx.ResizeRoot });
+  const newObj = ctx.$readObject({ buffer: grown, type: ctx.ResizeRoot });
+  const diff = binlib.utils.diffFields(oldObj, buf, newObj, grown).map(function(d) {
+    return `${d.path}:${d.oldValue}->${d.newValue}@${d.offset}`;
+  });
+
+  assert(diff.join(",") === "Size:15->17@0,First.NumEntries:2->3@6,First.Entries[2]:undefined->4@11,Second:11->13@4,Second.Entries[0]:3->5@14",
+    `Field diff doesn't match, got '${diff.join(",")}'`);
+
+  const ranges = binlib.utils.diffBytes(Buffer.from([1, 2, 3, 4]), Buffer.from([1, 0, 0, 4, 5]));
+  assert(JSON.stringify(ranges) === `[{"start":1,"end":3},{"start":4,"end":5}]`, `Byte diff doesn't match, got '${JSON.stringify(ranges)}'`);
+})();
+
+(function() {
+  console.log("Testing writing from scratch");
+
+  const object = {
+    First: { Entries: [1, 2] },
+    Second: { Entries: [3] }
+  };
+
+  const buf = ctx.$writeObject({ type: ctx.ResizeRoot, object: object });
+  const expected = Buffer.from([
+    0x0E, 0x00,             // ResizeRoot.Size
+    0x06, 0x00,             // ResizeRoot.First (Offset to First)
+    0x0B, 0x00,             // ResizeRoot.Second (Offset to Second)
+    0x02, 0x01, 0x00, 0x02, 0x00,
+    0x01, 0x03, 0x00
+  ]);
+  assert(buf.equals(expected), `Written buffer doesn't match, got '${buf.toString("hex")}'`);
+
+  // Null references are written as zero offsets.
+  const buf2 = ctx.$writeObject({ type: ctx.ResizeRoot, object: { First: null, Second: { Entries: [] } } });
+  assert(buf2.equals(Buffer.from([0x07, 0x00, 0x00, 0x00, 0x06, 0x00, 0x00])), `Written buffer doesn't match, got '${buf2.toString("hex")}'`);
+
+  // Versioned structs are resolved from the object.
+  const buf3 = ctx.$writeObject({ type: ctx.StructVer, object: { Version: 2, Something: 1, FieldA: 2, FieldB: 3, FieldC: 4 } });
+  assert(buf3.equals(Buffer.from([0x02, 0x01, 0x00, 0x00, 0x00, 0x02, 0x00, 0x00, 0x00, 0x03, 0x04])), `Written buffer doesn't match, got '${buf3.toString("hex")}'`);
+})();
+
 // ============================================================================
 // [Finish]
 // ============================================================================
@@ -0,0 +1,508 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const vbios = require("../lib/vbios.js");
+const fakesysfs = require("./fakesysfs.js");
+
+var ok = true;
+
+const root = fakesysfs.create({
+  cards: {
+    0: {
+      ppTable: "pp_table_rx580.bin",
+      rom: { ppTable: "pp_table_rx580.bin" },
+      dpm: {
+        sclk: ["300Mhz", "600Mhz *", "900Mhz"],
+        mclk: ["300Mhz", "2000Mhz *"]
+      },
+      hwmon: {
+        temp1_input: 45000,
+        temp1_label: "edge",
+        fan1_input: 1200,
+        power1_average: 95000000,
+        pwm1: 0,
+        pwm1_enable: 2
+      },
+      files: {
+        power_dpm_force_performance_level: "auto"
+      }
+    },
+    1: { driver: "i915" },
+    2: { ppTable: "pp_table_xfx.bin" },
+    3: {
+      pciId: "1002:731F",
+      files: {
+        pp_power_profile_mode: fs.readFileSync(path.join(__dirname, "pp_power_profile_mode_navi10.txt"))
+      }
+    },
+    4: {
+      hwmon: {
+        power1_cap: 150000000,
+        power1_cap_min: 50000000,
+        power1_cap_max: 200000000,
+        pwm1: 0,
+        pwm1_enable: 2,
+        pwm1_min: 50,
+        pwm1_max: 200
+      },
+      files: {
+        pp_od_clk_voltage: [
+          "OD_SCLK:",
+          "0: 700Mhz",
+          "1: 1800Mhz",
+          "OD_MCLK:",
+          "1: 1000Mhz",
+          "OD_VDDC_CURVE:",
+          "0: 700Mhz 800mV",
+          "1: 1250Mhz 900mV",
+          "OD_RANGE:",
+          "SCLK:     700Mhz       2200Mhz",
+          "MCLK:     800Mhz       1200Mhz",
+          "VDDC_CURVE_SCLK[0]:     700Mhz       2200Mhz",
+          "VDDC_CURVE_VOLT[0]:     750mV        1200mV"
+        ].join("\n")
+      }
+    }
+  }
+});
+
+function run(args, what) {
+  const result = fakesysfs.run(root, args);
+  if (result.status !== 0) {
+    ok = false;
+    console.log(`  ${what} FAILED!`);
+    console.log((result.stdout + result.stderr).split("\n").map(function(line) { return "    " + line; }).join("\n"));
+  }
+  return result;
+}
+
+(function() {
+  console.log(`Card selection`);
+
+  const all = run(["--card", "@"], "Select all");
+  if (!/Card 0 selected/.test(all.stdout) || /Card 1 selected/.test(all.stdout) || !/Card 2 selected/.test(all.stdout)) {
+    ok = false;
+    console.log(`  Select all AMDGPU cards FAILED!`);
+  }
+
+  const range = run(["--card", "0-1"], "Select range");
+  if (!/Card 0 selected/.test(range.stdout) || !/WARNING: Card 1 doesn't exist or it doesn't use AMDGPU driver/.test(range.stdout)) {
+    ok = false;
+    console.log(`  Select range FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`Sysfs root`);
+
+  const states = fakesysfs.run(root, ["--sysfs-root", root, "--card", "0", "--dpm"], true);
+  if (states.status !== 0 || !/Card 0: sclk: 0: 300Mhz, 1: 600Mhz \*, 2: 900Mhz/.test(states.stdout)) {
+    ok = false;
+    console.log(`  Sysfs root without environment variable FAILED!`);
+  }
+
+  // The card selected before `--sysfs-root` comes from AMDTWEAK_SYSFS_ROOT.
+  [
+    ["without directory", ["--sysfs-root"], /accepts exactly one argument/],
+    ["with two directories", ["--sysfs-root", root, root], /accepts exactly one argument/],
+    ["after --card", ["--card", "0", "--sysfs-root", root], /must be used before cards are selected/, true],
+    ["of missing directory", ["--sysfs-root", path.join(root, "missing")], /doesn't exist/]
+  ].forEach(function(test) {
+    const result = fakesysfs.run(root, test[1], !test[3]);
+    if (result.status === 0 || !test[2].test(result.stdout)) {
+      ok = false;
+      console.log(`  Sysfs root ${test[0]} FAILED!`);
+    }
+  });
+})();
+
+(function() {
+  console.log(`Read/Write card PowerPlay`);
+
+  const ppFile = path.join(fakesysfs.devicePath(root, 2), "pp_table");
+  const original = fs.readFileSync(ppFile);
+
+  run(["--quiet", "--card", "2", "--read-card-pp", "--set", "PowerControlLimit=20", "--write-card-pp"], "Write");
+
+  const written = fs.readFileSync(ppFile);
+  const pp = vbios.$readObject({ buffer: written, type: vbios.PowerPlayTable });
+
+  if (written.length !== original.length || pp.PowerControlLimit !== 20) {
+    ok = false;
+    console.log(`  Written table FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`Legacy ClockInfo`);
+
+  const versions = { ClockInfo: "Evergreen" };
+  const fileName = path.join(root, "legacy.bin");
+  fs.writeFileSync(fileName, vbios.$writeObject({
+    type: vbios.PowerPlayTable,
+    versions: versions,
+    object: {
+      TableFormatRevision: 4,
+      TableContentRevision: 1,
+      NumStates: 1,
+      StateEntrySize: 3,
+      ClockInfoSize: 16,
+      NonClockSize: 24,
+      StateTable: { Entries: [{ NonClockStateIndex: 0, ClockStateIndices: [0] }] },
+      ClockInfoTable: { Entries: [{ SocClockLow: 30000, SocClockHigh: 0, MemClockLow: 15000, MemClockHigh: 0, Vddc: 900, Vddci: 950, Reserved1: 0, Flags: 0 }] },
+      NonClockInfoTable: { Entries: [{ Classification: 1 }] }
+    }
+  }));
+
+  const guessed = run(["--card", "0", "--read-file-pp", fileName], "Read without family");
+  if (!/WARNING: Card 0: Legacy PP table has ClockInfo entries/.test(guessed.stdout)) {
+    ok = false;
+    console.log(`  Missing family warning FAILED!`);
+  }
+
+  const selected = run(["--clock-info", "Evergreen", "--card", "0", "--read-file-pp", fileName], "Read with family");
+  if (/WARNING/.test(selected.stdout)) {
+    ok = false;
+    console.log(`  Selected family FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`Unknown PP table layout`);
+
+  // Table format revision 15 with neither SMU11 nor SMU13 table size.
+  const buf = Buffer.alloc(1024);
+  buf.writeUInt16LE(buf.length, 0);
+  buf.writeUInt8(15, 2);
+  buf.writeUInt16LE(900, 5);
+
+  const fileName = path.join(root, "unknown.bin");
+  fs.writeFileSync(fileName, buf);
+
+  const result = fakesysfs.run(root, ["--card", "0", "--read-file-pp", fileName, "--set", "SoftwareShutdownTemp=100", "--write-file-pp", fileName]);
+  if (result.status === 0 || !/refusing to modify it/.test(result.stdout) || !fs.readFileSync(fileName).equals(buf)) {
+    ok = false;
+    console.log(`  Refuse to modify FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`Extract BIOS`);
+
+  const romFile = path.join(fakesysfs.devicePath(root, 0), "rom");
+  const outFile = path.join(root, "extracted.rom");
+
+  run(["--quiet", "--card", "0", "--extract-bios", outFile], "Extract");
+
+  const rom = fs.readFileSync(romFile);
+  const extracted = fs.existsSync(outFile) ? fs.readFileSync(outFile) : null;
+
+  if (!extracted || !extracted.equals(rom) || !vbios.verifyChecksum(extracted, 0)) {
+    ok = false;
+    console.log(`  Extracted image FAILED!`);
+  }
+
+  // Reading ROM without enabling it must fail the same way as in sysfs.
+  const uninstall = fakesysfs.installRomEmulation(root);
+  try {
+    fs.readFileSync(romFile);
+    ok = false;
+    console.log(`  ROM enable protocol FAILED!`);
+  }
+  catch (ex) {}
+  uninstall();
+
+  try {
+    fs.readFileSync(romFile);
+  }
+  catch (ex) {
+    ok = false;
+    console.log(`  ROM emulation uninstall FAILED!`);
+  }
+
+  const pp = run(["--quiet", "--card", "0", "--read-bios-pp", "--print"], "Read BIOS PowerPlay");
+  if (!/"PowerControlLimit"/.test(pp.stdout)) {
+    ok = false;
+    console.log(`  PowerPlay from BIOS FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`VRAM timing straps`);
+
+  const latency = "777000000000000022CC1C00AD615C41C0590E152ECC8608006007000B031420FA8900A00300000010122F3FBA354019";
+  const inFile = path.join(root, "straps.rom");
+  const outFile = path.join(root, "straps-mod.rom");
+
+  fs.writeFileSync(inFile, fakesysfs.makeVBIOS("pp_table_rx580.bin", 4096, [
+    { CLKRange: 150000, Latency: latency },
+    { CLKRange: 175000, Latency: latency }
+  ]));
+
+  run(["--quiet", "--vram-timing", "GDDR5", "--read-file-bios", inFile, "--set", "VRAMTimings.Entries[1].SeqCASTiming.TCL=23", "--write-file-bios", outFile], "Set timing");
+
+  const bios = fs.existsSync(outFile) ? fs.readFileSync(outFile) : Buffer.alloc(0);
+  const timings = bios.length ? vbios.$readObject({ buffer: bios, start: vbios.findVRAMTimings(bios), type: vbios.VRAMTimings, versions: { VRAMTimingEntry: "GDDR5" } }) : null;
+
+  if (!timings || timings.Entries[0].SeqCASTiming.TCL !== 21 || timings.Entries[1].SeqCASTiming.TCL !== 23 || !vbios.verifyChecksum(bios, 0)) {
+    ok = false;
+    console.log(`  Modified timing FAILED!`);
+  }
+
+  const missing = fakesysfs.run(root, ["--card", "0", "--read-card-pp", "--set", "VRAMTimings.Entries[0].Latency=00"]);
+  if (missing.status === 0 || !/requires VBIOS with VRAM timing straps/.test(missing.stdout)) {
+    ok = false;
+    console.log(`  Timing without VBIOS FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`Backup and restore card PowerPlay`);
+
+  const ppFile = path.join(fakesysfs.devicePath(root, 0), "pp_table");
+  const original = fs.readFileSync(ppFile);
+
+  run(["--quiet", "--card", "0", "--read-card-pp", "--set", "PowerControlLimit=10", "--write-card-pp"], "Write");
+  const list = run(["--card", "0", "--list-card-pp-backups"], "List backups");
+
+  if (!/Card 0: PP table backups in '.*0000:00:00\.0': \d{8}T\d{6}\.\d{3}Z/.test(list.stdout)) {
+    ok = false;
+    console.log(`  Backup FAILED!`);
+  }
+
+  run(["--quiet", "--card", "0", "--restore-card-pp", "latest"], "Restore latest");
+  if (!fs.readFileSync(ppFile).equals(original)) {
+    ok = false;
+    console.log(`  Restore latest FAILED!`);
+  }
+
+  // Restoring doesn't back up the table it replaces, so the same backup is restored again.
+  run(["--quiet", "--card", "0", "--restore-card-pp", "latest"], "Restore latest again");
+  if (!fs.readFileSync(ppFile).equals(original)) {
+    ok = false;
+    console.log(`  Restore latest again FAILED!`);
+  }
+
+  // Modify the table and restore the one stored in VBIOS.
+  run(["--quiet", "--card", "0", "--read-card-pp", "--set", "PowerControlLimit=10", "--write-card-pp", "--restore-card-pp", "bios"], "Restore BIOS");
+  const bios = fs.readFileSync(ppFile);
+  if (vbios.$readObject({ buffer: bios, type: vbios.PowerPlayTable }).PowerControlLimit === 10) {
+    ok = false;
+    console.log(`  Restore BIOS FAILED!`);
+  }
+
+  const invalid = fakesysfs.run(root, ["--card", "0", "--restore-card-pp", "20000101T000000.000Z"]);
+  if (invalid.status === 0) {
+    ok = false;
+    console.log(`  Restore missing backup FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`Dry run`);
+
+  const ppFile = path.join(fakesysfs.devicePath(root, 0), "pp_table");
+  const original = fs.readFileSync(ppFile);
+
+  const write = run(["--dry-run", "--card", "0", "--read-card-pp", "--set", "PowerControlLimit=10", "--write-card-pp"], "Write PP");
+  if (!fs.readFileSync(ppFile).equals(original)) {
+    ok = false;
+    console.log(`  Write PP modified the table FAILED!`);
+  }
+
+  if (!/Card 0: \[dry-run\]   PowerControlLimit: 0x[0-9A-F]{4} -> 0x000A @ 0x[0-9A-F]+/.test(write.stdout)) {
+    ok = false;
+    console.log(`  Write PP diff FAILED!`);
+  }
+
+  run(["--card", "0", "--read-card-pp", "--set", "PowerControlLimit=10", "--write-card-pp", "--dry-run"], "Write PP (dry-run last)");
+  if (!fs.readFileSync(ppFile).equals(original)) {
+    ok = false;
+    console.log(`  Dry-run last modified the table FAILED!`);
+  }
+
+  const brokenFile = path.join(root, "dry-run-checksum.rom");
+  const broken = fakesysfs.makeVBIOS("pp_table_rx580.bin", 4096);
+  broken[broken.length - 1] ^= 0xFF;
+  fs.writeFileSync(brokenFile, broken);
+
+  const checksum = run(["--dry-run", "--fix-bios-checksum", brokenFile], "Fix checksum");
+  if (!fs.readFileSync(brokenFile).equals(broken) || !/\[dry-run\] Would write '.*dry-run-checksum\.rom' \(4096 -> 4096 bytes\)/.test(checksum.stdout)) {
+    ok = false;
+    console.log(`  Fix checksum FAILED!`);
+  }
+
+  // Restore in dry-run mode must not change the table seen by later commands.
+  run(["--quiet", "--card", "0", "--read-card-pp", "--set", "PowerControlLimit=10", "--write-card-pp"], "Write PP");
+  const modified = fs.readFileSync(ppFile);
+
+  const restore = run(["--quiet", "--dry-run", "--card", "0", "--read-card-pp", "--restore-card-pp", "bios", "--print"], "Restore PP");
+  if (!fs.readFileSync(ppFile).equals(modified) || !/"PowerControlLimit": 10\b/.test(restore.stdout)) {
+    ok = false;
+    console.log(`  Restore PP FAILED!`);
+  }
+
+  run(["--quiet", "--card", "0", "--restore-card-pp", "bios"], "Restore PP from BIOS");
+
+  const biosFile = path.join(root, "dry-run.rom");
+  const extract = run(["--dry-run", "--card", "0", "--extract-bios", biosFile], "Extract BIOS");
+  if (fs.existsSync(biosFile) || !/Would write '.*dry-run\.rom' \(\d+ bytes, new file\)/.test(extract.stdout)) {
+    ok = false;
+    console.log(`  Extract BIOS FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`DPM and sensors`);
+
+  const states = run(["--quiet", "--card", "0", "--dpm"], "DPM");
+  if (!/Card 0: sclk: 0: 300Mhz, 1: 600Mhz \*, 2: 900Mhz/.test(states.stdout)) {
+    ok = false;
+    console.log(`  DPM states FAILED!`);
+  }
+
+  const sensors = run(["--quiet", "--card", "0", "--sensors", "json"], "Sensors");
+  var card0 = null;
+  try {
+    card0 = JSON.parse(sensors.stdout).card0;
+  }
+  catch (ex) {}
+
+  if (!card0 || card0.temperatures.edge !== 45 || card0.fan.rpm !== 1200 || card0.power.average !== 95) {
+    ok = false;
+    console.log(`  Sensors FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`Force DPM`);
+
+  const device = fakesysfs.devicePath(root, 0);
+  const files = ["power_dpm_force_performance_level", "pp_dpm_sclk", "pp_dpm_mclk"];
+  const original = files.map(function(name) { return fs.readFileSync(path.join(device, name), "utf8"); });
+
+  function read(name) { return fs.readFileSync(path.join(device, name), "utf8"); }
+  function unchanged() { return files.every(function(name, i) { return read(name) === original[i]; }); }
+
+  // Nothing must be written if any mask is invalid, including the performance level.
+  [
+    ["unknown clock", ["foo=1"]],
+    ["state out of range", ["sclk=1", "mclk=2"]],
+    ["malformed mask", ["sclk=1,"]]
+  ].forEach(function(test) {
+    const result = fakesysfs.run(root, ["--card", "0", "--force-dpm"].concat(test[1]));
+    if (result.status === 0 || !unchanged()) {
+      ok = false;
+      console.log(`  Force DPM with ${test[0]} FAILED!`);
+    }
+  });
+
+  run(["--card", "0", "--force-dpm", "sclk=1,2", "mclk=0"], "Force DPM");
+  if (read("power_dpm_force_performance_level") !== "manual" || read("pp_dpm_sclk") !== "1 2" || read("pp_dpm_mclk") !== "0") {
+    ok = false;
+    console.log(`  Force DPM FAILED!`);
+  }
+
+  run(["--card", "0", "--dpm-auto"], "DPM auto");
+  if (read("power_dpm_force_performance_level") !== "auto") {
+    ok = false;
+    console.log(`  DPM auto FAILED!`);
+  }
+
+  files.forEach(function(name, i) { fs.writeFileSync(path.join(device, name), original[i]); });
+})();
+
+(function() {
+  console.log(`OverDrive`);
+
+  const odFile = path.join(fakesysfs.devicePath(root, 4), "pp_od_clk_voltage");
+  const table = fs.readFileSync(odFile, "utf8");
+
+  // A regular file is replaced by each write, so the table is put back before
+  // each command, which then checks the command that was written.
+  [
+    ["--od-sclk", ["1", "2000"], "s 1 2000"],
+    ["--od-mclk", ["1", "1100"], "m 1 1100"],
+    ["--od-vddc-curve", ["0", "800", "850"], "vc 0 800 850"],
+    ["--od-commit", [], "c"],
+    ["--od-reset", [], "r"]
+  ].forEach(function(test) {
+    fs.writeFileSync(odFile, table);
+    run(["--card", "4", test[0]].concat(test[1]), test[0]);
+    if (fs.readFileSync(odFile, "utf8") !== test[2] + "\n") {
+      ok = false;
+      console.log(`  ${test[0]} FAILED!`);
+    }
+  });
+
+  fs.writeFileSync(odFile, table);
+  [
+    ["clock out of range", ["--od-sclk", "1", "2300"]],
+    ["voltage out of range", ["--od-vddc-curve", "0", "800", "1300"]]
+  ].forEach(function(test) {
+    const result = fakesysfs.run(root, ["--card", "4"].concat(test[1]));
+    if (result.status === 0 || fs.readFileSync(odFile, "utf8") !== table) {
+      ok = false;
+      console.log(`  OverDrive with ${test[0]} FAILED!`);
+    }
+  });
+})();
+
+(function() {
+  console.log(`Power cap and fan`);
+
+  const hwmonDir = path.join(fakesysfs.devicePath(root, 4), "hwmon", "hwmon0");
+  function readHwmon(name) { return fs.readFileSync(path.join(hwmonDir, name), "utf8").trim(); }
+
+  run(["--card", "4", "--power-cap", "120.5"], "Power cap");
+  if (readHwmon("power1_cap") !== "120500000") {
+    ok = false;
+    console.log(`  Power cap FAILED!`);
+  }
+
+  const outOfRange = fakesysfs.run(root, ["--card", "4", "--power-cap", "250"]);
+  if (outOfRange.status === 0 || readHwmon("power1_cap") !== "120500000" || !/out of range \[50, 200\] W/.test(outOfRange.stdout)) {
+    ok = false;
+    console.log(`  Power cap out of range FAILED!`);
+  }
+
+  run(["--card", "4", "--fan-mode", "manual", "--fan-pwm", "50"], "Fan PWM");
+  if (readHwmon("pwm1_enable") !== "1" || readHwmon("pwm1") !== "125") {
+    ok = false;
+    console.log(`  Fan PWM scaled to pwm1_min..pwm1_max FAILED!`);
+  }
+
+  // Card 0 doesn't provide pwm1_min and pwm1_max, the full 0..255 range is used.
+  run(["--card", "0", "--fan-pwm", "50"], "Fan PWM (no range)");
+  if (fs.readFileSync(path.join(fakesysfs.devicePath(root, 0), "hwmon", "hwmon0", "pwm1"), "utf8").trim() !== "128") {
+    ok = false;
+    console.log(`  Fan PWM without range FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`Power profile`);
+
+  const profileFile = path.join(fakesysfs.devicePath(root, 3), "pp_power_profile_mode");
+  const table = fs.readFileSync(profileFile);
+
+  run(["--card", "3", "--profile-mode", "compute"], "Profile mode");
+  if (fs.readFileSync(profileFile, "utf8") !== "5\n") {
+    ok = false;
+    console.log(`  Profile mode FAILED!`);
+  }
+
+  fs.writeFileSync(profileFile, table);
+  run(["--card", "3", "--profile-custom", "SOCCLK.MinActiveFreq=500"], "Profile custom");
+  if (fs.readFileSync(profileFile, "utf8") !== "6 1 0 5 1 500 1 0 3276800 -6553 -65536\n") {
+    ok = false;
+    console.log(`  Profile custom FAILED!`);
+  }
+})();
+
+fakesysfs.remove(root);
+
+if (!ok)
+  console.log("\nFAILED! THE CLI IS UNSTABLE!");
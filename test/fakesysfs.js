@@ -0,0 +1,244 @@
+"use strict";
+
+// Test helper that materializes a fake sysfs tree of AMDGPU cards from a small
+// JSON description, which makes it possible to run the CLI without hardware:
+//
+//   const root = fakesysfs.create({
+//     cards: {
+//       0: {
+//         ppTable: "pp_table_rx580.bin",          // File in test directory.
+//         rom: { ppTable: "pp_table_rx580.bin" }, // VBIOS that embeds the table.
+//         dpm: { sclk: ["300Mhz", "600Mhz *"] },  // pp_dpm_sclk, etc...
+//         hwmon: { temp1_input: 45000, temp1_label: "edge" }
+//       },
+//       1: { driver: "i915" }
+//     }
+//   });
+//   const result = fakesysfs.run(root, ["--card", "@", "--read-card-pp"]);
+//
+// Each card can also provide `driver` (amdgpu by default), `pciId`, `rom` as a
+// file name of a ROM image or `{ ppTable, size, straps }` description of it,
+// and `files`, which maps any other file names in the `device` directory to
+// their content.
+//
+// Reading `rom` requires writing "1" to it first, the same as in sysfs. As
+// regular files cannot do that, `run()` preloads this file into the CLI
+// process, which emulates the protocol in `installRomEmulation()`.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const child_process = require("child_process");
+
+const vbios = require("../lib/vbios.js");
+
+const fakesysfs = Object.create(null);
+
+const ROOT_ENV = "AMDTWEAK_SYSFS_ROOT";
+const STATE_ENV = "AMDTWEAK_STATE_DIR";
+const EMULATE_ENV = "FAKESYSFS_EMULATE_ROM";
+
+const AMDTWEAK_PATH = path.join(__dirname, "..", "amdtweak.js");
+
+function readTestFile(fileName) {
+  return fs.readFileSync(path.join(__dirname, fileName));
+}
+
+// Creates a VBIOS image of `size` bytes that embeds PowerPlay table of `ppFile`
+// and optionally VRAM timing `straps` (VRAMTimingEntry objects).
+function makeVBIOS(ppFile, size, straps) {
+  const pp = vbios.$readObject({ buffer: readTestFile(ppFile), type: vbios.PowerPlayTable });
+  const masterData = { TableFormatRevision: 1, TableContentRevision: 1, PowerPlayTable: pp };
+
+  if (straps) {
+    masterData.VRAMInfo = {
+      TableFormatRevision: 2,
+      TableContentRevision: 2,
+      NumVRAMModules: 0,
+      VRAMModuleVer: 8,
+      VRAMModules: [],
+      MemClockPatchTable: {
+        RegIndexTableSize: 3,
+        RegDataBlockSize: vbios.VRAMTimingEntry.$size,
+        RegIndices: [{ RegIndex: 0xFFFF, PreRegDataLength: 0 }]
+      }
+    };
+  }
+
+  const header = vbios.$writeObject({
+    type: vbios.VBIOSTable,
+    object: {
+      PCIRomSignature: vbios.VBIOS_SIGNATURE,
+      PCIRomSizeIn512Bytes: size / 512,
+      IBMSignature: "IBM",
+      RomTable: {
+        TableFormatRevision: 1,
+        TableContentRevision: 1,
+        FirmwareSignature: vbios.FIRMWARE_SIGNATURE,
+        MasterDataTable: masterData
+      }
+    }
+  });
+
+  const bios = Buffer.alloc(size);
+  header.copy(bios);
+
+  if (straps)
+    vbios.$writeObject({ type: vbios.VRAMTimings, object: { Entries: straps } }).copy(bios, vbios.findVRAMTimings(bios));
+  vbios.updateChecksum(bios, 0);
+  return bios;
+}
+fakesysfs.makeVBIOS = makeVBIOS;
+
+function writeFile(fileName, content) {
+  fs.mkdirSync(path.dirname(fileName), { recursive: true });
+  fs.writeFileSync(fileName, Buffer.isBuffer(content) ? content : String(content) + "\n");
+}
+
+function createCard(root, id, card) {
+  const device = path.join(root, "class", "drm", `card${id}`, "device");
+  const pciId = card.pciId || "1002:67DF";
+
+  writeFile(path.join(device, "uevent"), [
+    `DRIVER=${card.driver || "amdgpu"}`,
+    `PCI_ID=${pciId}`,
+    `PCI_SLOT_NAME=0000:0${id}:00.0`
+  ].join("\n"));
+
+  if (card.ppTable)
+    writeFile(path.join(device, "pp_table"), readTestFile(card.ppTable));
+
+  if (card.rom)
+    writeFile(path.join(device, "rom"), typeof card.rom === "string" ? readTestFile(card.rom) : makeVBIOS(card.rom.ppTable, card.rom.size || 4096, card.rom.straps));
+
+  const dpm = card.dpm || {};
+  Object.keys(dpm).forEach(function(name) {
+    writeFile(path.join(device, `pp_dpm_${name}`), dpm[name].map(function(state, i) { return `${i}: ${state}`; }).join("\n"));
+  });
+
+  const hwmon = card.hwmon || {};
+  Object.keys(hwmon).forEach(function(name) {
+    writeFile(path.join(device, "hwmon", "hwmon0", name), hwmon[name]);
+  });
+
+  const files = card.files || {};
+  Object.keys(files).forEach(function(name) {
+    writeFile(path.join(device, name), files[name]);
+  });
+}
+
+// Creates a fake sysfs tree described by `desc` in `root` or in a new
+// temporary directory, returns the root directory.
+function create(desc, root) {
+  if (!root)
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "amdtweak-sysfs-"));
+
+  const cards = desc.cards || {};
+  for (var id in cards)
+    createCard(root, id, cards[id]);
+
+  return root;
+}
+fakesysfs.create = create;
+
+function remove(root) {
+  // `fs.rmSync()` is not available in older Node, remove the tree manually.
+  fs.readdirSync(root).forEach(function(name) {
+    const p = path.join(root, name);
+    if (fs.lstatSync(p).isDirectory())
+      remove(p);
+    else
+      fs.unlinkSync(p);
+  });
+  fs.rmdirSync(root);
+}
+fakesysfs.remove = remove;
+
+// Returns an absolute path of the device directory of card `id` in `root`.
+function devicePath(root, id) {
+  return path.join(root, "class", "drm", `card${id}`, "device");
+}
+fakesysfs.devicePath = devicePath;
+
+// Runs amdtweak with `args` against the fake tree at `root`, PP table backups
+// are stored in `state` directory of the tree. The tree is passed through
+// AMDTWEAK_SYSFS_ROOT unless `noRootEnv` is true, then `args` must select it
+// by `--sysfs-root`. Returns an object that has `status`, `stdout`, and
+// `stderr` properties.
+function run(root, args, noRootEnv) {
+  const env = Object.assign({}, process.env);
+  if (noRootEnv)
+    delete env[ROOT_ENV];
+  else
+    env[ROOT_ENV] = root;
+  env[EMULATE_ENV] = root;
+
+  // Keep PP table backups in the fake tree, not in the user's home.
+  env[STATE_ENV] = path.join(root, "state");
+
+  const result = child_process.spawnSync(process.execPath, ["--require", __filename, AMDTWEAK_PATH].concat(args), {
+    env: env,
+    encoding: "utf8",
+    timeout: 60000
+  });
+
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+fakesysfs.run = run;
+
+// Emulates `rom` files of the fake tree at `root`: writing "1" enables the
+// ROM, writing "0" disables it, and reading a disabled ROM fails with EINVAL.
+// The image itself is never overwritten. Returns a function that uninstalls
+// the emulation and restores the original `fs` functions.
+function installRomEmulation(root) {
+  const enabled = new Set();
+  const readFileSync = fs.readFileSync;
+  const writeFileSync = fs.writeFileSync;
+
+  function romPathOf(fileName) {
+    if (typeof fileName !== "string")
+      return null;
+
+    const resolved = path.resolve(fileName);
+    return resolved.startsWith(root + path.sep) && path.basename(resolved) === "rom" ? resolved : null;
+  }
+
+  fs.readFileSync = function(fileName) {
+    const romPath = romPathOf(fileName);
+    if (romPath && !enabled.has(romPath)) {
+      const err = Error(`EINVAL: invalid argument, read '${romPath}'`);
+      err.code = "EINVAL";
+      throw err;
+    }
+    return readFileSync.apply(fs, arguments);
+  };
+
+  fs.writeFileSync = function(fileName, value) {
+    const romPath = romPathOf(fileName);
+    if (!romPath)
+      return writeFileSync.apply(fs, arguments);
+
+    if (!fs.existsSync(romPath)) {
+      const err = Error(`ENOENT: no such file or directory, open '${romPath}'`);
+      err.code = "ENOENT";
+      throw err;
+    }
+
+    if (String(value).trim() === "0")
+      enabled.delete(romPath);
+    else
+      enabled.add(romPath);
+  };
+
+  return function() {
+    fs.readFileSync = readFileSync;
+    fs.writeFileSync = writeFileSync;
+  };
+}
+fakesysfs.installRomEmulation = installRomEmulation;
+
+// Preloaded by `run()` into the CLI process.
+if (process.env[EMULATE_ENV])
+  installRomEmulation(path.resolve(process.env[EMULATE_ENV]));
+
+module.exports = fakesysfs;
@@ -0,0 +1,85 @@
+"use strict";
+
+const gpumetrics = require("../lib/gpumetrics.js");
+
+var ok = true;
+
+(function() {
+  console.log(`GPUMetrics$1.3 (dGPU)`);
+
+  const dgpu = Buffer.alloc(gpumetrics["GPUMetrics$1.3"].$size, 0xFF);
+  dgpu.writeUInt16LE(dgpu.length, 0);
+  dgpu.writeUInt8(1, 2);
+  dgpu.writeUInt8(3, 3);
+  dgpu.writeUInt16LE(45, gpumetrics["GPUMetrics$1.3"].TemperatureEdge.$offset);
+  dgpu.writeUInt16LE(62, gpumetrics["GPUMetrics$1.3"].TemperatureHotspot.$offset);
+  dgpu.writeUInt16LE(120, gpumetrics["GPUMetrics$1.3"].AverageSocketPower.$offset);
+  dgpu.writeUInt16LE(1340, gpumetrics["GPUMetrics$1.3"].CurrentGfxClk.$offset);
+  dgpu.writeUInt16LE(875, gpumetrics["GPUMetrics$1.3"].CurrentUClk.$offset);
+  dgpu.writeUInt16LE(1500, gpumetrics["GPUMetrics$1.3"].CurrentFanSpeed.$offset);
+  dgpu.writeUInt32LE(0x00000004, gpumetrics["GPUMetrics$1.3"].ThrottleStatus.$offset);
+  dgpu.writeUInt32LE(0x00000001, gpumetrics["GPUMetrics$1.3"].IndepThrottleStatusLow.$offset);
+  dgpu.writeUInt32LE(0x00000008, gpumetrics["GPUMetrics$1.3"].IndepThrottleStatusHigh.$offset);
+
+  const dgpuObject = gpumetrics.readMetrics(dgpu);
+  const dgpuSummary = gpumetrics.summarizeMetrics(dgpuObject);
+
+  if (dgpuObject.$meta.type !== gpumetrics["GPUMetrics$1.3"] || dgpuObject.TemperatureHBM.length !== 4) {
+    ok = false;
+    console.log(`  Read FAILED!`);
+  }
+
+  if (JSON.stringify(dgpuSummary.temperatures) !== `{"Edge":45,"Hotspot":62}` ||
+      JSON.stringify(dgpuSummary.clocks) !== `{"GFX":1340,"MEM":875}` ||
+      dgpuSummary.power.Socket !== 120 || dgpuSummary.fanSpeed !== 1500 ||
+      dgpuSummary.throttleStatus !== 4 || dgpuSummary.throttlers.join(",") !== "PPT0,TEMP_EDGE") {
+    ok = false;
+    console.log(`  Summary FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`GPUMetrics$2.1 (APU)`);
+
+  // APUs report temperatures in [centi-C] and power in [mW].
+  const apu = Buffer.alloc(gpumetrics["GPUMetrics$2.1"].$size, 0);
+  apu.writeUInt16LE(apu.length, 0);
+  apu.writeUInt8(2, 2);
+  apu.writeUInt8(1, 3);
+  apu.writeUInt16LE(5150, gpumetrics["GPUMetrics$2.1"].TemperatureGfx.$offset);
+  apu.writeUInt16LE(15500, gpumetrics["GPUMetrics$2.1"].AverageSocketPower.$offset);
+  apu.writeUInt16LE(1800, gpumetrics["GPUMetrics$2.1"].CurrentGfxClk.$offset);
+
+  const apuSummary = gpumetrics.summarizeMetrics(gpumetrics.readMetrics(apu));
+  if (apuSummary.temperatures.GFX !== 51.5 || apuSummary.power.Socket !== 15.5 ||
+      apuSummary.clocks.GFX !== 1800 || apuSummary.throttlers !== null) {
+    ok = false;
+    console.log(`  Summary FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`Invalid metrics`);
+
+  const apu = Buffer.alloc(gpumetrics["GPUMetrics$2.1"].$size, 0);
+  apu.writeUInt16LE(apu.length, 0);
+  apu.writeUInt8(2, 2);
+  apu.writeUInt8(1, 3);
+
+  try {
+    gpumetrics.readMetrics(Buffer.from([8, 0, 9, 9, 0, 0, 0, 0]));
+    ok = false;
+    console.log(`  Unknown version FAILED!`);
+  }
+  catch (ex) {}
+
+  try {
+    gpumetrics.readMetrics(apu.slice(0, 16));
+    ok = false;
+    console.log(`  Truncated FAILED!`);
+  }
+  catch (ex) {}
+})();
+
+if (!ok)
+  console.log("\nFAILED! THE LIBRARY IS UNSTABLE!");
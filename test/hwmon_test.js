@@ -0,0 +1,152 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const hwmon = require("../lib/hwmon.js");
+
+var ok = true;
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "amdtweak-hwmon-"));
+
+// Removes `dir` recursively (`fs.rmSync` is not available in older Node).
+function removeDir(dir) {
+  fs.readdirSync(dir).forEach(function(name) {
+    const p = path.join(dir, name);
+    if (fs.statSync(p).isDirectory())
+      removeDir(p);
+    else
+      fs.unlinkSync(p);
+  });
+  fs.rmdirSync(dir);
+}
+
+function writeFiles(dir, files) {
+  fs.mkdirSync(dir, { recursive: true });
+  Object.keys(files).forEach(function(name) {
+    fs.writeFileSync(path.join(dir, name), String(files[name]) + "\n");
+  });
+}
+
+(function() {
+  console.log(`Find hwmon directory`);
+
+  // Directories must be ordered numerically, "hwmon10" is not the first one.
+  const device = path.join(root, "card0", "device");
+  ["hwmon10", "hwmon3", "hwmon2"].forEach(function(name) { writeFiles(path.join(device, "hwmon", name), {}); });
+  writeFiles(path.join(device, "hwmon", "power"), {});
+
+  if (hwmon.findHwmonPath(device) !== `${device}/hwmon/hwmon2`) {
+    ok = false;
+    console.log(`  Multiple hwmon directories FAILED!`);
+  }
+
+  const noHwmon = path.join(root, "card1", "device");
+  fs.mkdirSync(noHwmon, { recursive: true });
+
+  if (hwmon.findHwmonPath(noHwmon) !== null) {
+    ok = false;
+    console.log(`  Device without hwmon FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`Read sensors`);
+
+  const hwmonPath = path.join(root, "sensors");
+  writeFiles(hwmonPath, {
+    temp1_input: 45000,
+    temp1_label: "edge",
+    temp2_input: 60500,
+    in0_input: 1050,
+    in0_label: "vddgfx",
+    in1_input: 900,
+    freq1_input: 1800000000,
+    freq1_label: "sclk",
+    freq2_input: 875000000,
+    fan1_input: 1200,
+    pwm1: 128,
+    power1_average: 95000000
+  });
+
+  const sensors = hwmon.readSensors(hwmonPath);
+
+  // Inputs without `_label` are keyed by their file name prefix.
+  if (sensors.temperatures.edge !== 45 || sensors.temperatures.temp2 !== 60.5) {
+    ok = false;
+    console.log(`  Temperatures FAILED!`);
+  }
+
+  if (sensors.voltages.vddgfx !== 1050 || sensors.voltages.in1 !== 900) {
+    ok = false;
+    console.log(`  Voltages FAILED!`);
+  }
+
+  if (sensors.clocks.sclk !== 1800 || sensors.clocks.freq2 !== 875) {
+    ok = false;
+    console.log(`  Clocks FAILED!`);
+  }
+
+  if (sensors.fan.rpm !== 1200 || sensors.fan.pwm !== 128 || sensors.power.average !== 95 || "cap" in sensors.power) {
+    ok = false;
+    console.log(`  Fan and power FAILED!`);
+  }
+
+  if (hwmon.readSensors(path.join(root, "missing")) !== null) {
+    ok = false;
+    console.log(`  Missing hwmon FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`Power cap and fan`);
+
+  const hwmonPath = path.join(root, "control");
+  writeFiles(hwmonPath, {
+    power1_cap: 150000000,
+    power1_cap_min: 50000000,
+    power1_cap_max: 200000000,
+    pwm1: 0,
+    pwm1_enable: 2
+  });
+
+  const range = hwmon.readPowerCapRange(hwmonPath);
+  if (!range || range.min !== 50 || range.max !== 200) {
+    ok = false;
+    console.log(`  Power cap range FAILED!`);
+  }
+
+  if (hwmon.readPowerCapRange(path.join(root, "sensors")) !== null) {
+    ok = false;
+    console.log(`  Power cap not supported FAILED!`);
+  }
+
+  // Power cap is written in [uW].
+  if (!hwmon.writePowerCap(hwmonPath, 120.5) || fs.readFileSync(path.join(hwmonPath, "power1_cap"), "utf8").trim() !== "120500000") {
+    ok = false;
+    console.log(`  Power cap FAILED!`);
+  }
+
+  if (!hwmon.writeFanMode(hwmonPath, hwmon.PWM_MODE_MANUAL) || fs.readFileSync(path.join(hwmonPath, "pwm1_enable"), "utf8").trim() !== "1") {
+    ok = false;
+    console.log(`  Fan mode FAILED!`);
+  }
+
+  // Without `pwm1_min` and `pwm1_max` the full 0..255 range is used.
+  if (!hwmon.writeFanPWM(hwmonPath, 50) || fs.readFileSync(path.join(hwmonPath, "pwm1"), "utf8").trim() !== "128") {
+    ok = false;
+    console.log(`  Fan PWM without range FAILED!`);
+  }
+
+  writeFiles(hwmonPath, { pwm1_min: 50, pwm1_max: 200 });
+  if (!hwmon.writeFanPWM(hwmonPath, 50) || fs.readFileSync(path.join(hwmonPath, "pwm1"), "utf8").trim() !== "125") {
+    ok = false;
+    console.log(`  Fan PWM scaled to pwm1_min..pwm1_max FAILED!`);
+  }
+})();
+
+removeDir(root);
+
+if (!ok)
+  console.log("\nFAILED! THE LIBRARY IS UNSTABLE!");
@@ -0,0 +1,46 @@
+"use strict";
+
+const iofs = require("../lib/iofs.js");
+
+var ok = true;
+
+// Returns the result of `fn()` and lines it logged through `console.log()`.
+function captureLog(fn) {
+  const lines = [];
+  const log = console.log;
+
+  console.log = function(msg) { lines.push(String(msg)); };
+  try {
+    return { result: fn(), lines: lines };
+  }
+  finally {
+    console.log = log;
+  }
+}
+
+(function() {
+  console.log(`Parse list`);
+
+  // pp_dpm_sclk of a Polaris card.
+  const list = captureLog(function() { return iofs.parseList("0: 300Mhz\n1: 600Mhz *\n2: 900Mhz\n", 0); });
+  if (list.result.join("|") !== "300Mhz|600Mhz *|900Mhz" || list.lines.length) {
+    ok = false;
+    console.log(`  Parse FAILED!`);
+  }
+
+  const pcie = iofs.parseList("0: 2.5GT/s, x8 \n1: 8.0GT/s, x16 *\n", 0);
+  if (pcie.join("|") !== "2.5GT/s, x8|8.0GT/s, x16 *") {
+    ok = false;
+    console.log(`  Parse PCIe FAILED!`);
+  }
+
+  // Indexes that don't follow the position of items are reported.
+  const gap = captureLog(function() { return iofs.parseList("0: 300Mhz\n2: 900Mhz\n", 0); });
+  if (gap.result.length !== 2 || gap.lines.length !== 1 || !/Invalid list index 2/.test(gap.lines[0])) {
+    ok = false;
+    console.log(`  Invalid index FAILED!`);
+  }
+})();
+
+if (!ok)
+  console.log("\nFAILED! THE LIBRARY IS UNSTABLE!");
@@ -0,0 +1,81 @@
+"use strict";
+
+const overdrive = require("../lib/overdrive.js");
+
+var ok = true;
+
+// pp_od_clk_voltage of Vega20.
+const od = overdrive.parse([
+  "OD_SCLK:",
+  "0: 700Mhz",
+  "1: 1800Mhz",
+  "OD_MCLK:",
+  "1: 1000Mhz",
+  "OD_VDDC_CURVE:",
+  "0: 700Mhz 800mV",
+  "1: 1250Mhz 900mV",
+  "OD_RANGE:",
+  "SCLK:     700Mhz       2200Mhz",
+  "MCLK:     800Mhz       1200Mhz",
+  "VDDC_CURVE_SCLK[0]:     700Mhz       2200Mhz",
+  "VDDC_CURVE_VOLT[0]:     750mV        1200mV",
+  ""
+].join("\n"));
+
+(function() {
+  console.log(`Parse`);
+
+  if (od.sclk.length !== 2 || od.sclk[1].clock !== 1800 || od.mclk[0].index !== 1 ||
+      od.vddcCurve[1].voltage !== 900 || od.range.MCLK.max !== 1200 || od.range["VDDC_CURVE_VOLT[0]"].unit !== "mV") {
+    ok = false;
+    console.log(`  Parse FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`Make command`);
+
+  if (overdrive.makeCommand(od, "OD_SCLK", 1, 2000) !== "s 1 2000" ||
+      overdrive.makeCommand(od, "OD_VDDC_CURVE", 0, 800, 850) !== "vc 0 800 850") {
+    ok = false;
+    console.log(`  Make command FAILED!`);
+  }
+
+  try {
+    overdrive.makeCommand(od, "OD_SCLK", 1, 2300);
+    ok = false;
+    console.log(`  Clock out of range FAILED!`);
+  }
+  catch (ex) {}
+
+  try {
+    overdrive.makeCommand(od, "OD_SCLK", 2, 1000);
+    ok = false;
+    console.log(`  Unknown state FAILED!`);
+  }
+  catch (ex) {}
+
+  try {
+    overdrive.makeCommand(od, "OD_MCLK", 1, 1000, 800);
+    ok = false;
+    console.log(`  Voltage of MCLK FAILED!`);
+  }
+  catch (ex) {}
+
+  try {
+    overdrive.makeCommand(od, "OD_VDDC_CURVE", 0, 800);
+    ok = false;
+    console.log(`  Missing voltage FAILED!`);
+  }
+  catch (ex) {}
+
+  try {
+    overdrive.makeCommand(od, "OD_VDDC_CURVE", 0, 800, 1300);
+    ok = false;
+    console.log(`  Voltage out of range FAILED!`);
+  }
+  catch (ex) {}
+})();
+
+if (!ok)
+  console.log("\nFAILED! THE LIBRARY IS UNSTABLE!");
@@ -0,0 +1,119 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const powerprofile = require("../lib/powerprofile.js");
+
+var ok = true;
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, `pp_power_profile_mode_${name}.txt`), "utf8");
+}
+
+(function() {
+  console.log(`Polaris and Vega layouts`);
+
+  const polaris = powerprofile.parse([
+    "NUM        MODE_NAME     SCLK_UP_HYST   SCLK_DOWN_HYST SCLK_ACTIVE_LEVEL     MCLK_UP_HYST   MCLK_DOWN_HYST MCLK_ACTIVE_LEVEL",
+    "  0   BOOTUP_DEFAULT:        -                -               -                 -                 -                 -",
+    "  1 3D_FULL_SCREEN *:        0              100              30                 0               100                10",
+    "  5         COMPUTE :        0                5              30                 -                 -                 -",
+    "  6           CUSTOM:        -                -               -                 -                 -                 -",
+    ""
+  ].join("\n"));
+
+  if (polaris.layout !== powerprofile.LAYOUT_POLARIS || polaris.active !== 1 ||
+      powerprofile.findMode(polaris, "compute").index !== 5 || polaris.modes[2].values.MCLK_UP_HYST !== null) {
+    ok = false;
+    console.log(`  Parse Polaris FAILED!`);
+  }
+
+  if (powerprofile.makeCustomCommands(polaris, { SCLK_UP_HYST: 0, sclk_down_hyst: 5, SCLK_ACTIVE_LEVEL: 30 }).join("|") !== "6 1 0 5 30 0 0 0 0") {
+    ok = false;
+    console.log(`  Custom Polaris FAILED!`);
+  }
+
+  const vega = powerprofile.parse([
+    "NUM        MODE_NAME BUSY_SET_POINT FPS USE_RLC_BUSY MIN_ACTIVE_LEVEL",
+    "  0 BOOTUP_DEFAULT :             70  60          0              0",
+    "  1 3D_FULL_SCREEN*:             70  60          1              3",
+    "  6 CUSTOM         :              0   0          0              0"
+  ].join("\n"));
+
+  if (vega.layout !== powerprofile.LAYOUT_VEGA || vega.active !== 1 ||
+      powerprofile.makeCustomCommands(vega, { FPS: 30 }).join("|") !== "6 0 30 0 0") {
+    ok = false;
+    console.log(`  Vega FAILED!`);
+  }
+
+  try {
+    powerprofile.makeCustomCommands(polaris, { SCLK_UP_HYST: 0 });
+    ok = false;
+    console.log(`  Polaris without values FAILED!`);
+  }
+  catch (ex) {}
+
+  try {
+    powerprofile.makeCustomCommands(vega, { Unknown: 1 });
+    ok = false;
+    console.log(`  Vega unknown key FAILED!`);
+  }
+  catch (ex) {}
+})();
+
+// Navi layout as printed by Vega20 and SMU11/SMU13 kernel drivers, columns
+// and clock types differ per ASIC.
+[
+  { name: "navi10"        , active: 0, modes: 7, clocks: ["GFXCLK", "SOCCLK", "MEMLK"], columns: 9,
+    settings: { "socclk.MinActiveFreq": 500 },
+    commands: ["6 1 0 5 1 500 1 0 3276800 -6553 -65536"] },
+  { name: "sienna_cichlid", active: 1, modes: 7, clocks: ["GFXCLK", "MEMCLK"], columns: 8,
+    settings: { "memclk.BoosterFreq": 1200 },
+    commands: ["6 1 0 1 100 4 1200 1966080 -6553 -65536"] },
+  { name: "smu_v13_0_0"   , active: 7, modes: 8, clocks: ["GFXCLK", "FCLK"], columns: 8,
+    settings: { "GFXCLK.FPS": 60, "FCLK.MinActiveFreq": 800 },
+    commands: ["6 0 60 1 0 1 0 1000 -2 -2", "6 1 0 1 800 1 0 500 -1 -1"] },
+  { name: "vega20"        , active: 5, modes: 7, clocks: ["GFXCLK", "SOCCLK", "MEMLK"], columns: 9,
+    settings: { "gfxclk.UseRlcBusy": 1 },
+    commands: ["6 0 0 1 1 0 4 800 4587520 -65536 0"] }
+].forEach(function(test) {
+  console.log(`Navi layout (${test.name})`);
+
+  const table = powerprofile.parse(readFixture(test.name));
+  const custom = powerprofile.findMode(table, powerprofile.CUSTOM);
+
+  if (table.layout !== powerprofile.LAYOUT_NAVI || table.active !== test.active ||
+      table.modes.length !== test.modes || table.columns.length !== test.columns ||
+      !custom || custom.index !== 6 ||
+      custom.clocks.map(function(clock) { return clock.name; }).join(",") !== test.clocks.join(",")) {
+    ok = false;
+    console.log(`  Parse FAILED!`);
+    return;
+  }
+
+  if (powerprofile.makeCustomCommands(table, test.settings).join("|") !== test.commands.join("|")) {
+    ok = false;
+    console.log(`  Custom FAILED!`);
+  }
+
+  try {
+    powerprofile.makeCustomCommands(table, { FPS: 1 });
+    ok = false;
+    console.log(`  Key without clock FAILED!`);
+  }
+  catch (ex) {}
+});
+
+(function() {
+  console.log(`Unknown format`);
+
+  try {
+    powerprofile.parse("MODE NAME\n");
+    ok = false;
+    console.log(`  Unknown header FAILED!`);
+  }
+  catch (ex) {}
+})();
+
+if (!ok)
+  console.log("\nFAILED! THE LIBRARY IS UNSTABLE!");
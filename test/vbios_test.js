@@ -25,8 +25,747 @@ files.forEach(function(fileName) {
       ok = false;
       console.log(`  Read/Write FAILED!`);
     }
+
+    // Add a new DPM state and remove it afterwards, must match the input.
+    const entries = object.SocClockDependencyTable.Entries;
+    entries.push(Object.assign({}, entries[entries.length - 1]));
+
+    const grown = vbios.$updateObject({ buffer: input, object: object, resize: true });
+    const grownObject = vbios.$readObject({ buffer: grown, type: vbios.PowerPlayTable });
+
+    if (grown.length !== input.length + vbios.SocClockDependencyEntry$1.$size ||
+        grownObject.StructureSize !== grown.length ||
+        grownObject.SocClockDependencyTable.Entries.length !== entries.length ||
+        JSON.stringify(grownObject.PowerTuneTable) !== JSON.stringify(object.PowerTuneTable)) {
+      ok = false;
+      console.log(`  Resize FAILED!`);
+    }
+
+    entries.pop();
+    const shrunk = vbios.$updateObject({ buffer: grown, object: object, resize: true });
+
+    if (Buffer.compare(input, shrunk) !== 0) {
+      ok = false;
+      console.log(`  Resize/Restore FAILED!`);
+    }
+
+    // Serialize the table from JSON (without the original buffer) and read it back.
+    const json = JSON.parse(JSON.stringify(object));
+    const written = vbios.$writeObject({ type: vbios.PowerPlayTable, object: json });
+    const writtenObject = vbios.$readObject({ buffer: written, type: vbios.PowerPlayTable });
+
+    json.StructureSize = written.length;
+    if (writtenObject.StructureSize !== written.length ||
+        JSON.stringify(writtenObject) !== JSON.stringify(json)) {
+      ok = false;
+      console.log(`  Write FAILED!`);
+    }
+  }
+});
+
+(function() {
+  console.log(`VoltageObjectV3 (I2C)`);
+
+  const input = Buffer.from([
+    0x01, 0x03, 0x16, 0x00, // VoltageType, VoltageMode, Size
+    0x08, 0x02, 0x70, 0x00, // VoltageRegulatorId, VoltageControlI2cLine, VoltageControlAddress, VoltageControlOffset
+    0x00, 0x00, 0x00, 0x00, // VoltageControlFlag, Reserved1
+    0x10, 0x00, 0x20, 0x03, // LUTEntries[0]
+    0x11, 0x00, 0x84, 0x03, // LUTEntries[1]
+    0xFF, 0x00              // Terminator
+  ]);
+
+  const object = vbios.$readObject({ buffer: input, type: vbios.VoltageObjectV3 });
+  const entries = object.LUTEntries;
+
+  if (!entries || entries.length !== 2 || entries[1].VoltageValue !== 900) {
+    ok = false;
+    console.log(`  Read FAILED!`);
+    return;
+  }
+
+  entries.push({ VoltageCode: 0x12, VoltageValue: 950 });
+  const output = vbios.$updateObject({ buffer: input, object: object, resize: true });
+  const outputObject = vbios.$readObject({ buffer: output, type: vbios.VoltageObjectV3 });
+
+  if (output.length !== input.length + 4 ||
+      output.readUInt16LE(2) !== output.length ||
+      output.readUInt8(24) !== 0xFF ||
+      outputObject.LUTEntries.length !== 3 ||
+      outputObject.LUTEntries[2].VoltageValue !== 950) {
+    ok = false;
+    console.log(`  Resize FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`PowerPlayTable$4 (Legacy)`);
+
+  function clockInfo(socClock, memClock, vddc) {
+    return {
+      SocClockLow: socClock & 0xFFFF, SocClockHigh: socClock >>> 16,
+      MemClockLow: memClock & 0xFFFF, MemClockHigh: memClock >>> 16,
+      Vddc: vddc, Vddci: 950, Reserved1: 0, Flags: 0
+    };
+  }
+
+  const json = {
+    TableFormatRevision: 4,
+    TableContentRevision: 1,
+    NumStates: 2,
+    StateEntrySize: 3,
+    ClockInfoSize: 16,
+    NonClockSize: 24,
+    StateTable: { Entries: [
+      { NonClockStateIndex: 0, ClockStateIndices: [0, 1] },
+      { NonClockStateIndex: 1, ClockStateIndices: [1, 2] }
+    ]},
+    ClockInfoTable: { Entries: [clockInfo(30000, 15000, 900), clockInfo(60000, 90000, 1000), clockInfo(85000, 120000, 1100)] },
+    NonClockInfoTable: { Entries: [{ Classification: 1 }, { Classification: 2 }] },
+    NumCustomThermalPolicyEntries: 1,
+    CustomThermalPolicy: { Entries: [{ MinTemperature: 0, MaxTemperature: 90, ThermalAction: 1 }] },
+    VddcDependencyOnSCLK: { NumEntries: 1, Entries: [{ ClockLow: 30000, ClockHigh: 0, Voltage: 900 }] }
+  };
+
+  const versions = { ClockInfo: "Evergreen" };
+  const input = vbios.$writeObject({ type: vbios.PowerPlayTable, object: json, versions: versions });
+  const object = vbios.$readObject({ buffer: input, type: vbios.PowerPlayTable, versions: versions });
+
+  if (object.ClockInfoTable.Entries.length !== 3 ||
+      object.ClockInfoTable.Entries[2].MemClockLow !== (120000 & 0xFFFF) ||
+      object.NonClockInfoTable.Entries.length !== 2 ||
+      object.NonClockInfoTable.Entries[1].Classification !== 2 ||
+      object.StateTable.Entries[1].ClockStateIndices[1] !== 2 ||
+      object.CustomThermalPolicy.Entries[0].MaxTemperature !== 90 ||
+      object.VddcDependencyOnSCLK.Entries[0].Voltage !== 900) {
+    ok = false;
+    console.log(`  Read FAILED!`);
+    return;
+  }
+
+  object.ClockInfoTable.Entries[2].Vddc = 1050;
+  const output = Buffer.from(input);
+  vbios.$updateObject({ buffer: output, object: object, versions: versions });
+
+  const updated = vbios.$readObject({ buffer: output, type: vbios.PowerPlayTable, versions: versions });
+  if (updated.ClockInfoTable.Entries[2].Vddc !== 1050 || updated.ClockInfoTable.Entries[1].Vddc !== 1000) {
+    ok = false;
+    console.log(`  Update FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`PowerPlayTable$6 (SI/CI)`);
+
+  const json = {
+    TableFormatRevision: 6,
+    TableContentRevision: 1,
+    StateTable: { Entries: [
+      { NumDPMLevels: 1, NonClockInfoIndex: 0, ClockInfoIndices: [0] },
+      { NumDPMLevels: 2, NonClockInfoIndex: 1, ClockInfoIndices: [0, 1] }
+    ]},
+    ClockInfoTable: { EntrySize: 20, Entries: [
+      { SocClockLow: 30000, SocClockHigh: 0, MemClockLow: 15000, MemClockHigh: 0, PCIEGen: 1, PCIELane: 16 },
+      { SocClockLow: 9000, SocClockHigh: 1, MemClockLow: 30000, MemClockHigh: 2, PCIEGen: 3, PCIELane: 16 }
+    ]},
+    NonClockInfoTable: { EntrySize: 24, Entries: [{ Classification: 1 }, { Classification: 2 }] },
+    MaxClockVoltageOnDC: { Entries: [{ SocClockLow: 9000, SocClockHigh: 1, MemClockLow: 30000, MemClockHigh: 2, Vddc: 1100, Vddci: 950 }] }
+  };
+
+  const versions = { ClockInfo: "CI" };
+  const input = vbios.$writeObject({ type: vbios.PowerPlayTable, object: json, versions: versions });
+  const object = vbios.$readObject({ buffer: input, type: vbios.PowerPlayTable, versions: versions });
+
+  if (object.StateTable.Entries.length !== 2 ||
+      object.StateTable.Entries[1].ClockInfoIndices[1] !== 1 ||
+      object.NonClockInfoTable.Entries[1].Classification !== 2 ||
+      object.ClockInfoTable.Entries[1].SocClockHigh !== 1 ||
+      object.ClockInfoTable.Entries[1].PCIEGen !== 3 ||
+      object.MaxClockVoltageOnDC.Entries[0].Vddc !== 1100) {
+    ok = false;
+    console.log(`  Read FAILED!`);
+    return;
+  }
+
+  // Without selecting the ClockInfo family the entries are empty, but positioned right.
+  const unknown = vbios.$readObject({ buffer: input, type: vbios.PowerPlayTable });
+  if (unknown.ClockInfoTable.Entries.length !== 2 || Object.keys(unknown.ClockInfoTable.Entries[1]).length !== 0) {
+    ok = false;
+    console.log(`  Read without ClockInfo family FAILED!`);
+  }
+
+  // Add a ClockInfo entry.
+  object.ClockInfoTable.Entries.push(Object.assign({}, object.ClockInfoTable.Entries[1], { PCIELane: 8 }));
+  const output = vbios.$updateObject({ buffer: input, object: object, versions: versions, resize: true });
+  const resized = vbios.$readObject({ buffer: output, type: vbios.PowerPlayTable, versions: versions });
+
+  if (output.length !== input.length + 20 ||
+      resized.ClockInfoTable.Entries.length !== 3 ||
+      resized.ClockInfoTable.Entries[2].PCIELane !== 8 ||
+      resized.NonClockInfoTable.Entries[1].Classification !== 2) {
+    ok = false;
+    console.log(`  Resize FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`PowerPlayTable$11 (Vega20)`);
+
+  const json = {
+    TableFormatRevision: 11,
+    TableContentRevision: 0,
+    BoostPowerLimit: 300,
+    OverDrive8Table: { ODSettingsMax: [2100, 1200], ODSettingsMin: [800, 800] },
+    SMCPPTable: {
+      Version: 0x13,
+      SocketPowerLimitAc0: 250,
+      DpmDescriptor: [{ VoltageMode: 1, NumDiscreteLevels: 2, SsCurve: { A: 0.5, B: -0.25, C: 1 } }],
+      FreqTableGfx: [808, 1801],
+      FreqTableUclk: [351, 801, 1001],
+      FanTargetTemperature: 95
+    }
+  };
+
+  // The writer complains about short fixed arrays, pad them.
+  function pad(arr, n) { while (arr.length < n) arr.push(0); }
+  pad(json.OverDrive8Table.ODSettingsMax, 32);
+  pad(json.OverDrive8Table.ODSettingsMin, 32);
+  pad(json.SMCPPTable.FreqTableGfx, 16);
+  pad(json.SMCPPTable.FreqTableUclk, 4);
+  while (json.SMCPPTable.DpmDescriptor.length < 11)
+    json.SMCPPTable.DpmDescriptor.push({});
+
+  const input = vbios.$writeObject({ type: vbios.PowerPlayTable, object: json });
+  const object = vbios.$readObject({ buffer: input, type: vbios.PowerPlayTable });
+
+  if (input.readUInt32LE(474) !== 0x13 ||
+      object.OverDrive8Table.ODSettingsMax[0] !== 2100 ||
+      object.SMCPPTable.SocketPowerLimitAc0 !== 250 ||
+      object.SMCPPTable.DpmDescriptor[0].SsCurve.B !== -0.25 ||
+      object.SMCPPTable.FreqTableGfx[1] !== 1801 ||
+      object.SMCPPTable.FreqTableUclk[2] !== 1001 ||
+      object.SMCPPTable.FanTargetTemperature !== 95) {
+    ok = false;
+    console.log(`  Read FAILED!`);
+    return;
+  }
+
+  // Writing what was read must produce the same data.
+  const output = vbios.$writeObject({ type: vbios.PowerPlayTable, object: object });
+  if (!output.equals(input)) {
+    ok = false;
+    console.log(`  Round trip FAILED!`);
+  }
+
+  // Tune the same way as `--set` does.
+  binlib.utils.setKey(object, "SMCPPTable.FreqTableUclk[2]", "1051");
+  binlib.utils.setKey(object, "OverDrive8Table.ODSettingsMax[0]", "2200");
+  vbios.$updateObject({ buffer: output, object: object });
+
+  const updated = vbios.$readObject({ buffer: output, type: vbios.PowerPlayTable });
+  if (updated.SMCPPTable.FreqTableUclk[2] !== 1051 ||
+      updated.OverDrive8Table.ODSettingsMax[0] !== 2200 ||
+      updated.SMCPPTable.FanTargetTemperature !== 95) {
+    ok = false;
+    console.log(`  Update FAILED!`);
+  }
+})();
+
+[
+  { name: "PowerPlayTable$12"      , desc: "SMU11 - Navi10"        , revision: 12, smcOffset: 482, limitOffset: 12 },
+  { name: "PowerPlayTable$15.SMU11", desc: "SMU11 - Sienna Cichlid", revision: 15, smcOffset: 802, limitOffset: 12 },
+  { name: "PowerPlayTable$15.SMU13", desc: "SMU13"                 , revision: 15, smcOffset: 787, limitOffset: 16 }
+].forEach(function(test) {
+  console.log(`${test.name} (${test.desc})`);
+
+  const json = {
+    TableFormatRevision: test.revision,
+    TableContentRevision: 0,
+    TableSize: test.smcOffset,
+    SoftwareShutdownTemp: 118,
+    OverDriveTable: { Revision: 1, Cap: [1, 1, 0, 1].concat(new Array(28).fill(0)) },
+    SMCPPTable: { Version: 7, FeaturesToRun: [0x3FFFCFFF, 0x1], SocketPowerLimitAc: [180, 0, 0, 0] }
+  };
+
+  const input = vbios.$writeObject({ type: vbios.PowerPlayTable, object: json });
+  const object = vbios.$readObject({ buffer: input, type: vbios.PowerPlayTable });
+
+  if (object.$meta.type !== vbios[test.name] ||
+      object.StructureSize !== input.length ||
+      input.readUInt32LE(test.smcOffset) !== 7 ||
+      object.SoftwareShutdownTemp !== 118 ||
+      object.OverDriveTable.Cap[3] !== 1 ||
+      object.SMCPPTable.FeaturesToRun[0] !== 0x3FFFCFFF ||
+      object.SMCPPTable.SocketPowerLimitAc[0] !== 180) {
+    ok = false;
+    console.log(`  Read FAILED!`);
+    return;
+  }
+
+  object.SMCPPTable.SocketPowerLimitAc[0] = 150;
+  vbios.$updateObject({ buffer: input, object: object });
+
+  if (input.readUInt16LE(test.smcOffset + test.limitOffset) !== 150) {
+    ok = false;
+    console.log(`  Update FAILED!`);
   }
 });
 
+(function() {
+  console.log(`PowerPlayTable$15 (Unknown layout)`);
+
+  // Neither SMU11 nor SMU13 table size, only the common header can be read.
+  const input = Buffer.alloc(1024);
+  input.writeUInt16LE(input.length, 0);
+  input.writeUInt8(15, 2);
+  input.writeUInt16LE(900, 5);
+
+  const object = vbios.$readObject({ buffer: input, type: vbios.PowerPlayTable });
+  if (object.$meta.type !== vbios.PowerPlayTable$15 || "SMCPPTable" in object) {
+    ok = false;
+    console.log(`  Read FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`MasterDataTable$2.1 (atomfirmware)`);
+
+  const json = {
+    PCIRomSignature: vbios.VBIOS_SIGNATURE,
+    IBMSignature: "IBM",
+    RomTable: {
+      TableFormatRevision: 2,
+      TableContentRevision: 2,
+      FirmwareSignature: vbios.FIRMWARE_SIGNATURE,
+      MasterDataTable: {
+        TableFormatRevision: 2,
+        TableContentRevision: 1,
+        FirmwareInfo: { TableFormatRevision: 3, TableContentRevision: 1, BootupEngineClock: 150000, BootupVddcVoltage: 800 },
+        SMUInfo: { TableFormatRevision: 3, TableContentRevision: 1, CoreReferenceClock: 10000 },
+        PowerPlayTable: { TableFormatRevision: 12, TableContentRevision: 0, SoftwareShutdownTemp: 118 },
+        VRAMInfo: { TableFormatRevision: 2, TableContentRevision: 4, VRAMModules: [{ MemorySize: 8192, MemoryType: 0x70, MemPNString: "MT61K256M32" }] },
+        VoltageObjectInfo: { TableFormatRevision: 4, TableContentRevision: 1, Entries: [
+          { VoltageType: 1, VoltageMode: vbios.VOLTAGE_OBJ_SVID2, LoadLinePSI1: 0x20 },
+          { VoltageType: 2, VoltageMode: vbios.VOLTAGE_OBJ_GPIO_LUT, LUTEntries: [{ VoltageId: 1, VoltageValue: 1350 }] },
+          { VoltageType: 3, VoltageMode: vbios.VOLTAGE_OBJ_MERGED_POWER, MergedPowerRailType: 1 }
+        ]}
+      }
+    }
+  };
+
+  const bios = vbios.$writeObject({ type: vbios.VBIOSTable, object: json });
+  const header = vbios.$readObject({ buffer: bios, type: vbios.VBIOSTable });
+  const data = header.RomTable.MasterDataTable;
+
+  if (data.FirmwareInfo.BootupEngineClock !== 150000 ||
+      data.SMUInfo.CoreReferenceClock !== 10000 ||
+      data.VRAMInfo.VRAMModules[0].ModuleSize !== vbios["VRAMModule$10"].$size ||
+      data.VRAMInfo.VRAMModules[0].MemPNString !== "MT61K256M32" ||
+      data.VoltageObjectInfo.Entries[0].Size !== 12 ||
+      data.VoltageObjectInfo.Entries[1].LUTEntries[0].VoltageValue !== 1350 ||
+      data.VoltageObjectInfo.Entries[2].MergedPowerRailType !== 1) {
+    ok = false;
+    console.log(`  Read FAILED!`);
+    return;
+  }
+
+  const ppBuf = vbios.extractPowerPlayFromVBIOS(bios, 0);
+  const pp = ppBuf ? vbios.$readObject({ buffer: ppBuf, type: vbios.PowerPlayTable }) : null;
+
+  if (!pp || pp.TableFormatRevision !== 12 || pp.SoftwareShutdownTemp !== 118) {
+    ok = false;
+    console.log(`  Extract PowerPlay FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`VBIOS checksum`);
+
+  const header = vbios.$writeObject({
+    type: vbios.VBIOSTable,
+    object: {
+      PCIRomSignature: vbios.VBIOS_SIGNATURE,
+      PCIRomSizeIn512Bytes: 2,
+      IBMSignature: "IBM",
+      RomTable: { TableFormatRevision: 1, TableContentRevision: 1, FirmwareSignature: vbios.FIRMWARE_SIGNATURE }
+    }
+  });
+
+  const bios = Buffer.alloc(1024, 0x5A);
+  header.copy(bios);
+
+  if (vbios.verifyChecksum(bios) || !vbios.updateChecksum(bios) || !vbios.verifyChecksum(bios)) {
+    ok = false;
+    console.log(`  Update FAILED!`);
+    return;
+  }
+
+  bios[0x200]++;
+  if (vbios.verifyChecksum(bios)) {
+    ok = false;
+    console.log(`  Verify of a corrupted image FAILED!`);
+  }
+
+  // Truncated image or not a VBIOS at all.
+  if (vbios.updateChecksum(bios.slice(0, 512)) || vbios.updateChecksum(Buffer.alloc(1024))) {
+    ok = false;
+    console.log(`  Invalid image FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`Inject PowerPlay into VBIOS`);
+
+  const pp = vbios.$readObject({ buffer: fs.readFileSync(__dirname + "/pp_table_rx580.bin"), type: vbios.PowerPlayTable });
+  const header = vbios.$writeObject({
+    type: vbios.VBIOSTable,
+    object: {
+      PCIRomSignature: vbios.VBIOS_SIGNATURE,
+      PCIRomSizeIn512Bytes: 4,
+      IBMSignature: "IBM",
+      RomTable: {
+        TableFormatRevision: 1,
+        TableContentRevision: 1,
+        FirmwareSignature: vbios.FIRMWARE_SIGNATURE,
+        MasterDataTable: { TableFormatRevision: 1, TableContentRevision: 1, PowerPlayTable: pp }
+      }
+    }
+  });
+
+  const bios = Buffer.alloc(2048);
+  header.copy(bios);
+
+  const ppBuf = Buffer.from(vbios.extractPowerPlayFromVBIOS(bios, 0));
+  const ppObj = vbios.$readObject({ buffer: ppBuf, type: vbios.PowerPlayTable });
+
+  ppObj.PowerTuneTable.TDP = 90;
+  vbios.$updateObject({ buffer: ppBuf, object: ppObj });
+  vbios.injectPowerPlayIntoVBIOS(bios, ppBuf);
+
+  const injected = vbios.$readObject({ buffer: vbios.extractPowerPlayFromVBIOS(bios, 0), type: vbios.PowerPlayTable });
+  if (injected.PowerTuneTable.TDP !== 90 || !vbios.verifyChecksum(bios)) {
+    ok = false;
+    console.log(`  Inject FAILED!`);
+  }
+
+  try {
+    vbios.injectPowerPlayIntoVBIOS(bios, Buffer.concat([ppBuf, Buffer.alloc(16)]));
+    ok = false;
+    console.log(`  Inject of a larger table FAILED!`);
+  }
+  catch (ex) {}
+})();
+
+(function() {
+  console.log(`PCI expansion ROM images`);
+
+  function makeImage(codeType, size, last) {
+    const header = vbios.$writeObject({
+      type: vbios.PCIRomHeader,
+      object: {
+        PCIRomSignature: vbios.VBIOS_SIGNATURE,
+        PCIDataStructure: {
+          Signature: vbios.PCIR_SIGNATURE,
+          VendorId: 0x1002,
+          DeviceId: 0x67DF,
+          Length: vbios.PCIDataStructure.$size,
+          ClassCode: 0x030000,
+          ImageLength: size / 512,
+          CodeType: codeType,
+          Indicator: last ? vbios.PCIR_LAST_IMAGE : 0
+        }
+      }
+    });
+
+    const image = Buffer.alloc(size);
+    header.copy(image);
+    return image;
+  }
+
+  const rom = Buffer.concat([
+    makeImage(vbios.ROM_CODE_TYPE_X86, 1024, false),
+    makeImage(vbios.ROM_CODE_TYPE_EFI, 512, true),
+    Buffer.alloc(512, 0xFF)
+  ]);
+
+  const images = vbios.listRomImages(rom);
+  if (images.length !== 2 ||
+      images[0].offset !== 0 || images[0].size !== 1024 || images[0].codeTypeName !== "x86" ||
+      images[1].offset !== 1024 || images[1].size !== 512 || images[1].codeTypeName !== "EFI" ||
+      images[1].vendorId !== 0x1002 || images[1].deviceId !== 0x67DF || !images[1].last) {
+    ok = false;
+    console.log(`  List FAILED!`);
+  }
+
+  if (vbios.listRomImages(Buffer.alloc(1024)).length !== 0) {
+    ok = false;
+    console.log(`  Invalid ROM FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`Command table disassembler`);
+
+  const header = vbios.$writeObject({
+    type: vbios.VBIOSTable,
+    object: {
+      PCIRomSignature: vbios.VBIOS_SIGNATURE,
+      PCIRomSizeIn512Bytes: 2,
+      IBMSignature: "IBM",
+      RomTable: {
+        TableFormatRevision: 1,
+        TableContentRevision: 1,
+        FirmwareSignature: vbios.FIRMWARE_SIGNATURE,
+        MasterCommandTable: { TableFormatRevision: 1, TableContentRevision: 1, SetVoltage: 0x200 }
+      }
+    }
+  });
+
+  const code = Buffer.from([
+    0x17, 0x00, 0x01, 0x01, 0x04, 0x08,       // Header (StructureSize, Revision, WS=4, PS=8).
+    0x03, 0x05, 0x00, 0x78, 0x56, 0x34, 0x12, // MOVE WS[0x00], 0x12345678
+    0x3D, 0x25, 0x01, 0x10,                   // COMPARE PS[0x01][7:0], 0x10
+    0x44, 0x16, 0x00,                         // JUMP_EQUAL 0x0016
+    0x52, 0x50,                               // CALL_TABLE 0x50 (GetVoltageInfo)
+    0x5B                                      // EOT
+  ]);
+
+  const bios = Buffer.alloc(1024);
+  header.copy(bios);
+  code.copy(bios, 0x200);
+
+  const listing = vbios.disassembleCommandTable(bios, "SetVoltage").split("\n");
+  const expected = [
+    "0006: MOVE           WS[0x00], 0x12345678",
+    "000D: COMPARE        PS[0x01][7:0], 0x10",
+    "0011: JUMP_EQUAL     0x0016",
+    "0014: CALL_TABLE     0x50 (GetVoltageInfo)",
+    "0016: EOT"
+  ];
+
+  if (JSON.stringify(listing.slice(1)) !== JSON.stringify(expected)) {
+    ok = false;
+    console.log(`  Disassemble FAILED!`);
+    console.log(listing.join("\n"));
+  }
+
+  try {
+    vbios.disassembleCommandTable(bios, "ASICInit");
+    ok = false;
+    console.log(`  Missing table FAILED!`);
+  }
+  catch (ex) {}
+})();
+
+(function() {
+  console.log(`Command table interpreter`);
+
+  const header = vbios.$writeObject({
+    type: vbios.VBIOSTable,
+    object: {
+      PCIRomSignature: vbios.VBIOS_SIGNATURE,
+      PCIRomSizeIn512Bytes: 2,
+      IBMSignature: "IBM",
+      RomTable: {
+        TableFormatRevision: 1,
+        TableContentRevision: 1,
+        FirmwareSignature: vbios.FIRMWARE_SIGNATURE,
+        MasterCommandTable: {
+          TableFormatRevision: 1,
+          TableContentRevision: 1,
+          ASICInit: 0x280,
+          SetMemoryClock: 0x200,
+          MemoryPLLInit: 0x240
+        }
+      }
+    }
+  });
+
+  const setMemoryClock = Buffer.from([
+    0x21, 0x00, 0x01, 0x01, 0x02, 0x08,       // Header (StructureSize, Revision, WS=2, PS=8).
+    0x3A, 0x00, 0x01,                         // SET_REG_BLOCK 0x0100
+    0x01, 0x01, 0x10, 0x00, 0x00,             // MOVE REG[0x0010], PS[0x00]
+    0x0D, 0x25, 0x10, 0x00, 0x0F,             // OR REG[0x0010][7:0], 0x0F
+    0x52, 0x10,                               // CALL_TABLE 0x10 (MemoryPLLInit)
+    0x20, 0x05, 0x00, 0x03, 0x00, 0x00, 0x00, // MUL PS[0x00], 0x00000003
+    0x02, 0x02, 0x01, 0x40,                   // MOVE PS[0x01], WS_QUOTIENT
+    0x5B                                      // EOT
+  ]);
+
+  const memoryPLLInit = Buffer.from([
+    0x0B, 0x00, 0x01, 0x01, 0x00, 0x00,       // Header (StructureSize, Revision, WS=0, PS=0).
+    0x05, 0x01, 0x05, 0x00,                   // MOVE PLL[0x05], PS[0x00] (PS[0x02] of the caller)
+    0x5B                                      // EOT
+  ]);
+
+  const asicInit = Buffer.from([
+    0x09, 0x00, 0x01, 0x01, 0x00, 0x00,       // Header (StructureSize, Revision, WS=0, PS=0).
+    0x43, 0x06, 0x00                          // JUMP 0x0006
+  ]);
+
+  const bios = Buffer.alloc(1024);
+  header.copy(bios);
+  setMemoryClock.copy(bios, 0x200);
+  memoryPLLInit.copy(bios, 0x240);
+  asicInit.copy(bios, 0x280);
+
+  const interpreter = vbios.createInterpreter(bios);
+  const ps = interpreter.execute("SetMemoryClock", [0x186A0, 0, 0x1234]);
+
+  const writes = interpreter.registers.writes().map(function(w) { return `${w.space}[${w.index}]=${w.value}`; });
+  const expected = [`REG[${0x110}]=${0x186A0}`, `REG[${0x110}]=${0x186AF}`, `PLL[5]=${0x1234}`];
+
+  if (JSON.stringify(writes) !== JSON.stringify(expected) || ps[1] !== 0x186A0 * 3) {
+    ok = false;
+    console.log(`  Execute FAILED!`);
+    console.log(JSON.stringify(writes), ps);
+  }
+
+  try {
+    interpreter.maxSteps = 1000;
+    interpreter.execute("ASICInit", []);
+    ok = false;
+    console.log(`  Endless loop FAILED!`);
+  }
+  catch (ex) {}
+})();
+
+(function() {
+  console.log(`VRAMTimingEntry$GDDR5`);
+
+  const header = vbios.$writeObject({
+    type: vbios.VBIOSTable,
+    object: {
+      PCIRomSignature: vbios.VBIOS_SIGNATURE,
+      PCIRomSizeIn512Bytes: 4,
+      IBMSignature: "IBM",
+      RomTable: {
+        TableFormatRevision: 1,
+        TableContentRevision: 1,
+        FirmwareSignature: vbios.FIRMWARE_SIGNATURE,
+        MasterDataTable: {
+          TableFormatRevision: 1,
+          TableContentRevision: 1,
+          VRAMInfo: {
+            TableFormatRevision: 2,
+            TableContentRevision: 2,
+            NumVRAMModules: 0,
+            VRAMModuleVer: 8,
+            VRAMModules: [],
+            MemClockPatchTable: {
+              RegIndexTableSize: 6,
+              RegDataBlockSize: 52,
+              RegIndices: [{ RegIndex: 0x0A80, PreRegDataLength: 0 }, { RegIndex: 0xFFFF, PreRegDataLength: 0 }]
+            }
+          }
+        }
+      }
+    }
+  });
+
+  const bios = Buffer.alloc(2048);
+  header.copy(bios);
+
+  const start = vbios.findVRAMTimings(bios);
+  const latency = "777000000000000022CC1C00AD615C41C0590E152ECC8608006007000B031420FA8900A00300000010122F3FBA354019";
+  const straps = vbios.$writeObject({
+    type: vbios.VRAMTimings,
+    object: { Entries: [{ CLKRange: 175000, Latency: latency }, { CLKRange: 0x01000000 | 175000, Latency: latency }] }
+  });
+  straps.copy(bios, start);
+
+  const versions = { VRAMTimingEntry: "GDDR5" };
+  const timings = vbios.$readObject({ buffer: bios, start: start, type: vbios.VRAMTimings, versions: versions });
+
+  if (timings.Entries.length !== 2 || timings.Entries[0].SeqCASTiming.TCL !== 21 || timings.Entries[0].SeqRASTiming.TRC !== 65) {
+    ok = false;
+    console.log(`  Decode FAILED!`);
+  }
+
+  binlib.utils.setKey(timings, "Entries[1].SeqCASTiming.TCL", "23");
+  vbios.$updateObject({ buffer: bios, start: start, object: timings, versions: versions });
+
+  const raw = vbios.$readObject({ buffer: bios, start: start, type: vbios.VRAMTimings });
+  if (raw.Entries[0].Latency !== latency || raw.Entries[1].Latency !== latency.replace("C0590E15", "C0590E17")) {
+    ok = false;
+    console.log(`  Encode FAILED!`);
+  }
+})();
+
+(function() {
+  console.log(`VRAM strap copy`);
+
+  const header = vbios.$writeObject({
+    type: vbios.VBIOSTable,
+    object: {
+      PCIRomSignature: vbios.VBIOS_SIGNATURE,
+      PCIRomSizeIn512Bytes: 4,
+      IBMSignature: "IBM",
+      RomTable: {
+        TableFormatRevision: 1,
+        TableContentRevision: 1,
+        FirmwareSignature: vbios.FIRMWARE_SIGNATURE,
+        MasterDataTable: {
+          TableFormatRevision: 1,
+          TableContentRevision: 1,
+          VRAMInfo: {
+            TableFormatRevision: 2,
+            TableContentRevision: 2,
+            NumVRAMModules: 1,
+            VRAMModuleVer: 8,
+            VRAMModules: [{ ModuleSize: vbios["VRAMModule$8"].$size, MemoryVendorId: 0x16, MemPNString: "H5GC8H24MJR" }],
+            MemClockPatchTable: {
+              RegIndexTableSize: 3,
+              RegDataBlockSize: 52,
+              RegIndices: [{ RegIndex: 0xFFFF, PreRegDataLength: 0 }]
+            }
+          }
+        }
+      }
+    }
+  });
+
+  const bios = Buffer.alloc(2048);
+  header.copy(bios);
+
+  const straps = vbios.$writeObject({
+    type: vbios.VRAMTimings,
+    object: {
+      Entries: [
+        { CLKRange: 150000, Latency: "15".repeat(48) },
+        { CLKRange: 175000, Latency: "17".repeat(48) },
+        { CLKRange: 200000, Latency: "20".repeat(48) }
+      ]
+    }
+  });
+  straps.copy(bios, vbios.findVRAMTimings(bios));
+
+  const modules = vbios.listVRAMModules(bios);
+  if (modules.length !== 1 || modules[0].vendorName !== "Hynix" || modules[0].partNumber !== "H5GC8H24MJR" ||
+      modules[0].straps.join(",") !== "1500,1750,2000") {
+    ok = false;
+    console.log(`  List FAILED!`);
+  }
+
+  if (vbios.copyVRAMStrap(bios, 0, 1500, [1750, 2000]) !== 2 || !vbios.verifyChecksum(bios)) {
+    ok = false;
+    console.log(`  Copy FAILED!`);
+  }
+
+  const timings = vbios.$readObject({ buffer: bios, start: vbios.findVRAMTimings(bios), type: vbios.VRAMTimings });
+  const entries = timings.Entries.map(function(e) { return `${e.CLKRange}:${e.Latency}`; });
+  if (entries.join(",") !== [150000, 175000, 200000].map(function(clk) { return `${clk}:${"15".repeat(48)}`; }).join(",")) {
+    ok = false;
+    console.log(`  Copied data FAILED!`);
+  }
+
+  try {
+    vbios.copyVRAMStrap(bios, 1, 1500, 1750);
+    ok = false;
+    console.log(`  Copy of missing strap FAILED!`);
+  }
+  catch (ex) {}
+})();
+
 if (!ok)
   console.log("\nFAILED! THE LIBRARY IS UNSTABLE!");